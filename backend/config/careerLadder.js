@@ -0,0 +1,68 @@
+// Clinical career ladder (jenjang karir Perawat Klinis I-V) and the default
+// promotion rules. Rules are keyed by the level being promoted to and can
+// be overridden per level with CAREER_LADDER_RULES, a JSON object such as
+// {"3": {"minServiceYears": 5}}.
+
+export const CAREER_LEVELS = [
+  { level: 1, code: "PK I", label: "Perawat Klinis I" },
+  { level: 2, code: "PK II", label: "Perawat Klinis II" },
+  { level: 3, code: "PK III", label: "Perawat Klinis III" },
+  { level: 4, code: "PK IV", label: "Perawat Klinis IV" },
+  { level: 5, code: "PK V", label: "Perawat Klinis V" },
+];
+
+export const MIN_LEVEL = 1;
+export const MAX_LEVEL = CAREER_LEVELS.length;
+
+const DEFAULT_RULES = {
+  2: {
+    minServiceYears: 3,
+    minYearsAtLevel: 2,
+    minPassedExams: 1,
+    minEvaluationScore: 75,
+    requiredLicenses: ["STR", "SIP"],
+  },
+  3: {
+    minServiceYears: 6,
+    minYearsAtLevel: 3,
+    minPassedExams: 1,
+    minEvaluationScore: 75,
+    requiredLicenses: ["STR", "SIP"],
+  },
+  4: {
+    minServiceYears: 9,
+    minYearsAtLevel: 3,
+    minPassedExams: 2,
+    minEvaluationScore: 80,
+    requiredLicenses: ["STR", "SIP"],
+  },
+  5: {
+    minServiceYears: 12,
+    minYearsAtLevel: 3,
+    minPassedExams: 2,
+    minEvaluationScore: 85,
+    requiredLicenses: ["STR", "SIP"],
+  },
+};
+
+// Exams and evaluations older than this do not count towards promotion
+export const ASSESSMENT_LOOKBACK_YEARS = 2;
+
+export const getLevelInfo = (level) =>
+  CAREER_LEVELS.find((item) => item.level === level) || null;
+
+export const getPromotionRules = () => {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.CAREER_LADDER_RULES || "{}");
+  } catch (error) {
+    console.error("Invalid CAREER_LADDER_RULES, using defaults:", error.message);
+  }
+
+  return Object.fromEntries(
+    Object.entries(DEFAULT_RULES).map(([level, rules]) => [
+      level,
+      { ...rules, ...(overrides[level] || {}) },
+    ])
+  );
+};
@@ -0,0 +1,27 @@
+// Certificates are signed with their own secret when one is configured,
+// otherwise with the JWT secret
+export const getCertificateSecret = () =>
+  process.env.CERTIFICATE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+// Base URL encoded in the certificate QR code; the verification token is
+// appended to it
+export const getVerificationBaseUrl = () =>
+  (
+    process.env.CERTIFICATE_VERIFY_URL || "http://localhost:5000/api/verify"
+  ).replace(/\/+$/, "");
+
+export const getCertificateIssuer = () =>
+  process.env.CERTIFICATE_ISSUER || "Komite Keperawatan";
+
+export const CERTIFICATE_DIRECTORY = "private/certificates";
+
+// Credential statuses a certificate is issued for
+export const CERTIFIABLE_STATUSES = ["active", "expiring-soon"];
+
+// Public verification lookups allowed per client IP in each window
+export const VERIFY_RATE_WINDOW_MS = 15 * 60 * 1000;
+
+export const getVerifyRateLimit = () => {
+  const max = parseInt(process.env.VERIFY_RATE_LIMIT, 10);
+  return Number.isInteger(max) && max > 0 ? max : 30;
+};
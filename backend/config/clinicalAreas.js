@@ -0,0 +1,13 @@
+// Clinical areas shared by the question bank (kategori) and the clinical
+// privilege catalogue.
+export const CLINICAL_AREAS = [
+  "Fundamental Nursing",
+  "Medical-Surgical",
+  "Pediatric",
+  "Obstetric",
+  "Psychiatric",
+  "Community Health",
+  "Critical Care",
+  "Emergency",
+  "Other",
+];
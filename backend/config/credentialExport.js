@@ -0,0 +1,111 @@
+const formatDate = (date) => (date ? date.toISOString().split("T")[0] : "");
+
+// Columns available to credential exports, in their default order. `width`
+// is the relative column width in the PDF register.
+export const EXPORT_COLUMNS = [
+  {
+    key: "nurseId",
+    header: "Nurse ID",
+    width: 1,
+    value: (cred) => cred.nurseId,
+  },
+  {
+    key: "nurseName",
+    header: "Nurse Name",
+    width: 2,
+    value: (cred) => cred.nurseName,
+  },
+  {
+    key: "licenseNumber",
+    header: "License Number",
+    width: 2,
+    value: (cred) => cred.licenseNumber,
+  },
+  {
+    key: "licenseType",
+    header: "License Type",
+    width: 1,
+    value: (cred) => cred.licenseType,
+  },
+  {
+    key: "department",
+    header: "Department",
+    width: 1.5,
+    value: (cred) => cred.department || "",
+  },
+  {
+    key: "specializations",
+    header: "Specializations",
+    width: 2,
+    value: (cred) => (cred.specializations || []).join(", "),
+  },
+  {
+    key: "status",
+    header: "Status",
+    width: 1,
+    value: (cred) => cred.status,
+  },
+  {
+    key: "issueDate",
+    header: "Issue Date",
+    width: 1,
+    type: "date",
+    value: (cred) => cred.issueDate,
+  },
+  {
+    key: "expiryDate",
+    header: "Expiry Date",
+    width: 1,
+    type: "date",
+    value: (cred) => cred.expiryDate,
+  },
+  {
+    key: "daysUntilExpiry",
+    header: "Days Until Expiry",
+    width: 1,
+    type: "number",
+    value: (cred) => cred.daysUntilExpiry,
+  },
+  {
+    key: "createdBy",
+    header: "Created By",
+    width: 1.5,
+    value: (cred) => (cred.createdBy ? cred.createdBy.username : ""),
+  },
+  {
+    key: "createdAt",
+    header: "Created Date",
+    width: 1,
+    type: "date",
+    value: (cred) => cred.createdAt,
+  },
+  {
+    key: "notes",
+    header: "Notes",
+    width: 3,
+    value: (cred) => cred.notes || "",
+  },
+];
+
+// Columns used when the caller does not choose any
+export const DEFAULT_EXPORT_COLUMNS = [
+  "nurseId",
+  "nurseName",
+  "licenseNumber",
+  "licenseType",
+  "department",
+  "status",
+  "issueDate",
+  "expiryDate",
+  "createdBy",
+  "createdAt",
+];
+
+export const EXPORT_FORMATS = ["json", "csv", "xlsx", "pdf"];
+
+// Text rendering of a column value for CSV and PDF
+export const formatColumnValue = (column, value) => {
+  if (value === null || value === undefined) return "";
+  if (column.type === "date") return formatDate(value);
+  return String(value);
+};
@@ -0,0 +1,79 @@
+// Credential fields that can be filled from a spreadsheet column. Aliases
+// are matched case-insensitively when no mapping profile covers a field.
+export const IMPORT_FIELDS = [
+  {
+    field: "nurseId",
+    label: "NPK",
+    required: true,
+    aliases: ["npk", "nurse id", "nurseid"],
+  },
+  {
+    field: "nurseName",
+    label: "Nurse name",
+    required: false,
+    aliases: ["nama", "nama perawat", "nurse name", "nursename", "name"],
+  },
+  {
+    field: "licenseNumber",
+    label: "License number",
+    required: true,
+    aliases: ["nomor", "no str", "no sip", "license number", "licensenumber"],
+  },
+  {
+    field: "licenseType",
+    label: "License type",
+    required: true,
+    aliases: ["jenis", "license type", "licensetype", "type"],
+  },
+  {
+    field: "issueDate",
+    label: "Issue date",
+    required: true,
+    aliases: ["tanggal terbit", "issue date", "issuedate"],
+  },
+  {
+    field: "expiryDate",
+    label: "Expiry date",
+    required: true,
+    aliases: [
+      "berlaku sampai",
+      "tanggal kadaluarsa",
+      "expiry date",
+      "expirydate",
+    ],
+  },
+  {
+    field: "department",
+    label: "Department",
+    required: false,
+    aliases: ["unit", "departemen", "department"],
+  },
+  {
+    field: "specializations",
+    label: "Specializations",
+    required: false,
+    aliases: ["spesialisasi", "specializations"],
+  },
+  {
+    field: "notes",
+    label: "Notes",
+    required: false,
+    aliases: ["catatan", "keterangan", "notes"],
+  },
+];
+
+export const DATE_FORMATS = ["auto", "DD/MM/YYYY", "MM/DD/YYYY", "YYYY-MM-DD"];
+
+// Letters, digits and the separators used on STR/SIP documents
+export const LICENSE_NUMBER_PATTERN = /^[A-Z0-9][A-Z0-9./-]{4,49}$/;
+
+export const getImportMaxRows = () => {
+  const rows = parseInt(process.env.CREDENTIAL_IMPORT_MAX_ROWS, 10);
+  return Number.isInteger(rows) && rows > 0 ? rows : 2000;
+};
+
+// Hours a dry-run report stays available for commit
+export const getImportBatchTtlHours = () => {
+  const hours = parseInt(process.env.CREDENTIAL_IMPORT_TTL_HOURS, 10);
+  return Number.isInteger(hours) && hours > 0 ? hours : 24;
+};
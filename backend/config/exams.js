@@ -0,0 +1,12 @@
+// Exam-taking settings, read lazily so dotenv has been loaded.
+
+// How often attempts past their deadline are submitted automatically
+export const getAttemptSweepInterval = () =>
+  parseInt(process.env.EXAM_ATTEMPT_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+
+// Seconds after the deadline in which answers sent before it are still
+// accepted, to allow for network latency
+export const getAnswerGraceSeconds = () => {
+  const value = parseInt(process.env.EXAM_ANSWER_GRACE_SECONDS, 10);
+  return Number.isNaN(value) ? 15 : Math.max(value, 0);
+};
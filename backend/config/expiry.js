@@ -0,0 +1,31 @@
+// Credential expiry settings. Values are read lazily because dotenv is
+// loaded after module imports are evaluated.
+
+const DEFAULT_WARNING_WINDOWS = [90, 60, 30];
+const DEFAULT_CHECK_HOUR = 1;
+
+// Warning windows in days before expiry, e.g. CREDENTIAL_EXPIRY_WINDOWS=90,60,30
+export const getExpiryWindows = () => {
+  const raw = process.env.CREDENTIAL_EXPIRY_WINDOWS;
+  if (!raw) return [...DEFAULT_WARNING_WINDOWS];
+
+  const windows = raw
+    .split(",")
+    .map((value) => parseInt(value.trim(), 10))
+    .filter((value) => Number.isInteger(value) && value > 0);
+
+  return windows.length > 0
+    ? [...new Set(windows)].sort((a, b) => b - a)
+    : [...DEFAULT_WARNING_WINDOWS];
+};
+
+// Hour of day (server local time) at which the daily expiry check runs
+export const getExpiryCheckHour = () => {
+  const hour = parseInt(process.env.CREDENTIAL_EXPIRY_CHECK_HOUR, 10);
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23
+    ? hour
+    : DEFAULT_CHECK_HOUR;
+};
+
+export const isExpirySchedulerEnabled = () =>
+  process.env.CREDENTIAL_EXPIRY_SCHEDULER !== "disabled";
@@ -0,0 +1,36 @@
+// Notification settings, read lazily so dotenv has been loaded.
+
+// SMTP transport. During development and tests any local mail catcher
+// (e.g. MailHog or smtp4dev on port 1025) can stand in for a real server.
+export const getSmtpConfig = () => ({
+  host: process.env.SMTP_HOST || "localhost",
+  port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+  secure: process.env.SMTP_SECURE === "true",
+  ...(process.env.SMTP_USER && {
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  }),
+});
+
+export const getMailFrom = () =>
+  process.env.MAIL_FROM || "Kredensial Perawat <no-reply@kredensial.local>";
+
+// Channels a reminder is delivered on, e.g. NOTIFICATION_CHANNELS=email,in-app
+export const getNotificationChannels = () =>
+  (process.env.NOTIFICATION_CHANNELS || "email,in-app")
+    .split(",")
+    .map((channel) => channel.trim())
+    .filter(Boolean);
+
+export const getOutboxInterval = () =>
+  parseInt(process.env.NOTIFICATION_OUTBOX_INTERVAL_MS, 10) || 60 * 1000;
+
+// How long an entry may stay "sending" before it is assumed the worker
+// delivering it stopped, and the entry is retried
+export const getSendingLease = () =>
+  parseInt(process.env.NOTIFICATION_SENDING_LEASE_MS, 10) || 10 * 60 * 1000;
+
+export const getMaxAttempts = () =>
+  parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
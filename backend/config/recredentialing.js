@@ -0,0 +1,16 @@
+// Default re-credentialing cycles for license types that have no policy
+// stored in the database; the scheduler stores them on its first run.
+// Privilege cycles are always configured through stored policies.
+
+export const DEFAULT_LICENSE_POLICIES = [
+  { scope: "license", licenseType: "STR", periodMonths: 60, leadDays: 90 },
+  { scope: "license", licenseType: "SIP", periodMonths: 60, leadDays: 90 },
+];
+
+export const getRecredentialingCheckHour = () => {
+  const hour = parseInt(process.env.RECREDENTIALING_CHECK_HOUR, 10);
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : 2;
+};
+
+export const isRecredentialingSchedulerEnabled = () =>
+  process.env.RECREDENTIALING_SCHEDULER !== "disabled";
@@ -0,0 +1,28 @@
+// License registry verification settings, read lazily so dotenv has been
+// loaded.
+
+// Provider used to look up licenses: "file" reads a JSON registry such as
+// the bundled mock, "http" calls a registry API. Unset means no registry is
+// configured and credentials are not checked.
+export const getRegistryProvider = () =>
+  process.env.LICENSE_REGISTRY_PROVIDER || null;
+
+export const getRegistryFile = () =>
+  process.env.LICENSE_REGISTRY_FILE || "data/mock-registry.json";
+
+// Base URL of the HTTP registry; licenses are looked up at
+// {url}/licenses/{type}/{number}
+export const getRegistryUrl = () =>
+  (process.env.LICENSE_REGISTRY_URL || "http://localhost:5050").replace(
+    /\/+$/,
+    ""
+  );
+
+export const getRegistryApiKey = () => process.env.LICENSE_REGISTRY_API_KEY;
+
+export const getRegistryTimeoutMs = () =>
+  parseInt(process.env.LICENSE_REGISTRY_TIMEOUT_MS, 10) || 5000;
+
+export const isRegistryVerificationEnabled = () =>
+  Boolean(getRegistryProvider()) &&
+  process.env.LICENSE_REGISTRY_VERIFICATION !== "disabled";
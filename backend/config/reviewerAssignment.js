@@ -0,0 +1,14 @@
+// Peer review assignment settings, read lazily so dotenv has been loaded.
+
+// Days a mitra bestari has to complete an assigned review
+export const getReviewDueDays = () => {
+  const days = parseInt(process.env.REVIEW_DUE_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : 7;
+};
+
+// Open assignments (pending or accepted) above which a reviewer is no
+// longer proposed
+export const getMaxOpenReviews = () => {
+  const max = parseInt(process.env.REVIEW_MAX_OPEN_ASSIGNMENTS, 10);
+  return Number.isInteger(max) && max > 0 ? max : 10;
+};
@@ -14,6 +14,13 @@ const rolePermissions = {
     "edit_credentials",
     "view_reports",
   ],
+  "kepala-unit": [
+    "view_credentials",
+    "create_credentials",
+    "edit_credentials",
+    "view_reports",
+  ],
+  komite: ["view_credentials", "edit_credentials", "view_reports"],
   perawat: ["view_credentials", "create_credentials"], // Added perawat role
 };
 
@@ -27,6 +34,8 @@ const menuAccess = {
     "profile",
   ],
   mitra: ["dashboard", "credentials", "reports", "profile"],
+  "kepala-unit": ["dashboard", "credentials", "reports", "profile"],
+  komite: ["dashboard", "credentials", "reports", "profile"],
   perawat: ["dashboard", "credentials", "profile"], // Added perawat role
   nurse: ["dashboard", "credentials", "profile"], // Keep for backward compatibility
 };
@@ -35,6 +44,8 @@ const menuAccess = {
 const roleHierarchy = {
   perawat: 1, 
   mitra: 2,
+  "kepala-unit": 2,
+  komite: 2,
   admin: 3,
 };
 
@@ -69,6 +80,8 @@ export const canAccessRole = (userRole, requiredRole) => {
 export const roleRedirects = {
   admin: "/dashboard-kepala-unit",
   mitra: "/dashboard-mitra-bestari",
+  "kepala-unit": "/dashboard-kepala-unit",
+  komite: "/dashboard-komite",
   perawat: "/dashboard-perawat",
 };
 
@@ -0,0 +1,50 @@
+// Continuing professional education (SKP) settings. Values are read lazily
+// because dotenv is loaded after module imports are evaluated.
+
+export const SKP_ACTIVITY_CATEGORIES = [
+  "seminar",
+  "workshop",
+  "pelatihan",
+  "publikasi",
+  "pengabdian-masyarakat",
+  "other",
+];
+
+// Credits needed within one license period before it can be renewed, e.g.
+// SKP_REQUIRED_CREDITS=STR:25,SIP:25. License types not listed have no
+// requirement.
+export const getSkpRequirements = () => {
+  const raw = process.env.SKP_REQUIRED_CREDITS;
+  if (!raw) return { STR: 25 };
+
+  const requirements = {};
+  raw.split(",").forEach((entry) => {
+    const [type, credits] = entry.split(":").map((part) => part.trim());
+    const value = parseFloat(credits);
+    if (["STR", "SIP"].includes(type) && value > 0) {
+      requirements[type] = value;
+    }
+  });
+  return requirements;
+};
+
+// Days before expiry from which a credit shortfall is reported, e.g.
+// SKP_WARNING_WINDOWS=180,90
+export const getSkpWarningWindows = () => {
+  const windows = (process.env.SKP_WARNING_WINDOWS || "180,90")
+    .split(",")
+    .map((value) => parseInt(value.trim(), 10))
+    .filter((value) => Number.isInteger(value) && value > 0);
+
+  return windows.length > 0
+    ? [...new Set(windows)].sort((a, b) => b - a)
+    : [180, 90];
+};
+
+export const getSkpCheckHour = () => {
+  const hour = parseInt(process.env.SKP_CHECK_HOUR, 10);
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : 3;
+};
+
+export const isSkpSchedulerEnabled = () =>
+  process.env.SKP_SCHEDULER !== "disabled";
@@ -1,11 +1,37 @@
 import mongoose from "mongoose";
 
+// Credential imports, renewals and suspensions write in transactions, which
+// MongoDB only supports on a replica set or sharded cluster. Unknown until
+// the server has been checked after connecting.
+let transactionsSupported = null;
+
+export const TRANSACTIONS_UNAVAILABLE =
+  "This action is unavailable: the database does not support transactions";
+
+export const supportsTransactions = () => transactionsSupported !== false;
+
+// Warns when the server cannot run transactions; the endpoints that need
+// them answer 503 while everything else keeps working
+export const checkTransactionSupport = async (db) => {
+  const hello = await db.admin().command({ hello: 1 });
+  transactionsSupported = Boolean(hello.setName || hello.msg === "isdbgrid");
+  if (transactionsSupported) return;
+
+  console.warn(
+    "⚠️ MongoDB is running as a standalone server, so credential imports, " +
+      "renewal approvals and suspensions are disabled. They need a replica " +
+      "set: start mongod with --replSet rs0, run rs.initiate() and add " +
+      "?replicaSet=rs0 to MONGODB_URI."
+  );
+};
+
 const connectDB = async () => {
   try {
-    await mongoose.connect(
+    const conn = await mongoose.connect(
       process.env.MONGODB_URI || "mongodb://localhost:27017/kredensial_perawat"
     );
     console.log("MongoDB Connected...");
+    await checkTransactionSupport(conn.connection.db);
   } catch (err) {
     console.error("Database connection error:", err.message);
     process.exit(1);
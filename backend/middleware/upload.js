@@ -0,0 +1,66 @@
+import multer from "multer";
+import path from "path";
+import fs from "fs";
+
+// Shared multer disk pipeline used by file and credential document uploads
+export const createDiskUpload = ({
+  destination,
+  prefix,
+  fileFilter,
+  maxFileSize = 50 * 1024 * 1024,
+}) => {
+  const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+      if (!fs.existsSync(destination)) {
+        fs.mkdirSync(destination, { recursive: true });
+      }
+      cb(null, destination);
+    },
+    filename: function (req, file, cb) {
+      const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+      const fileExtension = path.extname(file.originalname);
+      cb(null, `${prefix}-` + uniqueSuffix + fileExtension);
+    },
+  });
+
+  return multer({
+    storage,
+    fileFilter,
+    limits: { fileSize: maxFileSize },
+  });
+};
+
+export const formatFileSize = (bytes) => {
+  const sizes = ["Bytes", "KB", "MB", "GB"];
+  if (bytes === 0) return "0 Bytes";
+  const i = Math.floor(Math.log(bytes) / Math.log(1024));
+  return Math.round((bytes / Math.pow(1024, i)) * 100) / 100 + " " + sizes[i];
+};
+
+export const getFileType = (mimetype) => {
+  const typeMap = {
+    "application/pdf": "pdf",
+    "application/msword": "docx",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+      "docx",
+    "application/vnd.ms-excel": "xlsx",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "xlsx",
+    "application/vnd.ms-powerpoint": "ppt",
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation":
+      "ppt",
+    "text/plain": "txt",
+    "image/jpeg": "img",
+    "image/png": "img",
+    "image/gif": "img",
+    "application/zip": "zip",
+    "application/x-zip-compressed": "zip",
+  };
+  return typeMap[mimetype] || "default";
+};
+
+// Removes an uploaded file after a failed request
+export const discardUpload = (file) => {
+  if (file?.path && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+};
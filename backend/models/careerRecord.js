@@ -0,0 +1,170 @@
+import mongoose from "mongoose";
+import { MIN_LEVEL, MAX_LEVEL } from "../config/careerLadder.js";
+
+const levelHistorySchema = new mongoose.Schema(
+  {
+    level: {
+      type: Number,
+      required: true,
+    },
+    previousLevel: {
+      type: Number,
+      default: null,
+    },
+    effectiveDate: {
+      type: Date,
+      default: Date.now,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { _id: false }
+);
+
+// Competency exam results and performance evaluations counted for promotion
+const assessmentSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: {
+        values: ["exam", "evaluation"],
+        message: "Assessment type must be exam or evaluation",
+      },
+    },
+    title: {
+      type: String,
+      required: [true, "Assessment title is required"],
+      trim: true,
+    },
+    // Source record, e.g. an exam attempt id
+    reference: {
+      type: String,
+    },
+    score: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    passed: {
+      type: Boolean,
+      required: true,
+    },
+    assessedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  }
+);
+
+const careerRecordSchema = new mongoose.Schema(
+  {
+    nurse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Nurse is required"],
+      unique: true,
+    },
+    unit: {
+      type: String,
+      trim: true,
+    },
+    currentLevel: {
+      type: Number,
+      min: [MIN_LEVEL, `Level must be between ${MIN_LEVEL} and ${MAX_LEVEL}`],
+      max: [MAX_LEVEL, `Level must be between ${MIN_LEVEL} and ${MAX_LEVEL}`],
+      default: MIN_LEVEL,
+    },
+    levelSince: {
+      type: Date,
+      default: Date.now,
+    },
+    // Recorded by an admin or kepala unit; service-years rules fail until
+    // it is set
+    serviceStartDate: {
+      type: Date,
+      default: null,
+    },
+    serviceStartRecordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    levelHistory: {
+      type: [levelHistorySchema],
+      default: [],
+    },
+    assessments: {
+      type: [assessmentSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+careerRecordSchema.index({ unit: 1, currentLevel: 1 });
+
+// Static methods
+
+// Starting record for a nurse who has none yet; not saved
+careerRecordSchema.statics.buildForNurse = function (nurse) {
+  return new this({
+    nurse: nurse._id,
+    unit: nurse.unit,
+    levelSince: nurse.createdAt || new Date(),
+    levelHistory: [
+      {
+        level: MIN_LEVEL,
+        effectiveDate: nurse.createdAt || new Date(),
+        reason: "Initial level",
+      },
+    ],
+  });
+};
+
+// The nurse's record, or an unsaved starting record when there is none, so
+// reads never write; the first save creates it
+careerRecordSchema.statics.findOrBuildForNurse = async function (nurse) {
+  const existing = await this.findOne({ nurse: nurse._id });
+  return existing || this.buildForNurse(nurse);
+};
+
+// Instance methods
+careerRecordSchema.methods.setLevel = function (
+  level,
+  { reason, changedBy, effectiveDate = new Date() } = {}
+) {
+  this.levelHistory.push({
+    level,
+    previousLevel: this.currentLevel,
+    effectiveDate,
+    reason,
+    changedBy,
+  });
+  this.currentLevel = level;
+  this.levelSince = effectiveDate;
+};
+
+careerRecordSchema.methods.addAssessment = function (assessment) {
+  this.assessments.push(assessment);
+  return this.assessments[this.assessments.length - 1];
+};
+
+const CareerRecord = mongoose.model("CareerRecord", careerRecordSchema);
+
+export default CareerRecord;
@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+
+const certificatePrivilegeSchema = new mongoose.Schema(
+  {
+    code: String,
+    name: String,
+    area: String,
+    status: String,
+  },
+  { _id: false }
+);
+
+// Issued credential certificate. The printed content is kept so a
+// certificate can be verified after the credential has changed.
+const certificateSchema = new mongoose.Schema(
+  {
+    credential: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Credential",
+      required: true,
+    },
+    nurse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    serialNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Random token encoded in the QR code
+    verificationToken: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    content: {
+      nurseName: String,
+      npk: String,
+      licenseNumber: String,
+      licenseType: String,
+      department: String,
+      specializations: [String],
+      validFrom: Date,
+      validUntil: Date,
+      privileges: [certificatePrivilegeSchema],
+    },
+    // SHA-256 of the printed content, used to skip identical reissues
+    contentHash: {
+      type: String,
+      required: true,
+    },
+    // HMAC-SHA256 over serial number, token and content hash
+    signature: {
+      type: String,
+      required: true,
+    },
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "File",
+    },
+    status: {
+      type: String,
+      enum: ["current", "superseded"],
+      default: "current",
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    supersededAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+certificateSchema.index({ credential: 1, version: -1 });
+certificateSchema.index({ credential: 1, status: 1 });
+
+// Static methods
+certificateSchema.statics.findCurrent = function (credentialId) {
+  return this.findOne({ credential: credentialId, status: "current" });
+};
+
+const Certificate = mongoose.model("Certificate", certificateSchema);
+
+export default Certificate;
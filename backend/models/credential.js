@@ -0,0 +1,463 @@
+import mongoose from "mongoose";
+import { getExpiryWindows } from "../config/expiry.js";
+import credentialEvents from "../services/credentialEvents.js";
+import {
+  HISTORY_FIELDS,
+  recordVersion,
+} from "../services/credentialHistory.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses the expiry engine may change; suspended and pending are manual
+export const EXPIRY_MANAGED_STATUSES = ["active", "expiring-soon", "expired"];
+
+export const CREDENTIAL_STATUSES = [
+  "active",
+  "expiring-soon",
+  "expired",
+  "suspended",
+  "pending",
+];
+
+// Outcomes of a license registry check; "error" means the registry could
+// not be reached and the check should be retried
+export const REGISTRY_VERIFICATION_STATUSES = [
+  "verified",
+  "mismatch",
+  "not_found",
+  "error",
+];
+
+// Details an admin verification or registry check vouches for
+export const LICENSE_DETAIL_FIELDS = [
+  "nurseName",
+  "licenseNumber",
+  "licenseType",
+  "issueDate",
+  "expiryDate",
+];
+
+// Fields printed on the credential certificate
+const CERTIFICATE_FIELDS = [
+  "nurseId",
+  "nurseName",
+  "licenseNumber",
+  "licenseType",
+  "issueDate",
+  "expiryDate",
+  "department",
+  "specializations",
+  "status",
+];
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      default: null,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    // Warning window (days) for expiring-soon transitions
+    window: {
+      type: Number,
+      default: null,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const certificationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Certification name is required"],
+      trim: true,
+    },
+    issuer: {
+      type: String,
+      trim: true,
+    },
+    issueDate: {
+      type: Date,
+    },
+    expiryDate: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+// Outcome of the last check against the license registry
+const registryVerificationSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: REGISTRY_VERIFICATION_STATUSES,
+      required: true,
+    },
+    provider: {
+      type: String,
+    },
+    // Individual comparisons; unset when the registry had no record
+    checks: {
+      licenseNumber: Boolean,
+      name: Boolean,
+      validity: Boolean,
+      expiryDate: Boolean,
+    },
+    issues: {
+      type: [String],
+      default: [],
+    },
+    registryRecord: {
+      holderName: String,
+      status: String,
+      validFrom: Date,
+      validUntil: Date,
+    },
+    error: {
+      type: String,
+    },
+    checkedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const credentialSchema = new mongoose.Schema(
+  {
+    nurseId: {
+      type: String,
+      required: [true, "Nurse ID is required"],
+      trim: true,
+    },
+    nurseName: {
+      type: String,
+      required: [true, "Nurse name is required"],
+      trim: true,
+      maxLength: [100, "Nurse name cannot exceed 100 characters"],
+    },
+    licenseNumber: {
+      type: String,
+      required: [true, "License number is required"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    licenseType: {
+      type: String,
+      required: [true, "License type is required"],
+      enum: {
+        values: ["STR", "SIP"],
+        message: "License type must be STR or SIP",
+      },
+    },
+    issueDate: {
+      type: Date,
+    },
+    expiryDate: {
+      type: Date,
+      validate: {
+        validator: function (expiryDate) {
+          if (!expiryDate || !this.issueDate) return true;
+          return expiryDate > this.issueDate;
+        },
+        message: "Expiry date must be after issue date",
+      },
+    },
+    department: {
+      type: String,
+      trim: true,
+    },
+    specializations: {
+      type: [String],
+      default: [],
+    },
+    certifications: {
+      type: [certificationSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: CREDENTIAL_STATUSES,
+      default: "pending",
+    },
+    // Smallest warning window the credential has entered, if expiring soon
+    expiryWindow: {
+      type: Number,
+      default: null,
+    },
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
+    },
+    lastExpiryCheckAt: {
+      type: Date,
+    },
+    registryVerification: {
+      type: registryVerificationSchema,
+      default: null,
+    },
+    // Set when an admin has checked the credential against the original
+    // documents; cleared when the license details change
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    verifiedAt: {
+      type: Date,
+      default: null,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxLength: [2000, "Notes cannot exceed 2000 characters"],
+    },
+    // Owning nurse
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Owner is required"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Creator ID is required"],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+credentialSchema.index({ userId: 1, createdAt: -1 });
+credentialSchema.index({ status: 1, expiryDate: 1 });
+credentialSchema.index({ department: 1 });
+credentialSchema.index({ licenseType: 1 });
+credentialSchema.index({ nurseId: 1 });
+credentialSchema.index({ nurseName: "text", licenseNumber: "text" });
+
+// Virtual for days remaining until expiry (negative once expired)
+credentialSchema.virtual("daysUntilExpiry").get(function () {
+  if (!this.expiryDate) return null;
+  return Math.ceil((this.expiryDate.getTime() - Date.now()) / DAY_MS);
+});
+
+// Status derived from expiry date and the configured warning windows
+credentialSchema.statics.computeStatus = function (
+  expiryDate,
+  now = new Date(),
+  windows = getExpiryWindows()
+) {
+  if (!expiryDate) return { status: "active", window: null };
+
+  const daysLeft = Math.ceil((new Date(expiryDate).getTime() - now) / DAY_MS);
+  if (daysLeft <= 0) return { status: "expired", window: null };
+
+  const window = [...windows]
+    .sort((a, b) => a - b)
+    .find((days) => daysLeft <= days);
+
+  return window
+    ? { status: "expiring-soon", window }
+    : { status: "active", window: null };
+};
+
+credentialSchema.statics.findByOwner = function (userId) {
+  return this.find({ userId }).sort({ createdAt: -1 });
+};
+
+// Instance methods
+credentialSchema.methods.transitionStatus = function (
+  status,
+  { window = null, reason, changedBy = null } = {}
+) {
+  if (status === this.status && window === this.expiryWindow) return false;
+
+  const entry = {
+    from: this.status,
+    to: status,
+    window,
+    reason,
+    changedBy,
+    changedAt: new Date(),
+  };
+  this.statusHistory.push(entry);
+  this.$locals.transitions = [...(this.$locals.transitions || []), entry];
+  this.status = status;
+  this.expiryWindow = window;
+  return true;
+};
+
+// Attributes the next save or delete to a user and reason in the change
+// history
+credentialSchema.methods.recordChange = function ({ changedBy, reason } = {}) {
+  this.$locals.change = { changedBy, reason };
+  return this;
+};
+
+// Re-evaluates an expiry-managed status; returns true when it changed
+credentialSchema.methods.refreshExpiryStatus = function (
+  now = new Date(),
+  { changedBy = null, windows } = {}
+) {
+  this.lastExpiryCheckAt = now;
+  if (!EXPIRY_MANAGED_STATUSES.includes(this.status)) return false;
+
+  const { status, window } = this.constructor.computeStatus(
+    this.expiryDate,
+    now,
+    windows
+  );
+
+  let reason = "Credential is valid";
+  if (status === "expired") reason = "Credential has expired";
+  if (status === "expiring-soon") reason = `Expires within ${window} days`;
+
+  return this.transitionStatus(status, { window, reason, changedBy });
+};
+
+// Pre-save hook to clean data and keep status consistent with expiry date
+credentialSchema.pre("save", function (next) {
+  if (this.specializations && Array.isArray(this.specializations)) {
+    this.specializations = this.specializations
+      .map((spec) => spec.trim())
+      .filter((spec, i, arr) => spec !== "" && arr.indexOf(spec) === i);
+  }
+
+  if (this.isNew) {
+    // Suspended and pending credentials are managed manually
+    if (EXPIRY_MANAGED_STATUSES.includes(this.status)) {
+      const { status, window } = this.constructor.computeStatus(
+        this.expiryDate
+      );
+      this.status = status;
+      this.expiryWindow = window;
+    }
+
+    const entry = {
+      from: null,
+      to: this.status,
+      window: this.expiryWindow,
+      reason: "Credential created",
+      changedBy: this.createdBy,
+      changedAt: new Date(),
+    };
+    this.statusHistory.push(entry);
+    this.$locals.transitions = [entry];
+  } else if (this.isModified("expiryDate")) {
+    this.refreshExpiryStatus(new Date(), { changedBy: this.updatedBy });
+  }
+
+  // Verifications vouch for the details they were made against
+  const detailsChanged =
+    !this.isNew &&
+    LICENSE_DETAIL_FIELDS.some((field) => this.isModified(field));
+
+  if (detailsChanged && this.verifiedAt && !this.isModified("verifiedAt")) {
+    this.verifiedAt = null;
+    this.verifiedBy = null;
+  }
+  if (detailsChanged && this.registryVerification) {
+    this.registryVerification = null;
+  }
+  this.$locals.licenseDetailsChanged = detailsChanged;
+
+  this.$locals.certificateFieldsChanged =
+    this.isNew || CERTIFICATE_FIELDS.some((field) => this.isModified(field));
+
+  next();
+});
+
+// Loads the stored state before an update of tracked fields, so the change
+// history can record what changed
+credentialSchema.pre("save", async function () {
+  this.$locals.historyAction = this.isNew ? "created" : null;
+  this.$locals.previousState = null;
+  if (this.isNew || !HISTORY_FIELDS.some((field) => this.isModified(field))) {
+    return;
+  }
+
+  this.$locals.historyAction = "updated";
+  this.$locals.previousState = await this.constructor
+    .findById(this._id)
+    .session(this.$session())
+    .lean();
+});
+
+// Emits the status transitions recorded since the last publish, a
+// "changed" event when certificate fields were modified and a
+// "license-details-changed" event when the license details were
+credentialSchema.methods.publishChanges = function () {
+  const transitions = this.$locals.transitions || [];
+  const changed = this.$locals.certificateFieldsChanged;
+  const detailsChanged = this.$locals.licenseDetailsChanged;
+  this.$locals.transitions = [];
+  this.$locals.certificateFieldsChanged = false;
+  this.$locals.licenseDetailsChanged = false;
+
+  transitions.forEach((transition) => {
+    credentialEvents.emit("status-changed", {
+      credential: this,
+      ...transition,
+    });
+  });
+  if (changed) credentialEvents.emit("changed", { credential: this });
+  if (detailsChanged) {
+    credentialEvents.emit("license-details-changed", { credential: this });
+  }
+};
+
+// Publish changes once they are persisted. Saves inside a transaction are
+// published by the caller after it commits.
+credentialSchema.post("save", function (doc) {
+  if (doc.$session()?.inTransaction()) return;
+  doc.publishChanges();
+});
+
+// Change history; written in the same session as the save it records
+credentialSchema.post("save", async function (doc) {
+  const action = doc.$locals.historyAction;
+  if (!action) return;
+
+  doc.$locals.historyAction = null;
+  await recordVersion(doc, { action, previous: doc.$locals.previousState });
+});
+
+credentialSchema.post(
+  "deleteOne",
+  { document: true, query: false },
+  async function (doc) {
+    await recordVersion(doc, { action: "deleted" });
+  }
+);
+
+const Credential = mongoose.model("Credential", credentialSchema);
+
+export default Credential;
@@ -0,0 +1,267 @@
+import mongoose from "mongoose";
+
+// Credentialing stages, in process order
+export const APPLICATION_STAGES = [
+  "draft",
+  "mitra_review",
+  "unit_endorsement",
+  "committee_review",
+  "returned",
+  "approved",
+  "rejected",
+  "withdrawn",
+];
+
+export const CLOSED_STAGES = ["approved", "rejected", "withdrawn"];
+
+export const RECOMMENDATIONS = [
+  "recommend",
+  "recommend_with_conditions",
+  "not_recommend",
+];
+
+const peerReviewSchema = new mongoose.Schema(
+  {
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    recommendation: {
+      type: String,
+      required: [true, "Recommendation is required"],
+      enum: {
+        values: RECOMMENDATIONS,
+        message: "Invalid recommendation",
+      },
+    },
+    comments: {
+      type: String,
+      trim: true,
+      maxLength: [2000, "Comments cannot exceed 2000 characters"],
+    },
+    reviewedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const decisionSchema = new mongoose.Schema(
+  {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    outcome: {
+      type: String,
+      required: true,
+    },
+    comments: {
+      type: String,
+      trim: true,
+      maxLength: [2000, "Comments cannot exceed 2000 characters"],
+    },
+    decidedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const historySchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      required: true,
+    },
+    from: {
+      type: String,
+    },
+    to: {
+      type: String,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    role: {
+      type: String,
+    },
+    comments: {
+      type: String,
+      trim: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const credentialApplicationSchema = new mongoose.Schema(
+  {
+    applicant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Applicant is required"],
+    },
+    // Applicant's unit at the time of application, used for endorsement
+    unit: {
+      type: String,
+      trim: true,
+    },
+    credential: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Credential",
+    },
+    // Clinical privileges the nurse applies for
+    requestedPrivileges: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Privilege",
+      },
+    ],
+    type: {
+      type: String,
+      enum: {
+        values: ["initial", "renewal", "recredentialing"],
+        message: "Invalid application type",
+      },
+      default: "initial",
+    },
+    stage: {
+      type: String,
+      enum: APPLICATION_STAGES,
+      default: "draft",
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxLength: [2000, "Notes cannot exceed 2000 characters"],
+    },
+    requiredReviews: {
+      type: Number,
+      min: [1, "At least one peer review is required"],
+      default: () =>
+        parseInt(process.env.CREDENTIALING_REQUIRED_REVIEWS, 10) || 1,
+    },
+    reviews: {
+      type: [peerReviewSchema],
+      default: [],
+    },
+    endorsement: {
+      type: decisionSchema,
+    },
+    decision: {
+      type: decisionSchema,
+    },
+    history: {
+      type: [historySchema],
+      default: [],
+    },
+    // Re-credentialing cycle fields, set when a case is opened by the scheduler
+    cycleKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RecredentialingPolicy",
+    },
+    dueDate: {
+      type: Date,
+    },
+    overdueSince: {
+      type: Date,
+    },
+    previousApplication: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CredentialApplication",
+    },
+    carriedOver: {
+      decision: {
+        type: decisionSchema,
+      },
+      evidence: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "File",
+        },
+      ],
+    },
+    // Set while a committee approval is activating the credential and
+    // issuing grants, so only one approval runs at a time
+    approvalStartedAt: {
+      type: Date,
+      default: null,
+    },
+    submittedAt: {
+      type: Date,
+    },
+    closedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+credentialApplicationSchema.index({ applicant: 1, createdAt: -1 });
+credentialApplicationSchema.index({ stage: 1, unit: 1 });
+credentialApplicationSchema.index({ "reviews.reviewer": 1 });
+credentialApplicationSchema.index({ credential: 1 });
+credentialApplicationSchema.index({ type: 1, stage: 1, dueDate: 1 });
+
+credentialApplicationSchema.virtual("isClosed").get(function () {
+  return CLOSED_STAGES.includes(this.stage);
+});
+
+credentialApplicationSchema.virtual("isOverdue").get(function () {
+  return (
+    !!this.dueDate &&
+    !CLOSED_STAGES.includes(this.stage) &&
+    this.dueDate < new Date()
+  );
+});
+
+// Instance methods
+credentialApplicationSchema.methods.moveTo = function (
+  stage,
+  { action, by, role, comments } = {}
+) {
+  this.history.push({
+    action,
+    from: this.stage,
+    to: stage,
+    by,
+    role,
+    comments,
+    at: new Date(),
+  });
+  this.stage = stage;
+  if (CLOSED_STAGES.includes(stage)) this.closedAt = new Date();
+};
+
+credentialApplicationSchema.methods.hasReviewed = function (userId) {
+  return this.reviews.some(
+    (review) =>
+      (review.reviewer._id || review.reviewer).toString() === userId.toString()
+  );
+};
+
+const CredentialApplication = mongoose.model(
+  "CredentialApplication",
+  credentialApplicationSchema
+);
+
+export default CredentialApplication;
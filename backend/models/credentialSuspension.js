@@ -0,0 +1,136 @@
+import mongoose from "mongoose";
+
+export const SUSPENSION_REASON_CATEGORIES = [
+  "clinical-incident",
+  "disciplinary",
+  "license-issue",
+  "health",
+  "investigation",
+  "other",
+];
+
+// A recorded suspension of a credential and, once decided, its
+// reinstatement. Privileges suspended with the credential are kept so
+// reinstatement can restore exactly those.
+const credentialSuspensionSchema = new mongoose.Schema(
+  {
+    credential: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Credential",
+      required: [true, "Credential is required"],
+    },
+    nurse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Nurse is required"],
+    },
+    reasonCategory: {
+      type: String,
+      required: [true, "Reason category is required"],
+      enum: {
+        values: SUSPENSION_REASON_CATEGORIES,
+        message: "Invalid reason category",
+      },
+    },
+    reason: {
+      type: String,
+      required: [true, "Reason is required"],
+      trim: true,
+      maxLength: [2000, "Reason cannot exceed 2000 characters"],
+    },
+    // Incident report number or another reference to the triggering case
+    incidentReference: {
+      type: String,
+      trim: true,
+    },
+    // Credential attachments supporting the decision
+    evidence: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "File",
+      },
+    ],
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Decision maker is required"],
+    },
+    decidedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reviewDate: {
+      type: Date,
+    },
+    previousStatus: {
+      type: String,
+      required: true,
+    },
+    suspendedPrivileges: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PrivilegeGrant",
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["active", "reinstated"],
+      default: "active",
+    },
+    reinstatement: {
+      decision: {
+        type: String,
+        trim: true,
+      },
+      decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      decidedAt: {
+        type: Date,
+      },
+      restoredPrivileges: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "PrivilegeGrant",
+        },
+      ],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+credentialSuspensionSchema.index({ credential: 1, createdAt: -1 });
+credentialSuspensionSchema.index({ nurse: 1, status: 1 });
+credentialSuspensionSchema.index({ status: 1, reviewDate: 1 });
+
+// At most one open suspension per credential
+credentialSuspensionSchema.index(
+  { credential: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+
+credentialSuspensionSchema.virtual("isReviewDue").get(function () {
+  return (
+    this.status === "active" &&
+    Boolean(this.reviewDate) &&
+    this.reviewDate <= new Date()
+  );
+});
+
+// Static methods
+credentialSuspensionSchema.statics.findOpen = function (credentialId) {
+  return this.findOne({ credential: credentialId, status: "active" });
+};
+
+const CredentialSuspension = mongoose.model(
+  "CredentialSuspension",
+  credentialSuspensionSchema
+);
+
+export default CredentialSuspension;
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+const fieldChangeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    from: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    to: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// One recorded mutation of a credential: the changed fields and the full
+// state after the change (for deletions, the state that was deleted)
+const credentialVersionSchema = new mongoose.Schema(
+  {
+    credential: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Credential",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    action: {
+      type: String,
+      required: true,
+      enum: ["created", "updated", "deleted"],
+    },
+    changes: {
+      type: [fieldChangeSchema],
+      default: [],
+    },
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+credentialVersionSchema.index({ credential: 1, version: 1 }, { unique: true });
+credentialVersionSchema.index({ credential: 1, changedAt: -1 });
+
+const CredentialVersion = mongoose.model(
+  "CredentialVersion",
+  credentialVersionSchema
+);
+
+export default CredentialVersion;
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// Last history version allocated for a credential, keyed by credential id.
+// Kept apart from the credential so deletions can still take a version.
+const credentialVersionCounterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Credential",
+    },
+    seq: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  { timestamps: false, versionKey: false }
+);
+
+const CredentialVersionCounter = mongoose.model(
+  "CredentialVersionCounter",
+  credentialVersionCounterSchema
+);
+
+export default CredentialVersionCounter;
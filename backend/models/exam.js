@@ -0,0 +1,141 @@
+import mongoose from "mongoose";
+
+export const EXAM_STATUSES = ["draft", "published", "archived"];
+
+// How checkbox questions are scored: only the exact selection earns points;
+// each right pick earns its share and each wrong pick takes one back, down
+// to zero; or the same, down to minus the question's points
+export const CHECKBOX_SCORING_MODES = ["all-or-nothing", "partial", "negative"];
+
+const examSettingsSchema = new mongoose.Schema(
+  {
+    // Minutes; null means untimed
+    timeLimit: {
+      type: Number,
+      default: null,
+      min: [1, "Time limit must be at least 1 minute"],
+    },
+    shuffleQuestions: {
+      type: Boolean,
+      default: false,
+    },
+    showResults: {
+      type: Boolean,
+      default: true,
+    },
+    allowReview: {
+      type: Boolean,
+      default: true,
+    },
+    passingScore: {
+      type: Number,
+      default: 70,
+      min: [0, "Passing score cannot be negative"],
+      max: [100, "Passing score cannot exceed 100"],
+    },
+    maxAttempts: {
+      type: Number,
+      default: 1,
+      min: [1, "At least one attempt must be allowed"],
+    },
+    checkboxScoring: {
+      type: String,
+      enum: {
+        values: CHECKBOX_SCORING_MODES,
+        message: "Invalid checkbox scoring mode",
+      },
+      default: "all-or-nothing",
+    },
+    // Graders see responses without the nurse's identity
+    anonymousMarking: {
+      type: Boolean,
+      default: true,
+    },
+    // Every manually graded response is marked by two graders, for
+    // high-stakes exams
+    doubleMarking: {
+      type: Boolean,
+      default: false,
+    },
+    // Largest gap between two marks, as a percentage of the question's
+    // points, before a third grader has to settle it
+    markingTolerance: {
+      type: Number,
+      default: 10,
+      min: [0, "Marking tolerance cannot be negative"],
+      max: [100, "Marking tolerance cannot exceed 100"],
+    },
+  },
+  { _id: false }
+);
+
+// An exam assembled from the question bank, in question order
+const examSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Exam title is required"],
+      trim: true,
+      maxLength: [200, "Exam title cannot exceed 200 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    questions: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Question",
+        },
+      ],
+      validate: {
+        validator: (questions) => questions.length > 0,
+        message: "At least one question is required",
+      },
+    },
+    settings: {
+      type: examSettingsSchema,
+      default: () => ({}),
+    },
+    status: {
+      type: String,
+      enum: {
+        values: EXAM_STATUSES,
+        message: "Invalid exam status",
+      },
+      default: "draft",
+    },
+    publishedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Creator ID is required"],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+examSchema.index({ status: 1, createdAt: -1 });
+examSchema.index({ title: "text", description: "text" });
+examSchema.index({ questions: 1 });
+
+examSchema.virtual("questionCount").get(function () {
+  return this.questions?.length || 0;
+});
+
+const Exam = mongoose.model("Exam", examSchema);
+
+export default Exam;
@@ -0,0 +1,271 @@
+import mongoose from "mongoose";
+
+export const ATTEMPT_STATUSES = ["in-progress", "submitted"];
+
+// "pending" while some answers still need a human grader
+export const RESULT_STATUSES = ["pending", "graded"];
+
+export const GRADE_OUTCOMES = [
+  "correct",
+  "partial",
+  "incorrect",
+  "unanswered",
+  "ungraded",
+];
+
+const attemptAnswerSchema = new mongoose.Schema(
+  {
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    // Set for answers to a case study's sub-questions
+    subQuestion: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // A string, or a list of strings for checkbox questions
+    answer: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    savedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// The score of one question, or one case-study sub-question, with the
+// weight it had when graded
+const questionGradeSchema = new mongoose.Schema(
+  {
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    subQuestion: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    type: {
+      type: String,
+    },
+    weight: {
+      type: Number,
+      required: true,
+    },
+    // Null until a grader scores it
+    points: {
+      type: Number,
+      default: null,
+    },
+    outcome: {
+      type: String,
+      enum: GRADE_OUTCOMES,
+      required: true,
+    },
+    // Graders' feedback on manually graded answers
+    feedback: {
+      type: String,
+    },
+    // The two marks were too far apart; a resolving mark settles the score
+    disagreement: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+const attemptResultSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: RESULT_STATUSES,
+      required: true,
+    },
+    score: {
+      type: Number,
+      default: 0,
+    },
+    maxScore: {
+      type: Number,
+      default: 0,
+    },
+    // Null while pending
+    percentage: {
+      type: Number,
+      default: null,
+    },
+    passed: {
+      type: Boolean,
+      default: null,
+    },
+    passingScore: {
+      type: Number,
+    },
+    checkboxScoring: {
+      type: String,
+    },
+    breakdown: {
+      type: [questionGradeSchema],
+      default: [],
+    },
+    gradedAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+// Weight of one question, or one case-study sub-question, when the attempt
+// started
+const scoringWeightSchema = new mongoose.Schema(
+  {
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    subQuestion: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    weight: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// The exam's scoring rules when the attempt started; later changes to the
+// exam or its questions do not change how the attempt is scored
+const attemptScoringSchema = new mongoose.Schema(
+  {
+    passingScore: {
+      type: Number,
+      required: true,
+    },
+    checkboxScoring: {
+      type: String,
+      required: true,
+    },
+    doubleMarking: {
+      type: Boolean,
+      default: false,
+    },
+    markingTolerance: {
+      type: Number,
+      required: true,
+    },
+    weights: {
+      type: [scoringWeightSchema],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+// One sitting of an exam by a nurse. Questions are fixed (and shuffled if
+// the exam asks for it) when the attempt starts.
+const examAttemptSchema = new mongoose.Schema(
+  {
+    exam: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Exam",
+      required: [true, "Exam is required"],
+    },
+    nurse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Nurse is required"],
+    },
+    attemptNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    questions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Question",
+      },
+    ],
+    answers: {
+      type: [attemptAnswerSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ATTEMPT_STATUSES,
+      default: "in-progress",
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Null for untimed exams
+    deadline: {
+      type: Date,
+      default: null,
+    },
+    submittedAt: {
+      type: Date,
+    },
+    // Submitted by the server when the time limit ran out
+    autoSubmitted: {
+      type: Boolean,
+      default: false,
+    },
+    // Null for attempts started before scoring was snapshotted, which are
+    // scored by the exam's current rules
+    scoring: {
+      type: attemptScoringSchema,
+      default: null,
+    },
+    // Set when the attempt is graded after submission
+    result: {
+      type: attemptResultSchema,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+examAttemptSchema.index(
+  { exam: 1, nurse: 1, attemptNumber: 1 },
+  { unique: true }
+);
+examAttemptSchema.index({ nurse: 1, createdAt: -1 });
+examAttemptSchema.index({ status: 1, deadline: 1 });
+examAttemptSchema.index({ "result.status": 1, submittedAt: 1 });
+
+// At most one open attempt per nurse and exam
+examAttemptSchema.index(
+  { exam: 1, nurse: 1 },
+  { unique: true, partialFilterExpression: { status: "in-progress" } }
+);
+
+examAttemptSchema.virtual("remainingSeconds").get(function () {
+  if (this.status !== "in-progress" || !this.deadline) return null;
+  return Math.max(0, Math.floor((this.deadline - Date.now()) / 1000));
+});
+
+// Instance methods
+examAttemptSchema.methods.isExpired = function (now = new Date()) {
+  return Boolean(this.deadline) && now >= this.deadline;
+};
+
+const ExamAttempt = mongoose.model("ExamAttempt", examAttemptSchema);
+
+export default ExamAttempt;
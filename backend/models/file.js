@@ -1,5 +1,31 @@
 import mongoose from "mongoose";
 
+export const CREDENTIAL_DOCUMENT_CATEGORY = "credential_documents";
+export const CREDENTIAL_CERTIFICATE_CATEGORY = "credential_certificates";
+export const SKP_EVIDENCE_CATEGORY = "skp_evidence";
+export const RENEWAL_EVIDENCE_CATEGORY = "renewal_evidence";
+
+const CREDENTIAL_FILE_CATEGORIES = [
+  CREDENTIAL_DOCUMENT_CATEGORY,
+  CREDENTIAL_CERTIFICATE_CATEGORY,
+  RENEWAL_EVIDENCE_CATEGORY,
+];
+
+// Categories only reachable through their credential, SKP activity or
+// renewal request, never the file library
+export const PRIVATE_FILE_CATEGORIES = [
+  ...CREDENTIAL_FILE_CATEGORIES,
+  SKP_EVIDENCE_CATEGORY,
+];
+
+export const CREDENTIAL_DOCUMENT_TYPES = [
+  "str",
+  "sip",
+  "diploma",
+  "training_certificate",
+  "other",
+];
+
 const fileSchema = new mongoose.Schema(
   {
     fileName: {
@@ -20,7 +46,16 @@ const fileSchema = new mongoose.Schema(
     category: {
       type: String,
       required: true,
-      enum: ["guidelines", "templates", "references", "nurse_schedules"], // Added nurse_schedules
+      enum: [
+        "guidelines",
+        "templates",
+        "references",
+        "nurse_schedules", // Added nurse_schedules
+        CREDENTIAL_DOCUMENT_CATEGORY,
+        CREDENTIAL_CERTIFICATE_CATEGORY,
+        SKP_EVIDENCE_CATEGORY,
+        RENEWAL_EVIDENCE_CATEGORY,
+      ],
       default: "guidelines",
     },
     fileType: {
@@ -41,9 +76,43 @@ const fileSchema = new mongoose.Schema(
     },
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: "user",
+      ref: "User",
       required: true,
     },
+    // Credential-scoped attachments and certificates
+    credential: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Credential",
+      required: function () {
+        return CREDENTIAL_FILE_CATEGORIES.includes(this.category);
+      },
+    },
+    // Evidence for a continuing education (SKP) activity
+    skpActivity: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SkpActivity",
+      required: function () {
+        return this.category === SKP_EVIDENCE_CATEGORY;
+      },
+    },
+    // Evidence for a credential renewal request
+    renewalRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RenewalRequest",
+      required: function () {
+        return this.category === RENEWAL_EVIDENCE_CATEGORY;
+      },
+    },
+    documentType: {
+      type: String,
+      enum: {
+        values: CREDENTIAL_DOCUMENT_TYPES,
+        message: "Invalid document type",
+      },
+      required: function () {
+        return this.category === CREDENTIAL_DOCUMENT_CATEGORY;
+      },
+    },
     // Added schedule-specific metadata
     metadata: {
       month: {
@@ -105,6 +174,9 @@ fileSchema.index({ uploadedAt: -1 });
 fileSchema.index({ displayName: "text" });
 fileSchema.index({ "metadata.month": 1, "metadata.year": 1 }); // For schedule queries
 fileSchema.index({ "metadata.unit": 1 }); // For filtering by unit
+fileSchema.index({ credential: 1, isActive: 1 }); // For credential attachments
+fileSchema.index({ skpActivity: 1, isActive: 1 }); // For SKP evidence
+fileSchema.index({ renewalRequest: 1, isActive: 1 }); // For renewal evidence
 
 // Virtual for formatted size
 fileSchema.virtual("sizeFormatted").get(function () {
@@ -129,6 +201,32 @@ fileSchema.methods.incrementDownload = function () {
   return this.save();
 };
 
+// Attachments of a credential, newest first
+fileSchema.statics.findByCredential = function (credentialId) {
+  return this.find({
+    credential: credentialId,
+    category: CREDENTIAL_DOCUMENT_CATEGORY,
+    isActive: true,
+  })
+    .populate("uploadedBy", "username fullName")
+    .sort({ uploadedAt: -1 });
+};
+
+// Public shape of a credential attachment (hides the storage path)
+fileSchema.methods.toAttachment = function () {
+  return {
+    id: this._id,
+    name: this.displayName,
+    originalName: this.originalName,
+    documentType: this.documentType,
+    type: this.fileType,
+    size: this.sizeFormatted,
+    url: this.url,
+    uploadedBy: this.uploadedBy,
+    uploadedAt: this.uploadedAt,
+  };
+};
+
 // Pre-save hook to auto-generate display name for schedules
 fileSchema.pre("save", function (next) {
   if (this.category === "nurse_schedules" && !this.displayName) {
@@ -0,0 +1,145 @@
+import mongoose from "mongoose";
+import { DATE_FORMATS } from "../config/credentialImport.js";
+
+export const COMMIT_MODES = ["atomic", "skip-invalid"];
+
+const importRowSchema = new mongoose.Schema(
+  {
+    // Spreadsheet row (line for CSV) counting the header, or the array
+    // position for JSON imports
+    rowNumber: {
+      type: Number,
+      required: true,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    issues: {
+      type: [String],
+      default: [],
+    },
+    valid: {
+      type: Boolean,
+      default: false,
+    },
+    outcome: {
+      type: String,
+      enum: ["created", "skipped", "failed"],
+    },
+    credential: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Credential",
+    },
+  },
+  { _id: false }
+);
+
+// A validated (dry-run) credential import waiting to be committed
+const importBatchSchema = new mongoose.Schema(
+  {
+    fileName: {
+      type: String,
+      required: true,
+    },
+    format: {
+      type: String,
+      enum: ["csv", "xlsx", "json"],
+      required: true,
+    },
+    profile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ImportProfile",
+    },
+    dateFormat: {
+      type: String,
+      enum: DATE_FORMATS,
+      default: "auto",
+    },
+    // Header each field was read from
+    mapping: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    rows: {
+      type: [importRowSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      // "committing" while one commit request holds the batch
+      enum: ["validated", "committing", "committed"],
+      default: "validated",
+    },
+    commitMode: {
+      type: String,
+      enum: COMMIT_MODES,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    committedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    committedAt: {
+      type: Date,
+    },
+    // Uncommitted batches are removed by MongoDB once this passes; cleared
+    // on commit so the report is kept
+    expiresAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+importBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+importBatchSchema.index({ createdBy: 1, createdAt: -1 });
+
+importBatchSchema.virtual("summary").get(function () {
+  const count = (predicate) => this.rows.filter(predicate).length;
+  return {
+    total: this.rows.length,
+    valid: count((row) => row.valid),
+    invalid: count((row) => !row.valid),
+    created: count((row) => row.outcome === "created"),
+    skipped: count((row) => row.outcome === "skipped"),
+    failed: count((row) => row.outcome === "failed"),
+  };
+});
+
+// Row-level report without the bulky parsed data of valid rows
+importBatchSchema.methods.toReport = function ({ includeRows = true } = {}) {
+  return {
+    id: this._id,
+    fileName: this.fileName,
+    format: this.format,
+    status: this.status,
+    commitMode: this.commitMode,
+    mapping: this.mapping,
+    summary: this.summary,
+    expiresAt: this.status === "validated" ? this.expiresAt : undefined,
+    rows: includeRows
+      ? this.rows.map((row) => ({
+          rowNumber: row.rowNumber,
+          valid: row.valid,
+          issues: row.issues,
+          outcome: row.outcome,
+          credential: row.credential,
+          licenseNumber: row.data?.licenseNumber,
+          nurseId: row.data?.nurseId,
+        }))
+      : undefined,
+  };
+};
+
+const ImportBatch = mongoose.model("ImportBatch", importBatchSchema);
+
+export default ImportBatch;
@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+import { IMPORT_FIELDS, DATE_FORMATS } from "../config/credentialImport.js";
+
+const IMPORT_FIELD_NAMES = IMPORT_FIELDS.map((f) => f.field);
+
+const columnSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+      enum: {
+        values: IMPORT_FIELD_NAMES,
+        message: "{VALUE} is not an importable credential field",
+      },
+    },
+    // Spreadsheet header text, compared case-insensitively
+    header: {
+      type: String,
+      required: [true, "Column header is required"],
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+// Saved spreadsheet column mapping for credential imports
+const importProfileSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Profile name is required"],
+      unique: true,
+      trim: true,
+      maxLength: [100, "Profile name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    columns: {
+      type: [columnSchema],
+      default: [],
+      validate: {
+        validator: function (columns) {
+          const fields = columns.map((c) => c.field);
+          return new Set(fields).size === fields.length;
+        },
+        message: "Each field can only be mapped once",
+      },
+    },
+    dateFormat: {
+      type: String,
+      enum: {
+        values: DATE_FORMATS,
+        message: "Date format must be one of: " + DATE_FORMATS.join(", "),
+      },
+      default: "auto",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+const ImportProfile = mongoose.model("ImportProfile", importProfileSchema);
+
+export default ImportProfile;
@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+
+// Outbox entry: one message for one recipient on one channel
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Recipient is required"],
+    },
+    channel: {
+      type: String,
+      required: true,
+      enum: {
+        values: ["email", "in-app"],
+        message: "Invalid notification channel",
+      },
+    },
+    template: {
+      type: String,
+      required: [true, "Template is required"],
+    },
+    locale: {
+      type: String,
+      enum: ["id", "en"],
+      default: "id",
+    },
+    subject: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    body: {
+      type: String,
+      required: true,
+    },
+    // Address the message was sent to (email channel)
+    to: {
+      type: String,
+      trim: true,
+    },
+    credential: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Credential",
+    },
+    context: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // When a worker claimed the entry for delivery
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+    },
+    readAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ status: 1, claimedAt: 1 });
+notificationSchema.index({ recipient: 1, channel: 1, createdAt: -1 });
+notificationSchema.index({ credential: 1 });
+
+notificationSchema.virtual("isRead").get(function () {
+  return !!this.readAt;
+});
+
+// Static methods
+notificationSchema.statics.findForUser = function (userId, filters = {}) {
+  const query = { recipient: userId };
+
+  if (filters.channel) query.channel = filters.channel;
+  if (filters.status) query.status = filters.status;
+  if (filters.unread === "true" || filters.unread === true) {
+    query.readAt = null;
+  }
+
+  return this.find(query).sort({ createdAt: -1 });
+};
+
+// Instance methods
+notificationSchema.methods.markSent = function () {
+  this.status = "sent";
+  this.sentAt = new Date();
+  this.lastError = undefined;
+  return this.save();
+};
+
+// Schedules a retry with exponential backoff, or gives up after maxAttempts
+notificationSchema.methods.markFailed = function (error) {
+  this.lastError = error?.message || String(error);
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = "failed";
+  } else {
+    this.status = "pending";
+    const delayMinutes = Math.pow(2, this.attempts);
+    this.nextAttemptAt = new Date(Date.now() + delayMinutes * 60 * 1000);
+  }
+
+  return this.save();
+};
+
+notificationSchema.methods.markRead = function () {
+  if (!this.readAt) this.readAt = new Date();
+  return this.save();
+};
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+import { CLINICAL_AREAS } from "../config/clinicalAreas.js";
+
+// Catalogue entry for a clinical privilege (kewenangan klinis)
+const privilegeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Privilege code is required"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Privilege name is required"],
+      trim: true,
+      maxLength: [200, "Privilege name cannot exceed 200 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxLength: [2000, "Description cannot exceed 2000 characters"],
+    },
+    area: {
+      type: String,
+      required: [true, "Clinical area is required"],
+      enum: {
+        values: CLINICAL_AREAS,
+        message: "Invalid clinical area",
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+privilegeSchema.index({ area: 1, isActive: 1 });
+privilegeSchema.index({ name: "text", description: "text" });
+
+// Static methods
+privilegeSchema.statics.findByArea = function (area) {
+  return this.find({ area, isActive: true }).sort({ code: 1 });
+};
+
+// Active catalogue as [{ area, privileges }] in CLINICAL_AREAS order
+privilegeSchema.statics.getGroupedCatalogue = async function (query = {}) {
+  const privileges = await this.find({ isActive: true, ...query }).sort({
+    code: 1,
+  });
+
+  return CLINICAL_AREAS.map((area) => ({
+    area,
+    privileges: privileges.filter((privilege) => privilege.area === area),
+  })).filter((group) => group.privileges.length > 0);
+};
+
+const Privilege = mongoose.model("Privilege", privilegeSchema);
+
+export default Privilege;
@@ -0,0 +1,171 @@
+import mongoose from "mongoose";
+import credentialEvents from "../services/credentialEvents.js";
+
+export const GRANT_STATUSES = ["granted", "supervised", "suspended", "revoked"];
+
+// Statuses under which the nurse may perform the privilege
+export const PRACTISING_STATUSES = ["granted", "supervised"];
+
+const grantHistorySchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      default: null,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// One privilege in a nurse's Rincian Kewenangan Klinis (RKK)
+const privilegeGrantSchema = new mongoose.Schema(
+  {
+    nurse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Nurse is required"],
+    },
+    privilege: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Privilege",
+      required: [true, "Privilege is required"],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: GRANT_STATUSES,
+        message: "Invalid grant status",
+      },
+      default: "granted",
+    },
+    validFrom: {
+      type: Date,
+      required: [true, "Validity start is required"],
+      default: Date.now,
+    },
+    validUntil: {
+      type: Date,
+      required: [true, "Validity end is required"],
+      validate: {
+        validator: function (validUntil) {
+          return !this.validFrom || validUntil > this.validFrom;
+        },
+        message: "Validity end must be after validity start",
+      },
+    },
+    // Credentialing decision the grant was issued under
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CredentialApplication",
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Granting user is required"],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxLength: [2000, "Notes cannot exceed 2000 characters"],
+    },
+    statusHistory: {
+      type: [grantHistorySchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+privilegeGrantSchema.index({ nurse: 1, status: 1 });
+privilegeGrantSchema.index({ privilege: 1, status: 1 });
+privilegeGrantSchema.index({ validUntil: 1 });
+privilegeGrantSchema.index({ application: 1 });
+
+privilegeGrantSchema.virtual("isCurrent").get(function () {
+  const now = new Date();
+  return (
+    PRACTISING_STATUSES.includes(this.status) &&
+    this.validFrom <= now &&
+    this.validUntil >= now
+  );
+});
+
+// Static methods
+privilegeGrantSchema.statics.findForNurse = function (nurseId, options = {}) {
+  const query = { nurse: nurseId };
+
+  if (options.current) {
+    const on = options.on ? new Date(options.on) : new Date();
+    query.status = { $in: PRACTISING_STATUSES };
+    query.validFrom = { $lte: on };
+    query.validUntil = { $gte: on };
+  } else if (options.status) {
+    query.status = options.status;
+  }
+
+  return this.find(query)
+    .populate("privilege", "code name area description")
+    .populate("grantedBy", "username fullName")
+    .sort({ validUntil: -1 });
+};
+
+// Instance methods
+privilegeGrantSchema.methods.changeStatus = function (
+  status,
+  { reason, changedBy } = {}
+) {
+  if (status === this.status) return false;
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    reason,
+    changedBy,
+    changedAt: new Date(),
+  });
+  this.status = status;
+  return true;
+};
+
+// Pre-save hook to record the initial status
+privilegeGrantSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      to: this.status,
+      reason: "Privilege granted",
+      changedBy: this.grantedBy,
+    });
+  }
+  next();
+});
+
+// Certificates list the nurse's privileges, so they follow grant changes
+privilegeGrantSchema.post("save", function (doc) {
+  credentialEvents.emit("privileges-changed", {
+    nurseId: doc.nurse._id || doc.nurse,
+  });
+});
+
+const PrivilegeGrant = mongoose.model("PrivilegeGrant", privilegeGrantSchema);
+
+export default PrivilegeGrant;
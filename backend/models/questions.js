@@ -1,4 +1,157 @@
 import mongoose from "mongoose";
+import { CLINICAL_AREAS } from "../config/clinicalAreas.js";
+
+export const QUESTION_TYPES = [
+  "short-answer",
+  "multiple-choice",
+  "checkbox",
+  "case-study",
+];
+
+// Types answered by picking from pilihan
+export const CHOICE_QUESTION_TYPES = ["multiple-choice", "checkbox"];
+
+// Types a case-study sub-question can have
+export const SUB_QUESTION_TYPES = QUESTION_TYPES.filter(
+  (type) => type !== "case-study"
+);
+
+export const DIFFICULTY_LEVELS = ["Easy", "Medium", "Hard"];
+
+// One criterion graders score short-answer and case-study responses on
+const rubricCriterionSchema = new mongoose.Schema({
+  kriteria: {
+    type: String,
+    required: [true, "Kriteria is required"],
+    trim: true,
+    maxLength: [500, "Kriteria cannot exceed 500 characters"],
+  },
+  poin: {
+    type: Number,
+    required: [true, "Poin is required"],
+    min: [0, "Poin cannot be negative"],
+  },
+});
+
+const isImageUrl = (v) =>
+  v === null ||
+  v === undefined ||
+  /^(https?|ftp):\/\/[^\s/$.?#].[^\s]*$/.test(v);
+
+const imageField = () => ({
+  type: String,
+  validate: {
+    validator: isImageUrl,
+    message: "Invalid image URL format",
+  },
+});
+
+// Options, answer key, points and marking guidance, shared by questions and
+// case-study sub-questions
+const answerFields = () => ({
+  pilihan: {
+    type: [String],
+    required: function () {
+      return this.type === "multiple-choice" || this.type === "checkbox";
+    },
+    validate: {
+      validator: function (pilihan) {
+        if (this.type === "multiple-choice" || this.type === "checkbox") {
+          // Check for empty options
+          const hasEmptyOptions = pilihan.some((opt) => opt.trim() === "");
+          if (hasEmptyOptions) return false;
+
+          return pilihan.length >= 2 && pilihan.length <= 6;
+        }
+        return true;
+      },
+      message: "Pilihan ganda questions must have 2-6 non-empty options",
+    },
+  },
+
+  jawabanBenar: {
+    type: mongoose.Schema.Types.Mixed, // Can be String for MC or [String] for checkbox
+    required: function () {
+      return this.type === "multiple-choice" || this.type === "checkbox";
+    },
+    validate: {
+      validator: function (jawaban) {
+        if (this.type === "multiple-choice") {
+          return this.pilihan.includes(jawaban);
+        } else if (this.type === "checkbox") {
+          return (
+            Array.isArray(jawaban) &&
+            jawaban.length > 0 &&
+            jawaban.every((ans) => this.pilihan.includes(ans))
+          );
+        }
+        return true;
+      },
+      message: "Jawaban benar must be one of the provided pilihan",
+    },
+  },
+
+  // Points the question is worth in an exam
+  bobot: {
+    type: Number,
+    default: 1,
+    min: [0, "Bobot cannot be negative"],
+  },
+
+  // Marking rubric for answers that need a grader
+  rubrik: {
+    type: [rubricCriterionSchema],
+    default: [],
+    validate: {
+      validator: (rubrik) => rubrik.length <= 10,
+      message: "Rubrik cannot have more than 10 criteria",
+    },
+  },
+
+  penjelasan: {
+    type: String,
+    trim: true,
+    maxLength: [2000, "Penjelasan cannot exceed 2000 characters"],
+  },
+});
+
+// The patient scenario shared by a case study's sub-questions
+const scenarioSchema = new mongoose.Schema(
+  {
+    riwayat: {
+      type: String,
+      trim: true,
+      maxLength: [3000, "Riwayat cannot exceed 3000 characters"],
+    },
+    tandaVital: {
+      type: String,
+      trim: true,
+      maxLength: [1000, "Tanda vital cannot exceed 1000 characters"],
+    },
+    // E.g. an ECG strip or an X-ray
+    image: imageField(),
+  },
+  { _id: false }
+);
+
+// One question of a case study
+const subQuestionSchema = new mongoose.Schema({
+  pertanyaan: {
+    type: String,
+    required: [true, "Sub-pertanyaan text is required"],
+    trim: true,
+    maxLength: [1000, "Sub-pertanyaan cannot exceed 1000 characters"],
+  },
+  type: {
+    type: String,
+    required: [true, "Sub-pertanyaan type is required"],
+    enum: {
+      values: SUB_QUESTION_TYPES,
+      message: "Invalid sub-pertanyaan type",
+    },
+  },
+  ...answerFields(),
+});
 
 const questionSchema = new mongoose.Schema(
   {
@@ -14,68 +167,18 @@ const questionSchema = new mongoose.Schema(
       type: String,
       required: [true, "Question type is required"],
       enum: {
-        values: ["short-answer", "multiple-choice", "checkbox", "case-study"],
+        values: QUESTION_TYPES,
         message: "Invalid question type",
       },
     },
 
-    pilihan: {
-      type: [String],
-      required: function () {
-        return this.type === "multiple-choice" || this.type === "checkbox";
-      },
-      validate: {
-        validator: function (pilihan) {
-          if (this.type === "multiple-choice" || this.type === "checkbox") {
-            // Check for empty options
-            const hasEmptyOptions = pilihan.some((opt) => opt.trim() === "");
-            if (hasEmptyOptions) return false;
-
-            return pilihan.length >= 2 && pilihan.length <= 6;
-          }
-          return true;
-        },
-        message: "Pilihan ganda questions must have 2-6 non-empty options",
-      },
-    },
-
-    jawabanBenar: {
-      type: mongoose.Schema.Types.Mixed, // Can be String for MC or [String] for checkbox
-      required: function () {
-        return this.type === "multiple-choice" || this.type === "checkbox";
-      },
-      validate: {
-        validator: function (jawaban) {
-          if (this.type === "multiple-choice") {
-            return this.pilihan.includes(jawaban);
-          } else if (this.type === "checkbox") {
-            return (
-              Array.isArray(jawaban) &&
-              jawaban.length > 0 &&
-              jawaban.every((ans) => this.pilihan.includes(ans))
-            );
-          }
-          return true;
-        },
-        message: "Jawaban benar must be one of the provided pilihan",
-      },
-    },
+    ...answerFields(),
 
     kategori: {
       type: String,
       required: [true, "Kategori is required"],
       enum: {
-        values: [
-          "Fundamental Nursing",
-          "Medical-Surgical",
-          "Pediatric",
-          "Obstetric",
-          "Psychiatric",
-          "Community Health",
-          "Critical Care",
-          "Emergency",
-          "Other",
-        ],
+        values: CLINICAL_AREAS,
         message: "Invalid kategori value",
       },
       default: "Other",
@@ -83,27 +186,29 @@ const questionSchema = new mongoose.Schema(
 
     tingkatKesulitan: {
       type: String,
-      enum: ["Easy", "Medium", "Hard"],
+      enum: DIFFICULTY_LEVELS,
       default: "Medium",
     },
 
-    penjelasan: {
-      type: String,
-      trim: true,
-      maxLength: [2000, "Penjelasan cannot exceed 2000 characters"],
+    image: imageField(),
+
+    // The patient scenario of a case study
+    skenario: {
+      type: scenarioSchema,
+      default: undefined,
     },
 
-    image: {
-      type: String,
+    // A case study's sub-questions in order; each is answered and graded on
+    // its own. Case studies without them are answered as one written answer.
+    subPertanyaan: {
+      type: [subQuestionSchema],
+      default: [],
       validate: {
-        validator: function (v) {
-          return (
-            v === null ||
-            v === undefined ||
-            /^(https?|ftp):\/\/[^\s/$.?#].[^\s]*$/.test(v)
-          );
+        validator: function (subPertanyaan) {
+          if (this.type !== "case-study") return subPertanyaan.length === 0;
+          return subPertanyaan.length <= 10;
         },
-        message: "Invalid image URL format",
+        message: "Only case studies have sub-pertanyaan, at most 10",
       },
     },
 
@@ -118,6 +223,13 @@ const questionSchema = new mongoose.Schema(
       default: true,
     },
 
+    // Position in the question bank; unordered questions sort first,
+    // newest first
+    order: {
+      type: Number,
+      default: 0,
+    },
+
     tags: {
       type: [String],
       validate: {
@@ -142,6 +254,7 @@ questionSchema.index({ tingkatKesulitan: 1 });
 questionSchema.index({ createdBy: 1 });
 questionSchema.index({ isActive: 1 });
 questionSchema.index({ type: 1 });
+questionSchema.index({ order: 1, createdAt: -1 });
 
 // Pre-save hook to clean data
 questionSchema.pre("save", function (next) {
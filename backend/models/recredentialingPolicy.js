@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+// How often a license type or clinical privilege must be re-credentialed
+const recredentialingPolicySchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      required: [true, "Policy scope is required"],
+      enum: {
+        values: ["license", "privilege"],
+        message: "Scope must be license or privilege",
+      },
+    },
+    licenseType: {
+      type: String,
+      enum: ["STR", "SIP"],
+      required: function () {
+        return this.scope === "license";
+      },
+    },
+    privilege: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Privilege",
+      required: function () {
+        return this.scope === "privilege";
+      },
+    },
+    periodMonths: {
+      type: Number,
+      required: [true, "Period is required"],
+      min: [1, "Period must be at least one month"],
+    },
+    // Days before the due date at which a case is opened
+    leadDays: {
+      type: Number,
+      min: [0, "Lead time cannot be negative"],
+      default: 90,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// One policy per license type and per privilege
+recredentialingPolicySchema.index(
+  { scope: 1, licenseType: 1, privilege: 1 },
+  { unique: true }
+);
+
+const RecredentialingPolicy = mongoose.model(
+  "RecredentialingPolicy",
+  recredentialingPolicySchema
+);
+
+export default RecredentialingPolicy;
@@ -0,0 +1,120 @@
+import mongoose from "mongoose";
+
+export const RENEWAL_STATUSES = [
+  "pending",
+  "approved",
+  "rejected",
+  "withdrawn",
+];
+
+// License period of a credential; kept on approved requests so the period
+// a renewal replaced stays on record
+const licensePeriodSchema = new mongoose.Schema(
+  {
+    licenseNumber: {
+      type: String,
+    },
+    issueDate: {
+      type: Date,
+    },
+    expiryDate: {
+      type: Date,
+    },
+    status: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+// A nurse's request to renew one of their credentials with a new license
+// period. Applied to the credential once an admin or mitra approves it.
+const renewalRequestSchema = new mongoose.Schema(
+  {
+    credential: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Credential",
+      required: [true, "Credential is required"],
+    },
+    nurse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Nurse is required"],
+    },
+    licenseNumber: {
+      type: String,
+      required: [true, "New license number is required"],
+      trim: true,
+      uppercase: true,
+    },
+    issueDate: {
+      type: Date,
+      required: [true, "New issue date is required"],
+    },
+    expiryDate: {
+      type: Date,
+      required: [true, "New expiry date is required"],
+      validate: {
+        validator: function (expiryDate) {
+          return !this.issueDate || expiryDate > this.issueDate;
+        },
+        message: "Expiry date must be after issue date",
+      },
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxLength: [2000, "Notes cannot exceed 2000 characters"],
+    },
+    evidence: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "File",
+      },
+    ],
+    status: {
+      type: String,
+      enum: RENEWAL_STATUSES,
+      default: "pending",
+    },
+    previousPeriod: {
+      type: licensePeriodSchema,
+      default: null,
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+renewalRequestSchema.index({ nurse: 1, createdAt: -1 });
+renewalRequestSchema.index({ status: 1, createdAt: 1 });
+
+// At most one open request per credential
+renewalRequestSchema.index(
+  { credential: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+const RenewalRequest = mongoose.model("RenewalRequest", renewalRequestSchema);
+
+export default RenewalRequest;
@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+
+// A regular mark, or one settling a disagreement between double markers
+export const MARK_KINDS = ["mark", "resolution"];
+
+const criterionScoreSchema = new mongoose.Schema(
+  {
+    criterion: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    points: {
+      type: Number,
+      required: true,
+      min: [0, "Criterion points cannot be negative"],
+    },
+  },
+  { _id: false }
+);
+
+// A grader's score for one short-answer or case-study response in an exam
+// attempt
+const responseMarkSchema = new mongoose.Schema(
+  {
+    attempt: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ExamAttempt",
+      required: [true, "Attempt is required"],
+    },
+    exam: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Exam",
+      required: true,
+    },
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: [true, "Question is required"],
+    },
+    // Set when marking a case study's sub-question
+    subQuestion: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    grader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Grader is required"],
+    },
+    kind: {
+      type: String,
+      enum: MARK_KINDS,
+      default: "mark",
+    },
+    // Scores per rubric criterion, when the question has a rubric
+    criteria: {
+      type: [criterionScoreSchema],
+      default: [],
+    },
+    // Points out of the question's weight
+    points: {
+      type: Number,
+      required: [true, "Points are required"],
+      min: [0, "Points cannot be negative"],
+    },
+    feedback: {
+      type: String,
+      trim: true,
+      maxLength: [2000, "Feedback cannot exceed 2000 characters"],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+responseMarkSchema.index(
+  { attempt: 1, question: 1, subQuestion: 1, grader: 1 },
+  { unique: true }
+);
+responseMarkSchema.index({ grader: 1, createdAt: -1 });
+
+const ResponseMark = mongoose.model("ResponseMark", responseMarkSchema);
+
+export default ResponseMark;
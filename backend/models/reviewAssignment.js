@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+export const ASSIGNMENT_STATUSES = [
+  "pending",
+  "accepted",
+  "declined",
+  "completed",
+  "cancelled",
+];
+
+// Statuses that count towards a reviewer's open workload
+export const OPEN_ASSIGNMENT_STATUSES = ["pending", "accepted"];
+
+// A mitra bestari assigned to peer review one credential application
+const reviewAssignmentSchema = new mongoose.Schema(
+  {
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CredentialApplication",
+      required: [true, "Application is required"],
+    },
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Reviewer is required"],
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ASSIGNMENT_STATUSES,
+      default: "pending",
+    },
+    dueDate: {
+      type: Date,
+      required: [true, "Due date is required"],
+    },
+    respondedAt: {
+      type: Date,
+    },
+    declineReason: {
+      type: String,
+      trim: true,
+      maxLength: [1000, "Decline reason cannot exceed 1000 characters"],
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+reviewAssignmentSchema.index({ reviewer: 1, status: 1, dueDate: 1 });
+reviewAssignmentSchema.index({ application: 1, status: 1 });
+
+reviewAssignmentSchema.virtual("isOverdue").get(function () {
+  return (
+    OPEN_ASSIGNMENT_STATUSES.includes(this.status) && this.dueDate < new Date()
+  );
+});
+
+// Instance methods
+reviewAssignmentSchema.methods.respond = function (accept, reason) {
+  this.status = accept ? "accepted" : "declined";
+  this.respondedAt = new Date();
+  this.declineReason = accept ? undefined : reason;
+  return this.save();
+};
+
+const ReviewAssignment = mongoose.model(
+  "ReviewAssignment",
+  reviewAssignmentSchema
+);
+
+export default ReviewAssignment;
@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+import { SKP_ACTIVITY_CATEGORIES } from "../config/skp.js";
+
+export const SKP_REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+// One continuing professional education activity in a nurse's SKP ledger.
+// Credits only count towards renewal once the kepala unit approves them.
+const skpActivitySchema = new mongoose.Schema(
+  {
+    nurse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Nurse is required"],
+    },
+    title: {
+      type: String,
+      required: [true, "Activity title is required"],
+      trim: true,
+      maxlength: [200, "Activity title cannot exceed 200 characters"],
+    },
+    category: {
+      type: String,
+      required: [true, "Activity category is required"],
+      enum: {
+        values: SKP_ACTIVITY_CATEGORIES,
+        message: "Invalid activity category",
+      },
+    },
+    provider: {
+      type: String,
+      trim: true,
+    },
+    activityDate: {
+      type: Date,
+      required: [true, "Activity date is required"],
+      validate: {
+        validator: (value) => value <= new Date(),
+        message: "Activity date cannot be in the future",
+      },
+    },
+    credits: {
+      type: Number,
+      required: [true, "Credit amount is required"],
+      min: [0.25, "Credits must be at least 0.25"],
+      max: [50, "Credits cannot exceed 50 for one activity"],
+    },
+    certificateNumber: {
+      type: String,
+      trim: true,
+    },
+    evidence: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "File",
+      },
+    ],
+    status: {
+      type: String,
+      enum: SKP_REVIEW_STATUSES,
+      default: "pending",
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+skpActivitySchema.index({ nurse: 1, activityDate: 1 });
+skpActivitySchema.index({ status: 1, createdAt: -1 });
+
+// Instance methods
+skpActivitySchema.methods.review = function (decision, user, note) {
+  this.status = decision;
+  this.reviewedBy = user;
+  this.reviewedAt = new Date();
+  this.reviewNote = note;
+  return this.save();
+};
+
+const SkpActivity = mongoose.model("SkpActivity", skpActivitySchema);
+
+export default SkpActivity;
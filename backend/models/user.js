@@ -1,6 +1,7 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import { v4 as uuidv4 } from "uuid";
+import { CLINICAL_AREAS } from "../config/clinicalAreas.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -58,7 +59,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["admin", "mitra", "perawat", "kepala-unit"],
+      enum: ["admin", "mitra", "perawat", "kepala-unit", "komite"],
       default: "perawat",
       required: true,
     },
@@ -82,6 +83,27 @@ const userSchema = new mongoose.Schema(
         return this.role === "perawat" || this.role === "kepala-unit";
       },
     },
+    // Clinical areas a mitra bestari may review applications in
+    expertiseAreas: [
+      {
+        type: String,
+        enum: {
+          values: CLINICAL_AREAS,
+          message: "Invalid clinical area",
+        },
+      },
+    ],
+    // Direct supervisor, who may not peer review this user's applications
+    supervisor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Preferred language for notifications
+    language: {
+      type: String,
+      enum: ["id", "en"],
+      default: "id",
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -314,6 +336,7 @@ userSchema.statics = {
         "npk",
         "permissions",
         "isActive",
+        "language",
       ];
 
       const updates = Object.keys(updateData).reduce((acc, key) => {
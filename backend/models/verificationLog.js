@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+export const VERIFICATION_RESULTS = [
+  "valid",
+  "inactive",
+  "superseded",
+  "tampered",
+  "not_found",
+];
+
+// One entry per public certificate verification lookup
+const verificationLogSchema = new mongoose.Schema(
+  {
+    // SHA-256 of the presented token or hash; raw tokens are not stored
+    lookupHash: {
+      type: String,
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: ["token", "signature"],
+      required: true,
+    },
+    result: {
+      type: String,
+      enum: VERIFICATION_RESULTS,
+      required: true,
+    },
+    certificate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Certificate",
+    },
+    credential: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Credential",
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+verificationLogSchema.index({ credential: 1, createdAt: -1 });
+verificationLogSchema.index({ result: 1, createdAt: -1 });
+
+const VerificationLog = mongoose.model(
+  "VerificationLog",
+  verificationLogSchema
+);
+
+export default VerificationLog;
@@ -0,0 +1,321 @@
+import express from "express";
+import CredentialApplication, {
+  APPLICATION_STAGES,
+} from "../models/credentialApplication.js";
+import Credential from "../models/credential.js";
+import User from "../models/user.js";
+import { authenticateToken as auth } from "../middleware/roleAuth.js";
+import {
+  performAction,
+  getAvailableActions,
+  WorkflowError,
+  COMMITTEE_ROLES,
+} from "../services/credentialWorkflow.js";
+import { findInvalidPrivileges } from "../services/privilegeService.js";
+
+const router = express.Router();
+
+const POPULATE_USERS = [
+  { path: "applicant", select: "username fullName npk unit" },
+  { path: "credential", select: "licenseNumber licenseType status expiryDate" },
+  { path: "requestedPrivileges", select: "code name area" },
+  { path: "reviews.reviewer", select: "username fullName" },
+  { path: "endorsement.by", select: "username fullName" },
+  { path: "decision.by", select: "username fullName" },
+];
+
+// Why requested privileges cannot be accepted, or null when they can
+const checkPrivilegeIds = async (privilegeIds) => {
+  if (!Array.isArray(privilegeIds)) return "privilegeIds must be a list";
+
+  const invalid = await findInvalidPrivileges(privilegeIds);
+  return invalid.length > 0
+    ? `Some privileges are invalid or inactive: ${invalid.join(", ")}`
+    : null;
+};
+
+// Applications each role is allowed to see
+const visibilityQuery = (actor) => {
+  if (COMMITTEE_ROLES.includes(actor.role)) return {};
+
+  if (actor.role === "kepala-unit") {
+    return { $or: [{ unit: actor.unit }, { applicant: actor._id }] };
+  }
+
+  if (actor.role === "mitra") {
+    return {
+      $or: [
+        { stage: "mitra_review" },
+        { "reviews.reviewer": actor._id },
+        { applicant: actor._id },
+      ],
+    };
+  }
+
+  return { applicant: actor._id };
+};
+
+const canView = (application, actor) =>
+  CredentialApplication.exists({
+    _id: application._id,
+    ...visibilityQuery(actor),
+  });
+
+const handleError = (res, error, message) => {
+  if (error instanceof WorkflowError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message });
+};
+
+router.get("/", auth, async (req, res) => {
+  try {
+    const { stage, type, page = 1, limit = 10 } = req.query;
+    const actor = await User.findActiveById(req.user.id);
+
+    if (!actor) {
+      return res.status(403).json({
+        success: false,
+        message: "User not found or inactive",
+      });
+    }
+
+    const query = { $and: [visibilityQuery(actor)] };
+    if (stage && APPLICATION_STAGES.includes(stage)) query.$and.push({ stage });
+    if (type) query.$and.push({ type });
+
+    const [applications, total] = await Promise.all([
+      CredentialApplication.find(query)
+        .populate(POPULATE_USERS)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      CredentialApplication.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        applications,
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        total,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, "Error fetching applications");
+  }
+});
+
+router.get("/:id", auth, async (req, res) => {
+  try {
+    const [application, actor] = await Promise.all([
+      CredentialApplication.findById(req.params.id).populate(POPULATE_USERS),
+      User.findActiveById(req.user.id),
+    ]);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: "Application not found",
+      });
+    }
+
+    if (!actor || !(await canView(application, actor))) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied to this application",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...application.toJSON(),
+        availableActions: await getAvailableActions(application, req.user),
+      },
+    });
+  } catch (error) {
+    handleError(res, error, "Error fetching application");
+  }
+});
+
+router.post("/", auth, async (req, res) => {
+  try {
+    const { credentialId, type, notes, privilegeIds = [] } = req.body;
+    const actor = await User.findActiveById(req.user.id);
+
+    if (!actor) {
+      return res.status(403).json({
+        success: false,
+        message: "User not found or inactive",
+      });
+    }
+
+    const privilegeError = await checkPrivilegeIds(privilegeIds);
+    if (privilegeError) {
+      return res.status(400).json({
+        success: false,
+        message: privilegeError,
+      });
+    }
+
+    if (credentialId) {
+      const credential = await Credential.findById(credentialId);
+      if (
+        !credential ||
+        credential.userId.toString() !== actor._id.toString()
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Credential not found or not owned by the applicant",
+        });
+      }
+    }
+
+    const application = new CredentialApplication({
+      applicant: actor._id,
+      unit: actor.unit,
+      credential: credentialId,
+      requestedPrivileges: privilegeIds,
+      type,
+      notes,
+      history: [
+        { action: "create", to: "draft", by: actor._id, role: actor.role },
+      ],
+    });
+
+    await application.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Application created successfully",
+      data: application,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)
+          .map((err) => err.message)
+          .join(", "),
+      });
+    }
+    handleError(res, error, "Error creating application");
+  }
+});
+
+router.put("/:id", auth, async (req, res) => {
+  try {
+    const application = await CredentialApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: "Application not found",
+      });
+    }
+
+    if (application.applicant.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the applicant can edit this application",
+      });
+    }
+
+    if (!["draft", "returned"].includes(application.stage)) {
+      return res.status(409).json({
+        success: false,
+        message: "Only draft or returned applications can be edited",
+      });
+    }
+
+    const { notes, type, privilegeIds } = req.body;
+
+    if (privilegeIds !== undefined) {
+      const privilegeError = await checkPrivilegeIds(privilegeIds);
+      if (privilegeError) {
+        return res.status(400).json({
+          success: false,
+          message: privilegeError,
+        });
+      }
+    }
+
+    if (notes !== undefined) application.notes = notes;
+    if (type) application.type = type;
+    if (Array.isArray(privilegeIds)) {
+      application.requestedPrivileges = privilegeIds;
+    }
+
+    await application.save();
+
+    res.json({
+      success: true,
+      message: "Application updated successfully",
+      data: application,
+    });
+  } catch (error) {
+    handleError(res, error, "Error updating application");
+  }
+});
+
+// Workflow actions; transitions and role checks live in the workflow service
+const actionRoute = (action, message) => async (req, res) => {
+  try {
+    const application = await performAction(
+      req.params.id,
+      action,
+      req.user,
+      req.body
+    );
+    await application.populate(POPULATE_USERS);
+
+    res.json({
+      success: true,
+      message,
+      data: application,
+    });
+  } catch (error) {
+    handleError(res, error, `Error performing ${action}`);
+  }
+};
+
+router.post(
+  "/:id/submit",
+  auth,
+  actionRoute("submit", "Application submitted")
+);
+router.post("/:id/reviews", auth, actionRoute("review", "Review recorded"));
+router.post(
+  "/:id/endorse",
+  auth,
+  actionRoute("endorse", "Application endorsed")
+);
+router.post(
+  "/:id/return",
+  auth,
+  actionRoute("return", "Application returned")
+);
+router.post(
+  "/:id/approve",
+  auth,
+  actionRoute("approve", "Application approved")
+);
+router.post(
+  "/:id/reject",
+  auth,
+  actionRoute("reject", "Application rejected")
+);
+router.post(
+  "/:id/withdraw",
+  auth,
+  actionRoute("withdraw", "Application withdrawn")
+);
+
+export default router;
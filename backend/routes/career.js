@@ -0,0 +1,293 @@
+import express from "express";
+import CareerRecord from "../models/careerRecord.js";
+import User from "../models/user.js";
+import {
+  CAREER_LEVELS,
+  MIN_LEVEL,
+  MAX_LEVEL,
+  getPromotionRules,
+} from "../config/careerLadder.js";
+import {
+  authenticateToken as auth,
+  requireRole,
+} from "../middleware/roleAuth.js";
+import {
+  evaluateEligibility,
+  listEligibleNurses,
+} from "../services/careerLadder.js";
+
+const router = express.Router();
+
+// Promotions are decided by the credentialing committee or an admin
+const LEVEL_MANAGERS = ["admin", "komite"];
+
+// Loads the nurse's career record; visible to the nurse, their kepala unit,
+// reviewers, the committee and admins
+const loadRecord = async (req, res, next) => {
+  try {
+    const [nurse, actor] = await Promise.all([
+      User.findById(req.params.nurseId).select(
+        "username fullName npk unit role createdAt"
+      ),
+      User.findActiveById(req.user.id),
+    ]);
+
+    if (!nurse || nurse.role !== "perawat") {
+      return res.status(404).json({
+        success: false,
+        message: "Nurse not found",
+      });
+    }
+
+    const isSelf = nurse._id.toString() === actor?._id.toString();
+    const allowed =
+      isSelf ||
+      ["admin", "komite", "mitra"].includes(actor?.role) ||
+      (actor?.role === "kepala-unit" && actor.unit === nurse.unit);
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied to this nurse's career record",
+      });
+    }
+
+    req.nurse = nurse;
+    req.actor = actor;
+    req.careerRecord = await CareerRecord.findOrBuildForNurse(nurse);
+    next();
+  } catch (error) {
+    console.error("Load career record error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error loading career record",
+    });
+  }
+};
+
+router.get("/levels", auth, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      levels: CAREER_LEVELS,
+      promotionRules: getPromotionRules(),
+    },
+  });
+});
+
+// GET /api/career/eligible - Nurses eligible for promotion. Kepala unit
+// always see their own unit; admins and the committee may pass ?unit=
+router.get(
+  "/eligible",
+  auth,
+  requireRole(["admin", "komite", "kepala-unit"]),
+  async (req, res) => {
+    try {
+      let { unit } = req.query;
+
+      if (req.user.role === "kepala-unit") {
+        const actor = await User.findActiveById(req.user.id);
+        unit = actor?.unit;
+
+        if (!unit) {
+          return res.status(400).json({
+            success: false,
+            message: "Your account is not assigned to a unit",
+          });
+        }
+      }
+
+      const nurses = await listEligibleNurses({ unit });
+
+      res.json({
+        success: true,
+        data: {
+          unit: unit || null,
+          nurses,
+          total: nurses.length,
+        },
+      });
+    } catch (error) {
+      console.error("Get eligible nurses error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching eligible nurses",
+      });
+    }
+  }
+);
+
+router.get("/nurses/:nurseId", auth, loadRecord, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        nurse: req.nurse,
+        record: req.careerRecord,
+        eligibility: await evaluateEligibility(req.careerRecord),
+      },
+    });
+  } catch (error) {
+    console.error("Get career record error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching career record",
+    });
+  }
+});
+
+router.put(
+  "/nurses/:nurseId/level",
+  auth,
+  requireRole(LEVEL_MANAGERS),
+  loadRecord,
+  async (req, res) => {
+    try {
+      const { level, reason, effectiveDate } = req.body;
+      const newLevel = parseInt(level);
+
+      if (
+        !Number.isInteger(newLevel) ||
+        newLevel < MIN_LEVEL ||
+        newLevel > MAX_LEVEL
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `Level must be between ${MIN_LEVEL} and ${MAX_LEVEL}`,
+        });
+      }
+
+      if (newLevel === req.careerRecord.currentLevel) {
+        return res.status(400).json({
+          success: false,
+          message: "Nurse is already at this level",
+        });
+      }
+
+      if (!reason?.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "A reason is required to change the career level",
+        });
+      }
+
+      req.careerRecord.setLevel(newLevel, {
+        reason: reason.trim(),
+        changedBy: req.user.id,
+        effectiveDate: effectiveDate ? new Date(effectiveDate) : new Date(),
+      });
+      req.careerRecord.unit = req.nurse.unit;
+      await req.careerRecord.save();
+
+      res.json({
+        success: true,
+        message: "Career level updated successfully",
+        data: req.careerRecord,
+      });
+    } catch (error) {
+      console.error("Update career level error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating career level",
+      });
+    }
+  }
+);
+
+// Records when the nurse started service, which the service-years promotion
+// rules count from
+router.put(
+  "/nurses/:nurseId/service-start",
+  auth,
+  requireRole(["admin", "kepala-unit"]),
+  loadRecord,
+  async (req, res) => {
+    try {
+      const serviceStartDate = new Date(req.body.serviceStartDate);
+
+      if (!req.body.serviceStartDate || isNaN(serviceStartDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: "A valid service start date is required",
+        });
+      }
+
+      if (serviceStartDate > new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: "Service start date cannot be in the future",
+        });
+      }
+
+      req.careerRecord.serviceStartDate = serviceStartDate;
+      req.careerRecord.serviceStartRecordedBy = req.user.id;
+      req.careerRecord.unit = req.nurse.unit;
+      await req.careerRecord.save();
+
+      res.json({
+        success: true,
+        message: "Service start date updated successfully",
+        data: req.careerRecord,
+      });
+    } catch (error) {
+      console.error("Update service start date error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating service start date",
+      });
+    }
+  }
+);
+
+// Records a competency exam result or performance evaluation
+router.post(
+  "/nurses/:nurseId/assessments",
+  auth,
+  requireRole(["admin", "komite", "kepala-unit", "mitra"]),
+  loadRecord,
+  async (req, res) => {
+    try {
+      const { type, title, score, passed, assessedAt, reference } = req.body;
+
+      if (passed === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: "Whether the assessment was passed is required",
+        });
+      }
+
+      const assessment = req.careerRecord.addAssessment({
+        type,
+        title,
+        score,
+        passed: passed === true || passed === "true",
+        assessedAt: assessedAt ? new Date(assessedAt) : new Date(),
+        reference,
+        recordedBy: req.user.id,
+      });
+      await req.careerRecord.save();
+
+      res.status(201).json({
+        success: true,
+        message: "Assessment recorded successfully",
+        data: assessment,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)
+            .map((err) => err.message)
+            .join(", "),
+        });
+      }
+      console.error("Record assessment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error recording assessment",
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,256 @@
+import express from "express";
+import multer from "multer";
+import path from "path";
+import fs from "fs";
+import Credential from "../models/credential.js";
+import File, {
+  CREDENTIAL_DOCUMENT_CATEGORY,
+  CREDENTIAL_DOCUMENT_TYPES,
+} from "../models/file.js";
+import {
+  createDiskUpload,
+  discardUpload,
+  formatFileSize,
+  getFileType,
+} from "../middleware/upload.js";
+import { authenticateToken as auth } from "../middleware/roleAuth.js";
+import { canViewCredential } from "../services/credentialAccess.js";
+
+// Mounted under /api/credentials/:id/attachments
+const router = express.Router({ mergeParams: true });
+
+const ALLOWED_DOCUMENT_TYPES = ["application/pdf", "image/jpeg", "image/png"];
+
+const fileFilter = (req, file, cb) => {
+  if (ALLOWED_DOCUMENT_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error("Document type not allowed"), false);
+  }
+};
+
+// Kept outside the statically served uploads directory
+const upload = createDiskUpload({
+  destination: "private/credentials",
+  prefix: "credential",
+  fileFilter,
+  maxFileSize: 20 * 1024 * 1024,
+});
+
+const isOwner = (credential, user) =>
+  credential.userId.toString() === user.id?.toString();
+
+// Documents are added by the owner, or by an admin or kepala unit who can
+// see the credential
+const canUpload = async (credential, user) =>
+  (["admin", "kepala-unit"].includes(user.role) || isOwner(credential, user)) &&
+  (await canViewCredential(credential, user));
+
+// Loads the credential and enforces access for every attachment route
+const loadCredential = (check) => async (req, res, next) => {
+  try {
+    const credential = await Credential.findById(req.params.id);
+
+    if (!credential) {
+      discardUpload(req.file);
+      return res.status(404).json({
+        success: false,
+        message: "Credential not found",
+      });
+    }
+
+    if (!(await check(credential, req.user))) {
+      discardUpload(req.file);
+      return res.status(403).json({
+        success: false,
+        message: "Access denied to this credential's documents",
+      });
+    }
+
+    req.credential = credential;
+    next();
+  } catch (error) {
+    discardUpload(req.file);
+    console.error("Load credential error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error loading credential",
+    });
+  }
+};
+
+router.get("/", auth, loadCredential(canViewCredential), async (req, res) => {
+  try {
+    const attachments = await File.findByCredential(req.credential._id);
+
+    res.json({
+      success: true,
+      data: attachments.map((file) => file.toAttachment()),
+    });
+  } catch (error) {
+    console.error("Get attachments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching attachments",
+    });
+  }
+});
+
+router.post(
+  "/",
+  auth,
+  upload.single("file"),
+  loadCredential(canUpload),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "No file provided",
+        });
+      }
+
+      const { documentType, displayName } = req.body;
+
+      if (!CREDENTIAL_DOCUMENT_TYPES.includes(documentType)) {
+        discardUpload(req.file);
+        return res.status(400).json({
+          success: false,
+          message: `Invalid document type. Must be one of: ${CREDENTIAL_DOCUMENT_TYPES.join(
+            ", "
+          )}`,
+        });
+      }
+
+      const newFile = new File({
+        fileName: req.file.filename,
+        originalName: req.file.originalname,
+        displayName: displayName || req.file.originalname,
+        category: CREDENTIAL_DOCUMENT_CATEGORY,
+        fileType: getFileType(req.file.mimetype),
+        size: req.file.size,
+        sizeFormatted: formatFileSize(req.file.size),
+        path: req.file.path,
+        url: `/api/credentials/${req.credential._id}/attachments/${req.file.filename}/download`,
+        uploadedBy: req.user.id,
+        credential: req.credential._id,
+        documentType,
+      });
+
+      await newFile.save();
+
+      res.status(201).json({
+        success: true,
+        message: "Document attached successfully",
+        data: newFile.toAttachment(),
+      });
+    } catch (error) {
+      discardUpload(req.file);
+      console.error("Attach document error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+router.get(
+  "/:filename/download",
+  auth,
+  loadCredential(canViewCredential),
+  async (req, res) => {
+    try {
+      const file = await File.findOne({
+        fileName: req.params.filename,
+        credential: req.credential._id,
+        category: CREDENTIAL_DOCUMENT_CATEGORY,
+        isActive: true,
+      });
+
+      if (!file || !fs.existsSync(file.path)) {
+        return res.status(404).json({
+          success: false,
+          message: "File not found",
+        });
+      }
+
+      await file.incrementDownload();
+
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${file.originalName}"`
+      );
+      res.setHeader("Content-Type", "application/octet-stream");
+
+      res.sendFile(path.resolve(file.path));
+    } catch (error) {
+      console.error("Download attachment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error downloading file",
+      });
+    }
+  }
+);
+
+router.delete("/:fileId", auth, loadCredential(canViewCredential), async (req, res) => {
+  try {
+    const file = await File.findOne({
+      _id: req.params.fileId,
+      credential: req.credential._id,
+      isActive: true,
+    });
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found",
+      });
+    }
+
+    if (
+      req.user.role !== "admin" &&
+      file.uploadedBy.toString() !== req.user.id
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the uploader or an administrator can remove this file",
+      });
+    }
+
+    file.isActive = false;
+    await file.save();
+
+    res.json({
+      success: true,
+      message: "Document removed successfully",
+    });
+  } catch (error) {
+    console.error("Remove attachment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error removing document",
+    });
+  }
+});
+
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError && error.code === "LIMIT_FILE_SIZE") {
+    return res.status(400).json({
+      success: false,
+      message: "File too large. Maximum size is 20MB.",
+    });
+  }
+
+  if (error.message === "Document type not allowed") {
+    return res.status(400).json({
+      success: false,
+      message: "Document type not allowed. Please upload PDF, JPG or PNG files.",
+    });
+  }
+
+  next(error);
+});
+
+export default router;
@@ -0,0 +1,214 @@
+import express from "express";
+import path from "path";
+import fs from "fs";
+import Certificate from "../models/certificate.js";
+import Credential from "../models/credential.js";
+import File from "../models/file.js";
+import VerificationLog from "../models/verificationLog.js";
+import {
+  authenticateToken as auth,
+  requireRole,
+} from "../middleware/roleAuth.js";
+import {
+  generateCertificate,
+  getVerificationUrl,
+  isCertifiable,
+} from "../services/certificateService.js";
+import { canViewCredential } from "../services/credentialAccess.js";
+
+// Mounted under /api/credentials/:id/certificate
+const router = express.Router({ mergeParams: true });
+
+const NOT_CERTIFIABLE_MESSAGE =
+  "Certificates are only issued for active credentials approved by the committee or verified by an admin";
+
+const toSummary = (certificate) => ({
+  id: certificate._id,
+  serialNumber: certificate.serialNumber,
+  version: certificate.version,
+  status: certificate.status,
+  issuedAt: certificate.issuedAt,
+  supersededAt: certificate.supersededAt,
+  content: certificate.content,
+  verificationUrl: getVerificationUrl(certificate),
+});
+
+// Loads the credential; certificates are visible to whoever may see it
+const loadCredential = async (req, res, next) => {
+  try {
+    const credential = await Credential.findById(req.params.id);
+
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: "Credential not found",
+      });
+    }
+
+    if (!(await canViewCredential(credential, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied to this credential's certificate",
+      });
+    }
+
+    req.credential = credential;
+    next();
+  } catch (error) {
+    console.error("Load credential error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error loading credential",
+    });
+  }
+};
+
+// GET /api/credentials/:id/certificate - Current certificate and earlier
+// versions
+router.get("/", auth, loadCredential, async (req, res) => {
+  try {
+    const certificates = await Certificate.find({
+      credential: req.credential._id,
+    }).sort({ version: -1 });
+
+    const current = certificates.find((c) => c.status === "current");
+    res.json({
+      success: true,
+      data: {
+        current: current ? toSummary(current) : null,
+        history: certificates.map(toSummary),
+      },
+    });
+  } catch (error) {
+    console.error("Get certificate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching certificate",
+    });
+  }
+});
+
+// Credentials approved before certificates existed get one on first
+// download
+router.get("/download", auth, loadCredential, async (req, res) => {
+  try {
+    if (!(await isCertifiable(req.credential))) {
+      return res.status(409).json({
+        success: false,
+        message: NOT_CERTIFIABLE_MESSAGE,
+      });
+    }
+
+    const certificate =
+      (await Certificate.findCurrent(req.credential._id)) ||
+      (await generateCertificate(req.credential._id));
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: "No certificate has been issued for this credential",
+      });
+    }
+
+    const file = await File.findById(certificate.file);
+    if (!file || !fs.existsSync(file.path)) {
+      return res.status(404).json({
+        success: false,
+        message: "Certificate file not found",
+      });
+    }
+
+    await file.incrementDownload();
+
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${file.originalName}"`
+    );
+    res.setHeader("Content-Type", "application/pdf");
+    res.sendFile(path.resolve(file.path));
+  } catch (error) {
+    console.error("Download certificate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error downloading certificate",
+    });
+  }
+});
+
+// POST /api/credentials/:id/certificate - Reissues the certificate now
+router.post(
+  "/",
+  auth,
+  requireRole(["admin", "komite"]),
+  loadCredential,
+  async (req, res) => {
+    try {
+      const certificate = await generateCertificate(req.credential._id, {
+        issuedBy: req.user.id,
+        force: true,
+      });
+
+      if (!certificate) {
+        return res.status(409).json({
+          success: false,
+          message: NOT_CERTIFIABLE_MESSAGE,
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Certificate issued successfully",
+        data: toSummary(certificate),
+      });
+    } catch (error) {
+      console.error("Issue certificate error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error issuing certificate",
+      });
+    }
+  }
+);
+
+// GET /api/credentials/:id/certificate/verifications - Public lookups of
+// this credential's certificates, newest first
+router.get(
+  "/verifications",
+  auth,
+  requireRole(["admin", "komite"]),
+  loadCredential,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const query = { credential: req.credential._id };
+
+      const [verifications, total] = await Promise.all([
+        VerificationLog.find(query)
+          .populate("certificate", "serialNumber version")
+          .select("-lookupHash")
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(parseInt(limit)),
+        VerificationLog.countDocuments(query),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          verifications,
+          totalPages: Math.ceil(total / limit),
+          currentPage: parseInt(page),
+          total,
+        },
+      });
+    } catch (error) {
+      console.error("Get certificate verifications error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching certificate verifications",
+      });
+    }
+  }
+);
+
+export default router;
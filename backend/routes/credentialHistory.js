@@ -0,0 +1,154 @@
+import express from "express";
+import Credential from "../models/credential.js";
+import CredentialVersion from "../models/credentialVersion.js";
+import { authenticateToken as auth } from "../middleware/roleAuth.js";
+import { getStateAt } from "../services/credentialHistory.js";
+import { canViewCredential } from "../services/credentialAccess.js";
+
+// Mounted under /api/credentials/:id/history
+const router = express.Router({ mergeParams: true });
+
+// History is visible to whoever may see the credential. Deleted credentials
+// keep their history, which admins can still read.
+const loadCredential = async (req, res, next) => {
+  try {
+    const credential = await Credential.findById(req.params.id).select(
+      "userId"
+    );
+
+    if (!credential) {
+      const hasHistory =
+        req.user.role === "admin" &&
+        (await CredentialVersion.exists({ credential: req.params.id }));
+
+      if (!hasHistory) {
+        return res.status(404).json({
+          success: false,
+          message: "Credential not found",
+        });
+      }
+    } else {
+      if (!(await canViewCredential(credential, req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied to this credential's history",
+        });
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error("Load credential error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error loading credential",
+    });
+  }
+};
+
+// GET /api/credentials/:id/history - Recorded versions, newest first
+router.get("/", auth, loadCredential, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, field } = req.query;
+    const query = { credential: req.params.id };
+    if (typeof field === "string" && field) query["changes.field"] = field;
+
+    const [versions, total] = await Promise.all([
+      CredentialVersion.find(query)
+        .select("-snapshot")
+        .populate("changedBy", "username fullName role")
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      CredentialVersion.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        versions,
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        total,
+      },
+    });
+  } catch (error) {
+    console.error("Get credential history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching credential history",
+    });
+  }
+});
+
+// GET /api/credentials/:id/history/at?date=ISO - The credential as it was
+// on a date. Version 0 is the state from before history was recorded.
+router.get("/at", auth, loadCredential, async (req, res) => {
+  try {
+    const date = new Date(req.query.date);
+
+    if (typeof req.query.date !== "string" || isNaN(date)) {
+      return res.status(400).json({
+        success: false,
+        message: "date must be an ISO date",
+      });
+    }
+
+    const result = await getStateAt(req.params.id, date);
+
+    if (!result.exists) {
+      return res.status(404).json({
+        success: false,
+        message: result.deletedAt
+          ? `Credential had been deleted by ${date.toISOString()}`
+          : `No recorded state for this credential on ${date.toISOString()}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        version: result.version,
+        credential: result.state,
+      },
+    });
+  } catch (error) {
+    console.error("Get credential state error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error reconstructing credential state",
+    });
+  }
+});
+
+// GET /api/credentials/:id/history/:version - One version with its full
+// snapshot
+router.get("/:version", auth, loadCredential, async (req, res) => {
+  try {
+    const version = await CredentialVersion.findOne({
+      credential: req.params.id,
+      version: parseInt(req.params.version, 10),
+    }).populate("changedBy", "username fullName role");
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: "Version not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: version,
+    });
+  } catch (error) {
+    console.error("Get credential version error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching credential version",
+    });
+  }
+});
+
+export default router;
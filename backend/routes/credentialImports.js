@@ -0,0 +1,294 @@
+import express from "express";
+import multer from "multer";
+import path from "path";
+import ImportBatch, { COMMIT_MODES } from "../models/importBatch.js";
+import ImportProfile from "../models/importProfile.js";
+import { IMPORT_FIELDS, DATE_FORMATS } from "../config/credentialImport.js";
+import {
+  authenticateToken as auth,
+  requireRole,
+} from "../middleware/roleAuth.js";
+import {
+  createImportBatch,
+  commitImportBatch,
+  ImportError,
+} from "../services/credentialImport.js";
+
+// Mounted under /api/credentials/imports; admin only
+const router = express.Router();
+
+const IMPORT_FORMATS = { ".csv": "csv", ".xlsx": "xlsx" };
+
+// Spreadsheets are parsed straight from memory and never kept on disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (IMPORT_FORMATS[extension]) {
+      cb(null, true);
+    } else {
+      cb(new Error("Import file type not allowed"), false);
+    }
+  },
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
+const validationMessage = (error) =>
+  Object.values(error.errors)
+    .map((err) => err.message)
+    .join(", ");
+
+const handleError = (res, error, message) => {
+  if (error instanceof ImportError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: validationMessage(error),
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: "An import profile with this name already exists",
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message });
+};
+
+// Accepts mapping columns as an array or a JSON string (multipart forms)
+const parseColumns = (columns) => {
+  if (!columns) return undefined;
+  let parsed = columns;
+  if (typeof columns === "string") {
+    try {
+      parsed = JSON.parse(columns);
+    } catch {
+      throw new ImportError("Columns must be valid JSON");
+    }
+  }
+  if (!Array.isArray(parsed)) {
+    throw new ImportError("Columns must be a list of { field, header }");
+  }
+  return parsed;
+};
+
+router.use(auth, requireRole(["admin"]));
+
+// GET /api/credentials/imports/fields - Fields a spreadsheet can map to
+router.get("/fields", (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      fields: IMPORT_FIELDS,
+      dateFormats: DATE_FORMATS,
+      commitModes: COMMIT_MODES,
+    },
+  });
+});
+
+router.get("/profiles", async (req, res) => {
+  try {
+    const profiles = await ImportProfile.find().sort({ name: 1 });
+    res.json({ success: true, data: profiles });
+  } catch (error) {
+    handleError(res, error, "Error fetching import profiles");
+  }
+});
+
+router.post("/profiles", async (req, res) => {
+  try {
+    const { name, description, columns, dateFormat } = req.body;
+
+    const profile = await ImportProfile.create({
+      name,
+      description,
+      columns: parseColumns(columns),
+      dateFormat,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Import profile created successfully",
+      data: profile,
+    });
+  } catch (error) {
+    handleError(res, error, "Error creating import profile");
+  }
+});
+
+router.put("/profiles/:profileId", async (req, res) => {
+  try {
+    const profile = await ImportProfile.findById(req.params.profileId);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: "Import profile not found",
+      });
+    }
+
+    const { name, description, columns, dateFormat } = req.body;
+    if (name !== undefined) profile.name = name;
+    if (description !== undefined) profile.description = description;
+    if (columns !== undefined) profile.columns = parseColumns(columns);
+    if (dateFormat !== undefined) profile.dateFormat = dateFormat;
+    profile.updatedBy = req.user.id;
+    await profile.save();
+
+    res.json({
+      success: true,
+      message: "Import profile updated successfully",
+      data: profile,
+    });
+  } catch (error) {
+    handleError(res, error, "Error updating import profile");
+  }
+});
+
+router.delete("/profiles/:profileId", async (req, res) => {
+  try {
+    const profile = await ImportProfile.findByIdAndDelete(req.params.profileId);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: "Import profile not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Import profile deleted successfully",
+    });
+  } catch (error) {
+    handleError(res, error, "Error deleting import profile");
+  }
+});
+
+// POST /api/credentials/imports - Dry run: parses and validates a CSV or
+// XLSX file and returns the row-level report. Nothing is created until the
+// import is committed.
+router.post("/", upload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No file provided",
+      });
+    }
+
+    const { profileId, columns, dateFormat } = req.body;
+
+    if (dateFormat && !DATE_FORMATS.includes(dateFormat)) {
+      return res.status(400).json({
+        success: false,
+        message: `Date format must be one of: ${DATE_FORMATS.join(", ")}`,
+      });
+    }
+
+    const batch = await createImportBatch({
+      buffer: req.file.buffer,
+      fileName: req.file.originalname,
+      format: IMPORT_FORMATS[path.extname(req.file.originalname).toLowerCase()],
+      profileId,
+      columns: parseColumns(columns),
+      dateFormat,
+      user: req.user,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Import validated, review the report before committing",
+      data: batch.toReport(),
+    });
+  } catch (error) {
+    handleError(res, error, "Error validating import");
+  }
+});
+
+router.get("/:batchId", async (req, res) => {
+  try {
+    const batch = await ImportBatch.findById(req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Import not found or expired",
+      });
+    }
+
+    res.json({ success: true, data: batch.toReport() });
+  } catch (error) {
+    handleError(res, error, "Error fetching import");
+  }
+});
+
+// POST /api/credentials/imports/:batchId/commit - Creates the credentials.
+// "atomic" creates every row or none; "skip-invalid" creates the valid rows
+// and reports the rest.
+router.post("/:batchId/commit", async (req, res) => {
+  try {
+    const { mode = "atomic" } = req.body;
+
+    if (!COMMIT_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Mode must be one of: ${COMMIT_MODES.join(", ")}`,
+      });
+    }
+
+    const { committed, batch } = await commitImportBatch(
+      req.params.batchId,
+      mode,
+      req.user
+    );
+
+    if (!committed) {
+      return res.status(422).json({
+        success: false,
+        message:
+          mode === "atomic"
+            ? "Import contains invalid rows; fix them or commit with skip-invalid"
+            : "Import contains no valid rows",
+        data: batch.toReport(),
+      });
+    }
+
+    const { created } = batch.summary;
+    res.json({
+      success: true,
+      message: `Import committed, ${created} credential(s) created`,
+      data: batch.toReport(),
+    });
+  } catch (error) {
+    handleError(res, error, "Error committing import");
+  }
+});
+
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError && error.code === "LIMIT_FILE_SIZE") {
+    return res.status(400).json({
+      success: false,
+      message: "File too large. Maximum size is 10MB.",
+    });
+  }
+
+  if (error.message === "Import file type not allowed") {
+    return res.status(400).json({
+      success: false,
+      message: "Import file type not allowed. Please upload CSV or XLSX files.",
+    });
+  }
+
+  next(error);
+});
+
+export default router;
@@ -0,0 +1,94 @@
+import express from "express";
+import Credential from "../models/credential.js";
+import {
+  authenticateToken as auth,
+  requireRole,
+} from "../middleware/roleAuth.js";
+import {
+  getRegistryProvider,
+  isRegistryVerificationEnabled,
+} from "../config/registry.js";
+import { verifyCredential } from "../services/registryVerification.js";
+import { canViewCredential } from "../services/credentialAccess.js";
+
+// Mounted under /api/credentials/:id/registry-verification
+const router = express.Router({ mergeParams: true });
+
+// GET /api/credentials/:id/registry-verification - Result of the last
+// registry check. Visible to whoever may see the credential.
+router.get("/", auth, async (req, res) => {
+  try {
+    const credential = await Credential.findById(req.params.id).select(
+      "userId licenseNumber registryVerification"
+    );
+
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: "Credential not found",
+      });
+    }
+
+    if (!(await canViewCredential(credential, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied to this credential",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        licenseNumber: credential.licenseNumber,
+        provider: getRegistryProvider(),
+        verification: credential.registryVerification,
+      },
+    });
+  } catch (error) {
+    console.error("Get registry verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching registry verification",
+    });
+  }
+});
+
+// POST /api/credentials/:id/registry-verification - Checks the credential
+// against the registry again, e.g. after correcting it or when the
+// registry was unreachable
+router.post("/", auth, requireRole(["admin", "komite"]), async (req, res) => {
+  try {
+    if (!isRegistryVerificationEnabled()) {
+      return res.status(409).json({
+        success: false,
+        message: "No license registry is configured",
+      });
+    }
+
+    const verification = await verifyCredential(req.params.id);
+
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        message: "Credential not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message:
+        verification.status === "error"
+          ? "Registry could not be reached"
+          : `Registry check completed: ${verification.status}`,
+      data: verification,
+    });
+  } catch (error) {
+    console.error("Registry verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error checking credential against the registry",
+    });
+  }
+});
+
+export default router;
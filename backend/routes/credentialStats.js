@@ -0,0 +1,176 @@
+import express from "express";
+import User from "../models/user.js";
+import {
+  authenticateToken as auth,
+  requireRole,
+} from "../middleware/roleAuth.js";
+import {
+  getExpiredPractising,
+  getExpiryForecast,
+  getUnitCompliance,
+} from "../services/credentialAnalytics.js";
+
+// Mounted under /api/credentials/stats
+const router = express.Router();
+
+const ANALYTICS_ROLES = ["admin", "kepala-unit", "komite"];
+const MAX_FORECAST_MONTHS = 24;
+
+// Kepala unit only see their own unit; other roles may pick one with ?unit=
+const resolveUnit = async (req, res, next) => {
+  try {
+    req.unit = typeof req.query.unit === "string" ? req.query.unit : undefined;
+
+    if (req.user.role === "kepala-unit") {
+      const actor = await User.findActiveById(req.user.id);
+      req.unit = actor?.unit;
+
+      if (!req.unit) {
+        return res.status(400).json({
+          success: false,
+          message: "Your account is not assigned to a unit",
+        });
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error("Resolve unit error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error resolving unit",
+    });
+  }
+};
+
+// Reads ?on= as the reference date, defaulting to now
+const readReferenceDate = (req, res) => {
+  if (req.query.on === undefined) return new Date();
+
+  const on = new Date(req.query.on);
+  if (typeof req.query.on !== "string" || isNaN(on)) {
+    res.status(400).json({
+      success: false,
+      message: "on must be an ISO date",
+    });
+    return null;
+  }
+  return on;
+};
+
+// GET /api/credentials/stats/forecast - Credentials expiring per month.
+// ?from=YYYY-MM (default this month), ?months=1-24 (default 12),
+// ?licenseType=STR|SIP
+router.get(
+  "/forecast",
+  auth,
+  requireRole(ANALYTICS_ROLES),
+  resolveUnit,
+  async (req, res) => {
+    try {
+      const { from, months = "12", licenseType } = req.query;
+
+      if (from !== undefined && !/^\d{4}-(0[1-9]|1[0-2])$/.test(from)) {
+        return res.status(400).json({
+          success: false,
+          message: "from must be a month in YYYY-MM format",
+        });
+      }
+
+      const monthCount = Number(months);
+      if (
+        !Number.isInteger(monthCount) ||
+        monthCount < 1 ||
+        monthCount > MAX_FORECAST_MONTHS
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `months must be between 1 and ${MAX_FORECAST_MONTHS}`,
+        });
+      }
+
+      if (licenseType !== undefined && !["STR", "SIP"].includes(licenseType)) {
+        return res.status(400).json({
+          success: false,
+          message: "licenseType must be STR or SIP",
+        });
+      }
+
+      const forecast = await getExpiryForecast({
+        unit: req.unit,
+        licenseType,
+        from: from ? new Date(`${from}-01T00:00:00Z`) : new Date(),
+        months: monthCount,
+      });
+
+      res.json({
+        success: true,
+        data: forecast,
+      });
+    } catch (error) {
+      console.error("Get expiry forecast error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching expiry forecast",
+      });
+    }
+  }
+);
+
+// GET /api/credentials/stats/compliance - Percentage of each unit's nurses
+// holding a valid STR and SIP on ?on= (default today)
+router.get(
+  "/compliance",
+  auth,
+  requireRole(ANALYTICS_ROLES),
+  resolveUnit,
+  async (req, res) => {
+    try {
+      const on = readReferenceDate(req, res);
+      if (!on) return;
+
+      const compliance = await getUnitCompliance({ unit: req.unit, on });
+
+      res.json({
+        success: true,
+        data: compliance,
+      });
+    } catch (error) {
+      console.error("Get unit compliance error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching unit compliance",
+      });
+    }
+  }
+);
+
+// GET /api/credentials/stats/expired-practising - Nurses holding current
+// clinical privileges while their STR or SIP has expired
+router.get(
+  "/expired-practising",
+  auth,
+  requireRole(ANALYTICS_ROLES),
+  resolveUnit,
+  async (req, res) => {
+    try {
+      const on = readReferenceDate(req, res);
+      if (!on) return;
+
+      const result = await getExpiredPractising({ unit: req.unit, on });
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error("Get expired practising error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching nurses practising with expired licenses",
+      });
+    }
+  }
+);
+
+export default router;
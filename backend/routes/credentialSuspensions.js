@@ -0,0 +1,149 @@
+import express from "express";
+import Credential from "../models/credential.js";
+import CredentialSuspension, {
+  SUSPENSION_REASON_CATEGORIES,
+} from "../models/credentialSuspension.js";
+import User from "../models/user.js";
+import {
+  authenticateToken as auth,
+  requireRole,
+} from "../middleware/roleAuth.js";
+import {
+  reinstateCredential,
+  suspendCredential,
+  SuspensionError,
+  SUSPENSION_ROLES,
+} from "../services/credentialSuspension.js";
+
+// Mounted under /api/credentials/:id/suspension
+const router = express.Router({ mergeParams: true });
+
+const validationMessage = (error) =>
+  Object.values(error.errors)
+    .map((err) => err.message)
+    .join(", ");
+
+const handleError = (res, error, label, message) => {
+  if (error instanceof SuspensionError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: validationMessage(error),
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+  });
+};
+
+// GET /api/credentials/:id/suspension - Suspension history, newest first.
+// Visible to the credential owner and the deciding roles.
+router.get("/", auth, async (req, res) => {
+  try {
+    const credential = await Credential.findById(req.params.id).select(
+      "userId"
+    );
+
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: "Credential not found",
+      });
+    }
+
+    const isOwner = credential.userId.toString() === req.user.id?.toString();
+    if (!isOwner && !SUSPENSION_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied to this credential's suspensions",
+      });
+    }
+
+    const suspensions = await CredentialSuspension.find({
+      credential: credential._id,
+    })
+      .populate("decidedBy", "username fullName role")
+      .populate("reinstatement.decidedBy", "username fullName role")
+      .populate("evidence", "displayName url")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        reasonCategories: SUSPENSION_REASON_CATEGORIES,
+        suspensions,
+      },
+    });
+  } catch (error) {
+    handleError(
+      res,
+      error,
+      "Get suspensions",
+      "Error fetching suspension history"
+    );
+  }
+});
+
+// POST /api/credentials/:id/suspension - Suspends the credential and the
+// nurse's practising privileges
+router.post("/", auth, requireRole(SUSPENSION_ROLES), async (req, res) => {
+  try {
+    const actor = await User.findActiveById(req.user.id);
+    const suspension = await suspendCredential(req.params.id, req.body, actor);
+
+    res.status(201).json({
+      success: true,
+      message: "Credential suspended successfully",
+      data: suspension,
+    });
+  } catch (error) {
+    handleError(
+      res,
+      error,
+      "Suspend credential",
+      "Error suspending credential"
+    );
+  }
+});
+
+// POST /api/credentials/:id/suspension/reinstate - Lifts the open
+// suspension; requires a decision
+router.post(
+  "/reinstate",
+  auth,
+  requireRole(SUSPENSION_ROLES),
+  async (req, res) => {
+    try {
+      const actor = await User.findActiveById(req.user.id);
+      const suspension = await reinstateCredential(
+        req.params.id,
+        req.body,
+        actor
+      );
+
+      res.json({
+        success: true,
+        message: "Credential reinstated successfully",
+        data: suspension,
+      });
+    } catch (error) {
+      handleError(
+        res,
+        error,
+        "Reinstate credential",
+        "Error reinstating credential"
+      );
+    }
+  }
+);
+
+export default router;
@@ -1,52 +1,148 @@
 import express from "express";
-import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
+import Credential, {
+  EXPIRY_MANAGED_STATUSES,
+} from "../models/credential.js";
 import User from "../models/user.js";
+import File from "../models/file.js";
+import Certificate from "../models/certificate.js";
+import { COMMIT_MODES } from "../models/importBatch.js";
+import { EXPORT_FORMATS } from "../config/credentialExport.js";
+import { isRegistryVerificationEnabled } from "../config/registry.js";
+import attachmentRoutes from "./credentialAttachments.js";
+import importRoutes from "./credentialImports.js";
+import certificateRoutes from "./credentialCertificates.js";
+import statsRoutes from "./credentialStats.js";
+import suspensionRoutes from "./credentialSuspensions.js";
+import historyRoutes from "./credentialHistory.js";
+import registryRoutes from "./credentialRegistry.js";
 import {
-  requirePermission,
+  authenticateToken as auth,
+  requiredPermission as requirePermission,
   requireRole,
-  hasPermission,
 } from "../middleware/roleAuth.js";
-import auth from "../middleware/auth.js";
+import {
+  buildCredentialQuery,
+  buildCredentialSort,
+  readQueryFilters,
+  SearchQueryError,
+} from "../services/credentialSearch.js";
+import {
+  resolveColumns,
+  streamCredentialExport,
+} from "../services/credentialExport.js";
+import {
+  createJsonImportBatch,
+  commitImportBatch,
+  ImportError,
+} from "../services/credentialImport.js";
+import { recheckCredentials } from "../services/registryVerification.js";
+import { canViewCredential } from "../services/credentialAccess.js";
 
 const router = express.Router();
 
-router.get(
-  "/",
+// Roles that record credentials on behalf of other nurses
+const OWNER_ASSIGNING_ROLES = ["admin", "kepala-unit"];
+
+// Credentials belong to the active nurse whose NPK matches nurseId. Admins
+// and unit heads may name any nurse; everyone else only their own NPK.
+// Returns { ownerId } or { status, message } when the owner is not allowed.
+const resolveOwner = async (nurseId, user) => {
+  if (!OWNER_ASSIGNING_ROLES.includes(user.role)) {
+    const self = await User.findActiveById(user.id);
+    if (!self?.npk || self.npk !== nurseId) {
+      return {
+        status: 403,
+        message: "You can only record credentials for your own NPK",
+      };
+    }
+    return { ownerId: self._id };
+  }
+
+  const nurse = await User.findOne({ npk: nurseId, isActive: true }).select(
+    "_id"
+  );
+  if (!nurse) {
+    return {
+      status: 400,
+      message: `No active nurse is registered with NPK ${nurseId}`,
+    };
+  }
+  return { ownerId: nurse._id };
+};
+
+// POST /api/credentials/registry-verification/recheck - Queues registry
+// checks for credentials that have none, or for all with { all: true }
+router.post(
+  "/registry-verification/recheck",
   auth,
-  requirePermission("view_credentials"),
+  requireRole(["admin"]),
   async (req, res) => {
     try {
-      const { page = 1, limit = 10, search, department, status } = req.query;
-      const userRole = req.user.role;
-
-      let query = {};
-
-      if (!["admin", "supervisor"].includes(userRole)) {
-        query.userId = req.user.id;
+      if (!isRegistryVerificationEnabled()) {
+        return res.status(409).json({
+          success: false,
+          message: "No license registry is configured",
+        });
       }
 
-      if (search) {
-        query.$or = [
-          { nurseId: { $regex: search, $options: "i" } },
-          { nurseName: { $regex: search, $options: "i" } },
-          { licenseNumber: { $regex: search, $options: "i" } },
-        ];
-      }
+      const queued = await recheckCredentials({ all: req.body?.all === true });
 
-      if (department) {
-        query.department = department;
-      }
+      res.json({
+        success: true,
+        message: `Queued registry checks for ${queued} credentials`,
+        data: { queued },
+      });
+    } catch (error) {
+      console.error("Queue registry checks error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error queueing registry checks",
+      });
+    }
+  }
+);
 
-      if (status) {
-        query.status = status;
-      }
+router.use("/imports", importRoutes);
+router.use("/stats", statsRoutes);
+router.use("/:id/attachments", attachmentRoutes);
+router.use("/:id/certificate", certificateRoutes);
+router.use("/:id/suspension", suspensionRoutes);
+router.use("/:id/history", historyRoutes);
+router.use("/:id/registry-verification", registryRoutes);
+
+router.get(
+  "/",
+  auth,
+  requirePermission("view_credentials"),
+  async (req, res) => {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        search,
+        department,
+        status,
+        sortBy,
+        sortOrder,
+      } = req.query;
+
+      // department and status remain accepted as plain parameters
+      const filters = {
+        ...readQueryFilters(req.query),
+        ...(department && { department }),
+        ...(status && { status }),
+      };
+      const query = await buildCredentialQuery(
+        { searchTerm: search, filters },
+        req.user
+      );
+      const sort = buildCredentialSort(sortBy, sortOrder);
 
       const credentials = await Credential.find(query)
         .populate("userId", "username email")
         .skip((page - 1) * limit)
         .limit(limit)
-        .sort({ createdAt: -1 });
+        .sort(sort);
 
       const totalCredentials = await Credential.countDocuments(query);
 
@@ -60,6 +156,12 @@ router.get(
         },
       });
     } catch (error) {
+      if (error instanceof SearchQueryError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
       console.error("Get credentials error:", error);
       res.status(500).json({
         success: false,
@@ -75,7 +177,7 @@ router.get(
   requirePermission("view_credentials"),
   async (req, res) => {
     try {
-      const credential = await Credential.findbyId(req.params.id).populate(
+      const credential = await Credential.findById(req.params.id).populate(
         "userId",
         "username email role"
       );
@@ -87,20 +189,32 @@ router.get(
         });
       }
 
-      const userRole = req.user.role;
-      if (
-        !["admin", "supervisor"].includes(userRole) &&
-        credential.userId._id.toString() !== req.user.id
-      ) {
+      if (!(await canViewCredential(credential, req.user))) {
         return res.status(403).json({
           success: false,
-          message: "Access denied. You can only view your own credentials.",
+          message: "Access denied to this credential",
         });
       }
 
+      const [attachments, certificate] = await Promise.all([
+        File.findByCredential(credential._id),
+        Certificate.findCurrent(credential._id).select(
+          "serialNumber version issuedAt"
+        ),
+      ]);
+
       res.json({
         success: true,
-        data: credential,
+        data: {
+          ...credential.toJSON(),
+          attachments: attachments.map((file) => file.toAttachment()),
+          certificate: certificate && {
+            serialNumber: certificate.serialNumber,
+            version: certificate.version,
+            issuedAt: certificate.issuedAt,
+            url: `/api/credentials/${credential._id}/certificate/download`,
+          },
+        },
       });
     } catch (error) {
       console.error("Get credential error:", error);
@@ -115,7 +229,7 @@ router.get(
 router.get(
   "/stats/overview",
   auth,
-  requireRole(["admin", "supervisor"]),
+  requireRole(["admin", "kepala-unit"]),
   async (req, res) => {
     try {
       const totalCredentials = await Credential.countDocuments();
@@ -128,6 +242,26 @@ router.get(
       const pendingCredentials = await Credential.countDocuments({
         status: "pending",
       });
+      const expiringSoonCredentials = await Credential.countDocuments({
+        status: "expiring-soon",
+      });
+      const suspendedCredentials = await Credential.countDocuments({
+        status: "suspended",
+      });
+
+      // Get expiring credentials by warning window, kept current by the
+      // daily expiry check
+      const credentialsByExpiryWindow = await Credential.aggregate([
+        { $match: { status: "expiring-soon" } },
+        {
+          $group: {
+            _id: "$expiryWindow",
+            count: { $sum: 1 },
+          },
+        },
+        { $sort: { _id: 1 } },
+        { $project: { window: "$_id", count: 1, _id: 0 } },
+      ]);
 
       // Get credentials by department
       const credentialsByDepartment = await Credential.aggregate([
@@ -154,7 +288,10 @@ router.get(
             active: activeCredentials,
             expired: expiredCredentials,
             pending: pendingCredentials,
+            expiringSoon: expiringSoonCredentials,
+            suspended: suspendedCredentials,
           },
+          byExpiryWindow: credentialsByExpiryWindow,
           byDepartment: credentialsByDepartment,
           recent: recentCredentials,
         },
@@ -197,6 +334,14 @@ router.post(
         });
       }
 
+      const owner = await resolveOwner(nurseId, req.user);
+      if (!owner.ownerId) {
+        return res.status(owner.status).json({
+          success: false,
+          message: owner.message,
+        });
+      }
+
       // Check if license number already exists
       const existingCredential = await Credential.findOne({ licenseNumber });
       if (existingCredential) {
@@ -207,10 +352,7 @@ router.post(
       }
 
       // Calculate status based on expiry date
-      let status = "active";
-      if (expiryDate && new Date(expiryDate) < new Date()) {
-        status = "expired";
-      }
+      const { status } = Credential.computeStatus(expiryDate);
 
       // Create credential
       const credential = new Credential({
@@ -225,7 +367,7 @@ router.post(
         certifications: certifications || [],
         notes,
         status,
-        userId: req.user.id,
+        userId: owner.ownerId,
         createdBy: req.user.id,
       });
 
@@ -241,6 +383,14 @@ router.post(
       });
     } catch (error) {
       console.error("Create credential error:", error);
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)
+            .map((err) => err.message)
+            .join(", "),
+        });
+      }
       res.status(500).json({
         success: false,
         message: "Error creating credential",
@@ -249,9 +399,12 @@ router.post(
   }
 );
 
+// JSON variant of the spreadsheet import: rows are validated like an
+// uploaded file, then committed unless dryRun is set. Defaults to
+// skip-invalid so valid rows still go in.
 router.post("/bulk-import", auth, requireRole(["admin"]), async (req, res) => {
   try {
-    const { credentials } = req.body;
+    const { credentials, dryRun = false, mode = "skip-invalid" } = req.body;
 
     if (!Array.isArray(credentials) || credentials.length === 0) {
       return res.status(400).json({
@@ -260,60 +413,53 @@ router.post("/bulk-import", auth, requireRole(["admin"]), async (req, res) => {
       });
     }
 
-    const results = {
-      successful: 0,
-      failed: 0,
-      errors: [],
-    };
-
-    for (let i = 0; i < credentials.length; i++) {
-      try {
-        const credData = credentials[i];
-
-        // Check if license number already exists
-        const existingCredential = await Credential.findOne({
-          licenseNumber: credData.licenseNumber,
-        });
-
-        if (existingCredential) {
-          results.failed++;
-          results.errors.push({
-            row: i + 1,
-            error: `License number ${credData.licenseNumber} already exists`,
-          });
-          continue;
-        }
+    if (!COMMIT_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Mode must be one of: ${COMMIT_MODES.join(", ")}`,
+      });
+    }
 
-        // Calculate status
-        let status = "active";
-        if (credData.expiryDate && new Date(credData.expiryDate) < new Date()) {
-          status = "expired";
-        }
+    let batch = await createJsonImportBatch({
+      records: credentials,
+      user: req.user,
+    });
 
-        const credential = new Credential({
-          ...credData,
-          status,
-          userId: req.user.id,
-          createdBy: req.user.id,
-        });
+    if (!dryRun) {
+      let committed;
+      ({ committed, batch } = await commitImportBatch(
+        batch._id,
+        mode,
+        req.user
+      ));
 
-        await credential.save();
-        results.successful++;
-      } catch (error) {
-        results.failed++;
-        results.errors.push({
-          row: i + 1,
-          error: error.message,
+      if (!committed) {
+        return res.status(422).json({
+          success: false,
+          message: "Bulk import not committed, see the row report",
+          data: batch.toReport(),
         });
       }
     }
 
+    // Rows rejected by validation plus valid rows that failed to save
+    const { created, invalid, failed } = batch.summary;
     res.json({
       success: true,
-      message: "Bulk import completed",
-      data: results,
+      message: dryRun ? "Bulk import validated" : "Bulk import completed",
+      data: {
+        ...batch.toReport(),
+        successful: created,
+        failed: invalid + failed,
+      },
     });
   } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
     console.error("Bulk import error:", error);
     res.status(500).json({
       success: false,
@@ -340,7 +486,7 @@ router.put(
       // Check if user can edit this credential
       const userRole = req.user.role;
       if (
-        !["admin", "supervisor"].includes(userRole) &&
+        !["admin", "kepala-unit"].includes(userRole) &&
         credential.userId.toString() !== req.user.id
       ) {
         return res.status(403).json({
@@ -361,8 +507,32 @@ router.put(
         certifications,
         notes,
         status,
+        reason,
       } = req.body;
 
+      // Status follows the expiry date, the committee workflow and the
+      // suspension decisions; manual changes go through their own endpoints
+      if (status && status !== credential.status) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Use PUT /api/credentials/:id/status or the suspension endpoints to change the status",
+        });
+      }
+
+      // A new NPK moves the credential to that nurse, under the same rules
+      // as recording one
+      if (nurseId && nurseId !== credential.nurseId) {
+        const owner = await resolveOwner(nurseId, req.user);
+        if (owner.message) {
+          return res.status(owner.status).json({
+            success: false,
+            message: owner.message,
+          });
+        }
+        credential.userId = owner.ownerId;
+      }
+
       // Check if license number is being changed and if it already exists
       if (licenseNumber && licenseNumber !== credential.licenseNumber) {
         const existingCredential = await Credential.findOne({
@@ -378,32 +548,27 @@ router.put(
         }
       }
 
-      // Calculate status if expiry date is provided
-      let newStatus = status;
-      if (expiryDate && !status) {
-        newStatus = new Date(expiryDate) < new Date() ? "expired" : "active";
-      }
+      credential.set({
+        nurseId: nurseId || credential.nurseId,
+        nurseName: nurseName || credential.nurseName,
+        licenseNumber: licenseNumber || credential.licenseNumber,
+        licenseType: licenseType || credential.licenseType,
+        issueDate: issueDate || credential.issueDate,
+        expiryDate: expiryDate || credential.expiryDate,
+        department: department || credential.department,
+        specializations: specializations || credential.specializations,
+        certifications: certifications || credential.certifications,
+        notes: notes !== undefined ? notes : credential.notes,
+        updatedBy: req.user.id,
+      });
 
-      // Update credential
-      const updatedCredential = await Credential.findByIdAndUpdate(
-        req.params.id,
-        {
-          nurseId: nurseId || credential.nurseId,
-          nurseName: nurseName || credential.nurseName,
-          licenseNumber: licenseNumber || credential.licenseNumber,
-          licenseType: licenseType || credential.licenseType,
-          issueDate: issueDate || credential.issueDate,
-          expiryDate: expiryDate || credential.expiryDate,
-          department: department || credential.department,
-          specializations: specializations || credential.specializations,
-          certifications: certifications || credential.certifications,
-          notes: notes !== undefined ? notes : credential.notes,
-          status: newStatus || credential.status,
-          updatedAt: Date.now(),
-          updatedBy: req.user.id,
-        },
-        { new: true }
-      ).populate("userId", "username email");
+      // The save hook re-evaluates the status when the expiry date changes
+      credential.recordChange({ changedBy: req.user.id, reason });
+      await credential.save();
+      const updatedCredential = await credential.populate(
+        "userId",
+        "username email"
+      );
 
       res.json({
         success: true,
@@ -411,6 +576,14 @@ router.put(
         data: updatedCredential,
       });
     } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)
+            .map((err) => err.message)
+            .join(", "),
+        });
+      }
       console.error("Update credential error:", error);
       res.status(500).json({
         success: false,
@@ -423,28 +596,27 @@ router.put(
 router.put(
   "/:id/status",
   auth,
-  requireRole(["admin", "supervisor"]),
+  requireRole(["admin", "kepala-unit"]),
   async (req, res) => {
     try {
-      const { status } = req.body;
+      const { status, reason } = req.body;
 
-      if (!["active", "expired", "suspended", "pending"].includes(status)) {
+      if (status === "suspended") {
         return res.status(400).json({
           success: false,
           message:
-            "Invalid status. Must be: active, expired, suspended, or pending",
+            "Suspensions are recorded through POST /api/credentials/:id/suspension",
         });
       }
 
-      const credential = await Credential.findByIdAndUpdate(
-        req.params.id,
-        {
-          status,
-          updatedAt: Date.now(),
-          updatedBy: req.user.id,
-        },
-        { new: true }
-      ).populate("userId", "username email");
+      if (!["active", "expired", "pending"].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid status. Must be: active, expired, or pending",
+        });
+      }
+
+      const credential = await Credential.findById(req.params.id);
 
       if (!credential) {
         return res.status(404).json({
@@ -453,6 +625,32 @@ router.put(
         });
       }
 
+      if (credential.status === "suspended") {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Suspended credentials are reinstated through POST /api/credentials/:id/suspension/reinstate",
+        });
+      }
+
+      // Active and expired follow the expiry date rather than the request
+      const next = EXPIRY_MANAGED_STATUSES.includes(status)
+        ? Credential.computeStatus(credential.expiryDate)
+        : { status, window: null };
+
+      credential.transitionStatus(next.status, {
+        window: next.window,
+        reason: reason || "Status updated manually",
+        changedBy: req.user.id,
+      });
+      credential.updatedBy = req.user.id;
+      credential.recordChange({
+        changedBy: req.user.id,
+        reason: reason || "Status updated manually",
+      });
+      await credential.save();
+      await credential.populate("userId", "username email");
+
       res.json({
         success: true,
         message: "Credential status updated successfully",
@@ -468,78 +666,121 @@ router.put(
   }
 );
 
+// PUT /api/credentials/:id/verify - Records that an admin checked the
+// credential against the original license, which makes it eligible for a
+// certificate without a committee application
+router.put("/:id/verify", auth, requireRole(["admin"]), async (req, res) => {
+  try {
+    const credential = await Credential.findById(req.params.id);
+
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: "Credential not found",
+      });
+    }
+
+    const reason = req.body?.reason || "Verified against the original license";
+    credential.verifiedBy = req.user.id;
+    credential.verifiedAt = new Date();
+    credential.updatedBy = req.user.id;
+    credential.recordChange({ changedBy: req.user.id, reason });
+    await credential.save();
+
+    res.json({
+      success: true,
+      message: "Credential verified successfully",
+      data: credential,
+    });
+  } catch (error) {
+    console.error("Verify credential error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error verifying credential",
+    });
+  }
+});
+
 router.delete(
-  "/:id",
+  "/bulk-delete",
   auth,
-  requirePermission("delete_credentials"),
+  requireRole(["admin"]),
   async (req, res) => {
     try {
-      const credential = await Credential.findById(req.params.id);
+      const { credentialIds, reason } = req.body;
 
-      if (!credential) {
-        return res.status(404).json({
+      if (!Array.isArray(credentialIds) || credentialIds.length === 0) {
+        return res.status(400).json({
           success: false,
-          message: "Credential not found",
+          message: "Invalid credential IDs",
         });
       }
 
-      // Check if user can delete this credential
-      const userRole = req.user.role;
-      if (!["admin"].includes(userRole)) {
-        // Only admin can delete credentials
-        return res.status(403).json({
-          success: false,
-          message: "Access denied. Only administrators can delete credentials.",
-        });
+      // Deleted one by one so each deletion is kept in the change history
+      const credentials = await Credential.find({
+        _id: { $in: credentialIds },
+      });
+      for (const credential of credentials) {
+        await credential
+          .recordChange({ changedBy: req.user.id, reason })
+          .deleteOne();
       }
 
-      await Credential.findByIdAndDelete(req.params.id);
-
       res.json({
         success: true,
-        message: "Credential deleted successfully",
+        message: `${credentials.length} credentials deleted successfully`,
+        data: {
+          deletedCount: credentials.length,
+        },
       });
     } catch (error) {
-      console.error("Delete credential error:", error);
+      console.error("Bulk delete credentials error:", error);
       res.status(500).json({
         success: false,
-        message: "Error deleting credential",
+        message: "Error deleting credentials",
       });
     }
   }
 );
 
 router.delete(
-  "/bulk-delete",
+  "/:id",
   auth,
-  requireRole(["admin"]),
+  requirePermission("delete_credentials"),
   async (req, res) => {
     try {
-      const { credentialIds } = req.body;
+      const credential = await Credential.findById(req.params.id);
 
-      if (!Array.isArray(credentialIds) || credentialIds.length === 0) {
-        return res.status(400).json({
+      if (!credential) {
+        return res.status(404).json({
           success: false,
-          message: "Invalid credential IDs",
+          message: "Credential not found",
         });
       }
 
-      const result = await Credential.deleteMany({
-        _id: { $in: credentialIds },
-      });
+      // Check if user can delete this credential
+      const userRole = req.user.role;
+      if (!["admin"].includes(userRole)) {
+        // Only admin can delete credentials
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. Only administrators can delete credentials.",
+        });
+      }
+
+      await credential
+        .recordChange({ changedBy: req.user.id, reason: req.body?.reason })
+        .deleteOne();
 
       res.json({
         success: true,
-        message: `${result.deletedCount} credentials deleted successfully`,
-        data: {
-          deletedCount: result.deletedCount,
-        },
+        message: "Credential deleted successfully",
       });
     } catch (error) {
-      console.error("Bulk delete credentials error:", error);
+      console.error("Delete credential error:", error);
       res.status(500).json({
         success: false,
-        message: "Error deleting credentials",
+        message: "Error deleting credential",
       });
     }
   }
@@ -560,39 +801,16 @@ router.post(
         limit = 10,
       } = req.body;
 
-      let query = {};
-      const userRole = req.user.role;
-
-      // Role-based filtering
-      if (!["admin", "supervisor"].includes(userRole)) {
-        query.userId = req.user.id;
-      }
-
-      // Search term
-      if (searchTerm) {
-        query.$or = [
-          { nurseId: { $regex: searchTerm, $options: "i" } },
-          { nurseName: { $regex: searchTerm, $options: "i" } },
-          { licenseNumber: { $regex: searchTerm, $options: "i" } },
-          { department: { $regex: searchTerm, $options: "i" } },
-        ];
-      }
-
-      // Apply filters
-      Object.keys(filters).forEach((key) => {
-        if (
-          filters[key] !== null &&
-          filters[key] !== undefined &&
-          filters[key] !== ""
-        ) {
-          query[key] = filters[key];
-        }
-      });
+      const query = await buildCredentialQuery(
+        { searchTerm, filters },
+        req.user
+      );
+      const sort = buildCredentialSort(sortBy, sortOrder);
 
       // Execute search
       const credentials = await Credential.find(query)
         .populate("userId", "username email")
-        .sort({ [sortBy]: sortOrder === "desc" ? -1 : 1 })
+        .sort(sort)
         .limit(limit * 1)
         .skip((page - 1) * limit);
 
@@ -608,6 +826,12 @@ router.post(
         },
       });
     } catch (error) {
+      if (error instanceof SearchQueryError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
       console.error("Search credentials error:", error);
       res.status(500).json({
         success: false,
@@ -620,62 +844,63 @@ router.post(
 router.get(
   "/export/data",
   auth,
-  requireRole(["admin", "supervisor"]),
+  requireRole(["admin", "kepala-unit"]),
   async (req, res) => {
     try {
-      const { format = "json", filters = {} } = req.query;
-
-      let query = {};
+      const {
+        format = "json",
+        searchTerm,
+        columns,
+        sortBy,
+        sortOrder,
+      } = req.query;
 
-      // Apply filters
-      Object.keys(filters).forEach((key) => {
-        if (filters[key]) {
-          query[key] = filters[key];
-        }
-      });
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `Format must be one of: ${EXPORT_FORMATS.join(", ")}`,
+        });
+      }
 
-      const credentials = await Credential.find(query)
-        .populate("userId", "username email")
-        .sort({ createdAt: -1 });
-
-      if (format === "csv") {
-        // Convert to CSV format
-        const csvData = credentials.map((cred) => ({
-          "Nurse ID": cred.nurseId,
-          "Nurse Name": cred.nurseName,
-          "License Number": cred.licenseNumber,
-          "License Type": cred.licenseType,
-          Department: cred.department,
-          Status: cred.status,
-          "Issue Date": cred.issueDate
-            ? cred.issueDate.toISOString().split("T")[0]
-            : "",
-          "Expiry Date": cred.expiryDate
-            ? cred.expiryDate.toISOString().split("T")[0]
-            : "",
-          "Created By": cred.userId ? cred.userId.username : "",
-          "Created Date": cred.createdAt.toISOString().split("T")[0],
-        }));
-
-        res.setHeader("Content-Type", "text/csv");
-        res.setHeader(
-          "Content-Disposition",
-          "attachment; filename=credentials.csv"
-        );
-
-        // Simple CSV conversion (you might want to use a proper CSV library)
-        const csvHeaders = Object.keys(csvData[0] || {}).join(",");
-        const csvRows = csvData.map((row) => Object.values(row).join(","));
-        const csvContent = [csvHeaders, ...csvRows].join("\n");
-
-        res.send(csvContent);
-      } else {
-        res.json({
-          success: true,
-          data: credentials,
+      const resolved = resolveColumns(columns);
+      if (resolved.unknown.length > 0 || resolved.columns.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown columns: ${resolved.unknown.join(", ")}`,
         });
       }
+
+      const filters = readQueryFilters(req.query);
+      const query = await buildCredentialQuery(
+        { searchTerm, filters },
+        req.user
+      );
+      const sort = buildCredentialSort(sortBy, sortOrder);
+
+      await streamCredentialExport({
+        res,
+        format,
+        query,
+        sort,
+        columns: resolved.columns,
+        // JSON keeps returning whole documents unless columns are chosen
+        fullDocuments: !columns,
+        subtitle: Object.entries(filters)
+          .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+          .join(", "),
+      });
     } catch (error) {
+      // Once streaming has started the status can no longer change
+      if (res.headersSent) {
+        console.error("Export credentials stream error:", error);
+        return res.destroy(error);
+      }
+      if (error instanceof SearchQueryError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
       console.error("Export credentials error:", error);
       res.status(500).json({
         success: false,
@@ -685,4 +910,4 @@ router.get(
   }
 );
 
-module.exports = router;
+export default router;
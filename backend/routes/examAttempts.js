@@ -0,0 +1,211 @@
+import express from "express";
+import Exam from "../models/exam.js";
+import ExamAttempt from "../models/examAttempt.js";
+import User from "../models/user.js";
+import {
+  authenticateToken as auth,
+  requireRole,
+} from "../middleware/roleAuth.js";
+import { EXAM_AUTHOR_ROLES } from "../services/questionBank.js";
+import { regradeExam } from "../services/examGrading.js";
+import {
+  AttemptError,
+  getAttemptView,
+  getAvailableExams,
+  saveAnswers,
+  startAttempt,
+  submitAttempt,
+} from "../services/examAttempts.js";
+
+// Taking exams. Mounted inside the exam routes at /api/exams.
+const router = express.Router();
+
+const handleError = (res, error, label, message) => {
+  if (error instanceof AttemptError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.name === "CastError") {
+    return res.status(404).json({
+      success: false,
+      message: "Exam attempt not found",
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+  });
+};
+
+const loadActor = async (req, res, next) => {
+  try {
+    req.actor = await User.findActiveById(req.user.id);
+
+    if (!req.actor) {
+      return res.status(403).json({
+        success: false,
+        message: "User not found or inactive",
+      });
+    }
+    next();
+  } catch (error) {
+    handleError(res, error, "Load user", "Error loading user");
+  }
+};
+
+// GET /api/exams/available - Published exams with the user's remaining
+// attempts
+router.get("/available", auth, loadActor, async (req, res) => {
+  try {
+    const exams = await getAvailableExams(req.actor);
+
+    res.json({
+      success: true,
+      exams,
+    });
+  } catch (error) {
+    handleError(res, error, "Get available exams", "Error fetching exams");
+  }
+});
+
+// GET /api/exams/exams/:id/attempts - The user's attempts at an exam;
+// exam authors see everyone's with full results
+router.get("/exams/:id/attempts", auth, async (req, res) => {
+  try {
+    const query = { exam: req.params.id };
+    const hidden = ["-answers", "-questions"];
+
+    if (!EXAM_AUTHOR_ROLES.includes(req.user.role)) {
+      const exam = await Exam.findById(req.params.id).select("settings");
+      query.nurse = req.user.id;
+
+      if (!exam?.settings.showResults) hidden.push("-result");
+      else if (!exam.settings.allowReview) hidden.push("-result.breakdown");
+    }
+
+    const attempts = await ExamAttempt.find(query)
+      .select(hidden.join(" "))
+      .populate("nurse", "username fullName npk unit")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      attempts,
+    });
+  } catch (error) {
+    handleError(res, error, "Get exam attempts", "Error fetching attempts");
+  }
+});
+
+// POST /api/exams/exams/:id/attempts - Starts an attempt, or resumes the
+// open one
+router.post("/exams/:id/attempts", auth, loadActor, async (req, res) => {
+  try {
+    const { attempt, resumed } = await startAttempt(req.params.id, req.actor);
+
+    res.status(resumed ? 200 : 201).json({
+      success: true,
+      message: resumed ? "Attempt resumed" : "Attempt started",
+      attempt: await getAttemptView(attempt._id, req.actor),
+    });
+  } catch (error) {
+    handleError(res, error, "Start exam attempt", "Error starting attempt");
+  }
+});
+
+// POST /api/exams/exams/:id/regrade - Regrades all submitted attempts,
+// e.g. after an answer key or question weight was corrected
+router.post(
+  "/exams/:id/regrade",
+  auth,
+  requireRole(EXAM_AUTHOR_ROLES),
+  async (req, res) => {
+    try {
+      const regraded = await regradeExam(req.params.id);
+
+      res.json({
+        success: true,
+        message: `${regraded} attempt(s) regraded`,
+        data: { regraded },
+      });
+    } catch (error) {
+      handleError(res, error, "Regrade exam", "Error regrading attempts");
+    }
+  }
+);
+
+// GET /api/exams/attempts/:attemptId - Questions without their answers,
+// saved answers and remaining time
+router.get("/attempts/:attemptId", auth, loadActor, async (req, res) => {
+  try {
+    const attempt = await getAttemptView(req.params.attemptId, req.actor);
+
+    res.json({
+      success: true,
+      attempt,
+    });
+  } catch (error) {
+    handleError(res, error, "Get exam attempt", "Error fetching attempt");
+  }
+});
+
+// PUT /api/exams/attempts/:attemptId/answers - Saves answers as
+// [{ questionId, subQuestionId, answer }], subQuestionId only for case-study
+// sub-questions; a null answer clears it
+router.put(
+  "/attempts/:attemptId/answers",
+  auth,
+  loadActor,
+  async (req, res) => {
+    try {
+      const attempt = await saveAnswers(
+        req.params.attemptId,
+        req.body.answers,
+        req.actor
+      );
+
+      res.json({
+        success: true,
+        message: "Answers saved",
+        data: {
+          answeredCount: attempt.answers.length,
+          remainingSeconds: attempt.remainingSeconds,
+        },
+      });
+    } catch (error) {
+      handleError(res, error, "Save exam answers", "Error saving answers");
+    }
+  }
+);
+
+// POST /api/exams/attempts/:attemptId/submit
+router.post(
+  "/attempts/:attemptId/submit",
+  auth,
+  loadActor,
+  async (req, res) => {
+    try {
+      const attempt = await submitAttempt(req.params.attemptId, req.actor);
+
+      res.json({
+        success: true,
+        message: "Attempt submitted",
+        attempt: await getAttemptView(attempt._id, req.actor),
+      });
+    } catch (error) {
+      handleError(
+        res,
+        error,
+        "Submit exam attempt",
+        "Error submitting attempt"
+      );
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,153 @@
+import express from "express";
+import User from "../models/user.js";
+import {
+  authenticateToken as auth,
+  requireRole,
+} from "../middleware/roleAuth.js";
+import { EXAM_AUTHOR_ROLES } from "../services/questionBank.js";
+import {
+  GRADER_ROLES,
+  GRADING_STAGES,
+  GradingError,
+  getAttemptMarks,
+  getGradingQueue,
+  submitMark,
+} from "../services/manualGrading.js";
+
+// Manual grading of short-answer and case-study responses. Mounted inside
+// the exam routes at /api/exams/grading.
+const router = express.Router();
+
+const validationMessage = (error) =>
+  Object.values(error.errors)
+    .map((err) => err.message)
+    .join(", ");
+
+const handleError = (res, error, label, message) => {
+  if (error instanceof GradingError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: validationMessage(error),
+    });
+  }
+
+  if (error.name === "CastError") {
+    return res.status(404).json({
+      success: false,
+      message: "Response not found",
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+  });
+};
+
+const loadActor = async (req, res, next) => {
+  try {
+    req.actor = await User.findActiveById(req.user.id);
+
+    if (!req.actor) {
+      return res.status(403).json({
+        success: false,
+        message: "User not found or inactive",
+      });
+    }
+    next();
+  } catch (error) {
+    handleError(res, error, "Load user", "Error loading user");
+  }
+};
+
+// GET /api/exams/grading/queue - Responses waiting for the grader; filter
+// by examId, or by stage ("mark" or "resolution")
+router.get(
+  "/queue",
+  auth,
+  requireRole(GRADER_ROLES),
+  loadActor,
+  async (req, res) => {
+    try {
+      const { examId, stage } = req.query;
+
+      if (stage && !GRADING_STAGES.includes(stage)) {
+        return res.status(400).json({
+          success: false,
+          message: `Stage must be one of: ${GRADING_STAGES.join(", ")}`,
+        });
+      }
+
+      const queue = await getGradingQueue(req.actor, { examId, stage });
+
+      res.json({
+        success: true,
+        ...queue,
+      });
+    } catch (error) {
+      handleError(res, error, "Get grading queue", "Error fetching queue");
+    }
+  }
+);
+
+// POST /api/exams/grading/attempts/:attemptId/responses/:questionId/marks -
+// Scores a response as { criteria: [{ criterionId, points }], feedback }
+// against the question's rubric, or { points, feedback } without one; add
+// subQuestionId for a case-study sub-question
+router.post(
+  "/attempts/:attemptId/responses/:questionId/marks",
+  auth,
+  requireRole(GRADER_ROLES),
+  loadActor,
+  async (req, res) => {
+    try {
+      const { mark, grade, result } = await submitMark(
+        req.params.attemptId,
+        req.params.questionId,
+        req.body,
+        req.actor
+      );
+
+      res.status(201).json({
+        success: true,
+        message:
+          result === "graded"
+            ? "Mark saved; the attempt is fully graded"
+            : "Mark saved",
+        data: { mark, grade, result },
+      });
+    } catch (error) {
+      handleError(res, error, "Submit mark", "Error saving mark");
+    }
+  }
+);
+
+// GET /api/exams/grading/attempts/:attemptId/marks - All marks on an
+// attempt, for moderation
+router.get(
+  "/attempts/:attemptId/marks",
+  auth,
+  requireRole(EXAM_AUTHOR_ROLES),
+  async (req, res) => {
+    try {
+      const marks = await getAttemptMarks(req.params.attemptId);
+
+      res.json({
+        success: true,
+        marks,
+      });
+    } catch (error) {
+      handleError(res, error, "Get attempt marks", "Error fetching marks");
+    }
+  }
+);
+
+export default router;
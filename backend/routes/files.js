@@ -2,7 +2,12 @@ import express from "express";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
-import File from "../models/file.js";
+import File, { PRIVATE_FILE_CATEGORIES } from "../models/file.js";
+import {
+  createDiskUpload,
+  formatFileSize,
+  getFileType,
+} from "../middleware/upload.js";
 import {
   authenticateToken as auth,
   requireRole,
@@ -17,21 +22,6 @@ const ALLOWED_EXCEL_TYPES = [
   "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
 ];
 
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = "uploads/files";
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    const fileExtension = path.extname(file.originalname);
-    cb(null, "file-" + uniqueSuffix + fileExtension);
-  },
-});
-
 const fileFilter = (req, file, cb) => {
   const allowedTypes = [
     "application/pdf",
@@ -63,40 +53,12 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
-const upload = multer({
-  storage,
+const upload = createDiskUpload({
+  destination: "uploads/files",
+  prefix: "file",
   fileFilter,
-  limits: { fileSize: 50 * 1024 * 1024 },
 });
 
-const formatFileSize = (bytes) => {
-  const sizes = ["Bytes", "KB", "MB", "GB"];
-  if (bytes === 0) return "0 Bytes";
-  const i = Math.floor(Math.log(bytes) / Math.log(1024));
-  return Math.round((bytes / Math.pow(1024, i)) * 100) / 100 + " " + sizes[i];
-};
-
-const getFileType = (mimetype) => {
-  const typeMap = {
-    "application/pdf": "pdf",
-    "application/msword": "docx",
-    "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
-      "docx",
-    "application/vnd.ms-excel": "xlsx",
-    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "xlsx",
-    "application/vnd.ms-powerpoint": "ppt",
-    "application/vnd.openxmlformats-officedocument.presentationml.presentation":
-      "ppt",
-    "text/plain": "txt",
-    "image/jpeg": "img",
-    "image/png": "img",
-    "image/gif": "img",
-    "application/zip": "zip",
-    "application/x-zip-compressed": "zip",
-  };
-  return typeMap[mimetype] || "default";
-};
-
 router.use((req, res, next) => {
   console.log(`📁 Files router - ${req.method} ${req.originalUrl}`);
   next();
@@ -106,9 +68,17 @@ router.get("/", auth, async (req, res) => {
   try {
     const { category, search, page = 1, limit = 10, month, unit } = req.query;
 
-    let query = { isActive: true };
+    // Credential documents are only listed through their credential
+    let query = {
+      isActive: true,
+      category: { $nin: PRIVATE_FILE_CATEGORIES },
+    };
 
-    if (category && category !== "all") {
+    if (
+      category &&
+      category !== "all" &&
+      !PRIVATE_FILE_CATEGORIES.includes(category)
+    ) {
       query.category = category;
 
       // Special handling for schedule queries
@@ -312,7 +282,11 @@ router.get("/download/:filename", auth, async (req, res) => {
   try {
     const { filename } = req.params;
 
-    const file = await File.findOne({ fileName: filename, isActive: true });
+    const file = await File.findOne({
+      fileName: filename,
+      isActive: true,
+      category: { $nin: PRIVATE_FILE_CATEGORIES },
+    });
 
     if (!file) {
       return res.status(404).json({
@@ -0,0 +1,216 @@
+import express from "express";
+import Notification from "../models/notification.js";
+import {
+  authenticateToken as auth,
+  requireRole,
+} from "../middleware/roleAuth.js";
+import {
+  processOutbox,
+  retryNotification,
+} from "../services/notificationService.js";
+
+const router = express.Router();
+
+const paginate = async (query, { page = 1, limit = 20 }) => {
+  const currentPage = parseInt(page) || 1;
+  const perPage = parseInt(limit) || 20;
+
+  const [notifications, total] = await Promise.all([
+    query
+      .clone()
+      .skip((currentPage - 1) * perPage)
+      .limit(perPage),
+    Notification.countDocuments(query.getFilter()),
+  ]);
+
+  return {
+    notifications,
+    pagination: {
+      currentPage,
+      totalPages: Math.ceil(total / perPage),
+      total,
+    },
+  };
+};
+
+// GET /api/notifications - Own notifications, in-app channel by default
+router.get("/", auth, async (req, res) => {
+  try {
+    const { channel = "in-app", status, unread, page, limit } = req.query;
+
+    const data = await paginate(
+      Notification.findForUser(req.user.id, { channel, status, unread }),
+      { page, limit }
+    );
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching notifications",
+    });
+  }
+});
+
+router.get("/unread-count", auth, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({
+      recipient: req.user.id,
+      channel: "in-app",
+      readAt: null,
+    });
+
+    res.json({ success: true, data: { count } });
+  } catch (error) {
+    console.error("Get unread count error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching unread count",
+    });
+  }
+});
+
+router.put("/read-all", auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user.id, channel: "in-app", readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: "Notifications marked as read",
+      data: { updatedCount: result.modifiedCount },
+    });
+  } catch (error) {
+    console.error("Mark all read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating notifications",
+    });
+  }
+});
+
+// Admin view of the outbox, optionally for a single user
+router.get("/outbox", auth, requireRole(["admin"]), async (req, res) => {
+  try {
+    const { userId, channel, status, credential, page, limit } = req.query;
+
+    const query = {};
+    if (userId) query.recipient = userId;
+    if (channel) query.channel = channel;
+    if (status) query.status = status;
+    if (credential) query.credential = credential;
+
+    const data = await paginate(
+      Notification.find(query)
+        .populate("recipient", "username fullName email")
+        .sort({ createdAt: -1 }),
+      { page, limit }
+    );
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("Get outbox error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching outbox",
+    });
+  }
+});
+
+router.post(
+  "/outbox/process",
+  auth,
+  requireRole(["admin"]),
+  async (req, res) => {
+    try {
+      const summary = await processOutbox();
+
+      res.json({
+        success: true,
+        message: summary
+          ? "Outbox processed"
+          : "Outbox is already being processed",
+        data: summary,
+      });
+    } catch (error) {
+      console.error("Process outbox error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error processing outbox",
+      });
+    }
+  }
+);
+
+router.post(
+  "/:id/retry",
+  auth,
+  requireRole(["admin"]),
+  async (req, res) => {
+    try {
+      const notification = await Notification.findById(req.params.id);
+
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: "Notification not found",
+        });
+      }
+
+      if (notification.status !== "failed") {
+        return res.status(400).json({
+          success: false,
+          message: "Only failed notifications can be retried",
+        });
+      }
+
+      await retryNotification(notification);
+
+      res.json({
+        success: true,
+        message: "Notification queued for retry",
+        data: notification,
+      });
+    } catch (error) {
+      console.error("Retry notification error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error retrying notification",
+      });
+    }
+  }
+);
+
+router.put("/:id/read", auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user.id,
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    await notification.markRead();
+
+    res.json({
+      success: true,
+      data: notification,
+    });
+  } catch (error) {
+    console.error("Mark notification read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating notification",
+    });
+  }
+});
+
+export default router;
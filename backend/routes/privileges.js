@@ -0,0 +1,418 @@
+import express from "express";
+import Privilege from "../models/privilege.js";
+import PrivilegeGrant, {
+  GRANT_STATUSES,
+  PRACTISING_STATUSES,
+} from "../models/privilegeGrant.js";
+import User from "../models/user.js";
+import CredentialSuspension from "../models/credentialSuspension.js";
+import { CLINICAL_AREAS } from "../config/clinicalAreas.js";
+import {
+  authenticateToken as auth,
+  requireRole,
+} from "../middleware/roleAuth.js";
+import { issueGrants } from "../services/privilegeService.js";
+
+const router = express.Router();
+
+const CATALOGUE_MANAGERS = ["admin", "komite"];
+
+const validationMessage = (error) =>
+  Object.values(error.errors)
+    .map((err) => err.message)
+    .join(", ");
+
+// Loads the nurse and checks the requesting user may see their RKK: the
+// nurse themself, their kepala unit, reviewers, the committee and admins
+const loadNurse = async (req, res, next) => {
+  try {
+    const [nurse, actor] = await Promise.all([
+      User.findById(req.params.nurseId).select("username fullName npk unit"),
+      User.findActiveById(req.user.id),
+    ]);
+
+    if (!nurse) {
+      return res.status(404).json({
+        success: false,
+        message: "Nurse not found",
+      });
+    }
+
+    const isSelf = nurse._id.toString() === actor?._id.toString();
+    const allowed =
+      isSelf ||
+      ["admin", "komite", "mitra"].includes(actor?.role) ||
+      (actor?.role === "kepala-unit" && actor.unit === nurse.unit);
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied to this nurse's clinical privileges",
+      });
+    }
+
+    req.nurse = nurse;
+    next();
+  } catch (error) {
+    console.error("Load nurse error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error loading nurse",
+    });
+  }
+};
+
+// ============= CATALOGUE =============
+
+router.get("/", auth, async (req, res) => {
+  try {
+    const { area, search, grouped } = req.query;
+
+    const query = {};
+    if (area) query.area = area;
+    if (search) query.$text = { $search: search };
+
+    if (grouped === "true") {
+      return res.json({
+        success: true,
+        data: await Privilege.getGroupedCatalogue(query),
+      });
+    }
+
+    const privileges = await Privilege.find({ isActive: true, ...query }).sort({
+      area: 1,
+      code: 1,
+    });
+
+    res.json({
+      success: true,
+      data: privileges,
+    });
+  } catch (error) {
+    console.error("Get privileges error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching privileges",
+    });
+  }
+});
+
+router.get("/areas", auth, (req, res) => {
+  res.json({ success: true, data: CLINICAL_AREAS });
+});
+
+router.post("/", auth, requireRole(CATALOGUE_MANAGERS), async (req, res) => {
+  try {
+    const { code, name, description, area } = req.body;
+
+    const privilege = new Privilege({
+      code,
+      name,
+      description,
+      area,
+      createdBy: req.user.id,
+    });
+    await privilege.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Privilege created successfully",
+      data: privilege,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error),
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Privilege code already exists",
+      });
+    }
+    console.error("Create privilege error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating privilege",
+    });
+  }
+});
+
+router.put("/:id", auth, requireRole(CATALOGUE_MANAGERS), async (req, res) => {
+  try {
+    const privilege = await Privilege.findById(req.params.id);
+
+    if (!privilege) {
+      return res.status(404).json({
+        success: false,
+        message: "Privilege not found",
+      });
+    }
+
+    const { name, description, area, isActive } = req.body;
+    if (name !== undefined) privilege.name = name;
+    if (description !== undefined) privilege.description = description;
+    if (area !== undefined) privilege.area = area;
+    if (isActive !== undefined) privilege.isActive = isActive;
+
+    await privilege.save();
+
+    res.json({
+      success: true,
+      message: "Privilege updated successfully",
+      data: privilege,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error),
+      });
+    }
+    console.error("Update privilege error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating privilege",
+    });
+  }
+});
+
+// Privileges are deactivated rather than deleted so grants keep their target
+router.delete(
+  "/:id",
+  auth,
+  requireRole(CATALOGUE_MANAGERS),
+  async (req, res) => {
+    try {
+      const privilege = await Privilege.findByIdAndUpdate(
+        req.params.id,
+        { isActive: false },
+        { new: true }
+      );
+
+      if (!privilege) {
+        return res.status(404).json({
+          success: false,
+          message: "Privilege not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Privilege deactivated successfully",
+      });
+    } catch (error) {
+      console.error("Delete privilege error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error deactivating privilege",
+      });
+    }
+  }
+);
+
+// ============= PER-NURSE RKK =============
+
+// GET /api/privileges/nurses/:nurseId - Rincian Kewenangan Klinis
+// ?current=true limits to privileges the nurse may perform now (or on ?on=)
+router.get("/nurses/:nurseId", auth, loadNurse, async (req, res) => {
+  try {
+    const { current, on, status } = req.query;
+
+    const grants = await PrivilegeGrant.findForNurse(req.nurse._id, {
+      current: current === "true",
+      on,
+      status,
+    });
+
+    const byArea = CLINICAL_AREAS.map((area) => ({
+      area,
+      grants: grants.filter((grant) => grant.privilege?.area === area),
+    })).filter((group) => group.grants.length > 0);
+
+    res.json({
+      success: true,
+      data: {
+        nurse: req.nurse,
+        byArea,
+        total: grants.length,
+      },
+    });
+  } catch (error) {
+    console.error("Get nurse privileges error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching nurse privileges",
+    });
+  }
+});
+
+// GET /api/privileges/nurses/:nurseId/check/:code - may the nurse do this?
+router.get(
+  "/nurses/:nurseId/check/:code",
+  auth,
+  loadNurse,
+  async (req, res) => {
+    try {
+      const privilege = await Privilege.findOne({
+        code: req.params.code.toUpperCase(),
+      });
+
+      if (!privilege) {
+        return res.status(404).json({
+          success: false,
+          message: "Privilege not found",
+        });
+      }
+
+      const now = new Date();
+      const grant = await PrivilegeGrant.findOne({
+        nurse: req.nurse._id,
+        privilege: privilege._id,
+        status: { $in: PRACTISING_STATUSES },
+        validFrom: { $lte: now },
+        validUntil: { $gte: now },
+      });
+
+      res.json({
+        success: true,
+        data: {
+          privilege: { code: privilege.code, name: privilege.name },
+          allowed: !!grant,
+          supervised: grant?.status === "supervised",
+          validUntil: grant?.validUntil || null,
+        },
+      });
+    } catch (error) {
+      console.error("Check privilege error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error checking privilege",
+      });
+    }
+  }
+);
+
+// POST /api/privileges/grants - Grant privileges outside an application
+router.post(
+  "/grants",
+  auth,
+  requireRole(CATALOGUE_MANAGERS),
+  async (req, res) => {
+    try {
+      const { nurseId, privileges, validFrom, validUntil, notes } = req.body;
+
+      if (!nurseId || !Array.isArray(privileges) || privileges.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Required fields: nurseId, privileges",
+        });
+      }
+
+      const nurse = await User.findActiveById(nurseId);
+      if (!nurse) {
+        return res.status(404).json({
+          success: false,
+          message: "Nurse not found",
+        });
+      }
+
+      const grants = await issueGrants({
+        nurseId: nurse._id,
+        privileges,
+        validFrom: validFrom ? new Date(validFrom) : undefined,
+        validUntil: validUntil ? new Date(validUntil) : undefined,
+        grantedBy: req.user.id,
+        notes,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Privileges granted successfully",
+        data: grants,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: validationMessage(error),
+        });
+      }
+      console.error("Grant privileges error:", error);
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+router.put(
+  "/grants/:grantId/status",
+  auth,
+  requireRole(CATALOGUE_MANAGERS),
+  async (req, res) => {
+    try {
+      const { status, reason } = req.body;
+
+      if (!GRANT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Must be: ${GRANT_STATUSES.join(", ")}`,
+        });
+      }
+
+      const grant = await PrivilegeGrant.findById(req.params.grantId);
+
+      if (!grant) {
+        return res.status(404).json({
+          success: false,
+          message: "Grant not found",
+        });
+      }
+
+      if (grant.status === "revoked") {
+        return res.status(409).json({
+          success: false,
+          message: "Revoked grants cannot be changed",
+        });
+      }
+
+      // Privileges suspended with a credential come back through its
+      // reinstatement decision
+      if (
+        grant.status === "suspended" &&
+        PRACTISING_STATUSES.includes(status) &&
+        (await CredentialSuspension.exists({
+          nurse: grant.nurse,
+          status: "active",
+        }))
+      ) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "The nurse has a suspended credential; privileges are restored when it is reinstated",
+        });
+      }
+
+      grant.changeStatus(status, { reason, changedBy: req.user.id });
+      await grant.save();
+
+      res.json({
+        success: true,
+        message: "Grant status updated successfully",
+        data: grant,
+      });
+    } catch (error) {
+      console.error("Update grant status error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating grant status",
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,231 @@
+import express from "express";
+import Question from "../models/questions.js";
+import {
+  authenticateToken as auth,
+  requireRole,
+} from "../middleware/roleAuth.js";
+import {
+  EXAM_AUTHOR_ROLES,
+  QUESTION_SORT,
+  formatQuestion,
+  toQuestionFields,
+} from "../services/questionBank.js";
+
+// The question bank. Mounted at /api/questions and /api/exams/questions;
+// requests may use the Indonesian or the English field names.
+const router = express.Router();
+
+const validationMessage = (error) =>
+  Object.values(error.errors)
+    .map((err) => err.message)
+    .join(", ");
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const listQuestions = async (res, query) => {
+  const questions = await Question.find(query)
+    .populate("createdBy", "username email")
+    .sort(QUESTION_SORT);
+
+  res.json({
+    success: true,
+    questions: questions.map(formatQuestion),
+    count: questions.length,
+    message: "Questions fetched successfully",
+  });
+};
+
+// GET /api/questions - Active questions in bank order, optionally filtered
+// by type, category or text
+router.get("/", auth, requireRole(EXAM_AUTHOR_ROLES), async (req, res) => {
+  try {
+    const { type, kategori, category, search } = req.query;
+    const query = { isActive: true };
+
+    if (type) query.type = type;
+    if (kategori || category) query.kategori = kategori || category;
+    if (typeof search === "string" && search.trim()) {
+      query.pertanyaan = { $regex: escapeRegex(search.trim()), $options: "i" };
+    }
+
+    await listQuestions(res, query);
+  } catch (error) {
+    console.error("Get questions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch questions",
+    });
+  }
+});
+
+router.get(
+  "/category/:category",
+  auth,
+  requireRole(EXAM_AUTHOR_ROLES),
+  async (req, res) => {
+    try {
+      await listQuestions(res, {
+        kategori: req.params.category,
+        isActive: true,
+      });
+    } catch (error) {
+      console.error("Get questions by category error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch questions by category",
+      });
+    }
+  }
+);
+
+router.get("/:id", auth, requireRole(EXAM_AUTHOR_ROLES), async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id).populate(
+      "createdBy",
+      "username email"
+    );
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: "Question not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      question: formatQuestion(question),
+    });
+  } catch (error) {
+    console.error("Get question error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch question",
+    });
+  }
+});
+
+router.post("/", auth, requireRole(EXAM_AUTHOR_ROLES), async (req, res) => {
+  try {
+    const fields = toQuestionFields(req.body);
+
+    if (!fields.pertanyaan) {
+      return res.status(400).json({
+        success: false,
+        message: "Question text is required",
+      });
+    }
+
+    if (!fields.type) {
+      return res.status(400).json({
+        success: false,
+        message: "Question type is required",
+      });
+    }
+
+    const question = new Question({ ...fields, createdBy: req.user.id });
+    await question.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Question created successfully",
+      question: formatQuestion(question),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error),
+      });
+    }
+
+    console.error("Create question error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create question",
+    });
+  }
+});
+
+router.put("/:id", auth, requireRole(EXAM_AUTHOR_ROLES), async (req, res) => {
+  try {
+    const question = await Question.findOne({
+      _id: req.params.id,
+      isActive: true,
+    });
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: "Question not found",
+      });
+    }
+
+    const fields = toQuestionFields(req.body);
+
+    if (fields.pertanyaan !== undefined && !fields.pertanyaan) {
+      return res.status(400).json({
+        success: false,
+        message: "Question text cannot be empty",
+      });
+    }
+
+    question.set(fields);
+    await question.save();
+
+    res.json({
+      success: true,
+      message: "Question updated successfully",
+      question: formatQuestion(question),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error),
+      });
+    }
+
+    console.error("Update question error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update question",
+    });
+  }
+});
+
+// Retired rather than removed so exams that use the question keep it
+router.delete(
+  "/:id",
+  auth,
+  requireRole(EXAM_AUTHOR_ROLES),
+  async (req, res) => {
+    try {
+      const question = await Question.findOneAndUpdate(
+        { _id: req.params.id, isActive: true },
+        { $set: { isActive: false } },
+        { new: true }
+      );
+
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          message: "Question not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Question deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete question error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete question",
+      });
+    }
+  }
+);
+
+export default router;
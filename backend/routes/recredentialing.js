@@ -0,0 +1,241 @@
+import express from "express";
+import CredentialApplication, {
+  CLOSED_STAGES,
+} from "../models/credentialApplication.js";
+import Privilege from "../models/privilege.js";
+import RecredentialingPolicy from "../models/recredentialingPolicy.js";
+import User from "../models/user.js";
+import {
+  authenticateToken as auth,
+  requireRole,
+} from "../middleware/roleAuth.js";
+import {
+  getEffectivePolicies,
+  runRecredentialingCheck,
+} from "../services/recredentialing.js";
+
+const router = express.Router();
+
+const POLICY_MANAGERS = ["admin", "komite"];
+
+const validationMessage = (error) =>
+  Object.values(error.errors)
+    .map((err) => err.message)
+    .join(", ");
+
+// GET /api/recredentialing/policies - Stored policies and the cycles in
+// effect, including built-in license defaults
+router.get(
+  "/policies",
+  auth,
+  requireRole(POLICY_MANAGERS),
+  async (req, res) => {
+    try {
+      const [policies, effective] = await Promise.all([
+        RecredentialingPolicy.find()
+          .populate("privilege", "code name area")
+          .sort({ scope: 1, licenseType: 1 }),
+        getEffectivePolicies(),
+      ]);
+
+      res.json({
+        success: true,
+        data: { policies, effective },
+      });
+    } catch (error) {
+      console.error("Get re-credentialing policies error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching re-credentialing policies",
+      });
+    }
+  }
+);
+
+router.post(
+  "/policies",
+  auth,
+  requireRole(POLICY_MANAGERS),
+  async (req, res) => {
+    try {
+      const { scope, licenseType, privilegeId, periodMonths, leadDays } =
+        req.body;
+
+      if (
+        scope === "privilege" &&
+        !(await Privilege.exists({ _id: privilegeId }))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Privilege not found",
+        });
+      }
+
+      const policy = await RecredentialingPolicy.create({
+        scope,
+        licenseType: scope === "license" ? licenseType : undefined,
+        privilege: scope === "privilege" ? privilegeId : undefined,
+        periodMonths,
+        leadDays,
+        updatedBy: req.user.id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Re-credentialing policy created successfully",
+        data: policy,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: validationMessage(error),
+        });
+      }
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: "A policy already exists for this license type or privilege",
+        });
+      }
+      console.error("Create re-credentialing policy error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error creating re-credentialing policy",
+      });
+    }
+  }
+);
+
+// Only the cycle length, lead time and active flag can change; the scope
+// and target of a policy are fixed once created
+router.put(
+  "/policies/:id",
+  auth,
+  requireRole(POLICY_MANAGERS),
+  async (req, res) => {
+    try {
+      const policy = await RecredentialingPolicy.findById(req.params.id);
+
+      if (!policy) {
+        return res.status(404).json({
+          success: false,
+          message: "Re-credentialing policy not found",
+        });
+      }
+
+      const { periodMonths, leadDays, isActive } = req.body;
+      if (periodMonths !== undefined) policy.periodMonths = periodMonths;
+      if (leadDays !== undefined) policy.leadDays = leadDays;
+      if (isActive !== undefined) policy.isActive = isActive;
+      policy.updatedBy = req.user.id;
+      await policy.save();
+
+      res.json({
+        success: true,
+        message: "Re-credentialing policy updated successfully",
+        data: policy,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: validationMessage(error),
+        });
+      }
+      console.error("Update re-credentialing policy error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating re-credentialing policy",
+      });
+    }
+  }
+);
+
+// GET /api/recredentialing/cases - Open re-credentialing cases, soonest due
+// first. Kepala unit only see their own unit; ?overdue=true narrows to
+// cases past their due date.
+router.get(
+  "/cases",
+  auth,
+  requireRole(["admin", "komite", "kepala-unit"]),
+  async (req, res) => {
+    try {
+      const { overdue, unit, page = 1, limit = 20 } = req.query;
+      const query = {
+        type: "recredentialing",
+        stage: { $nin: CLOSED_STAGES },
+      };
+
+      if (req.user.role === "kepala-unit") {
+        const actor = await User.findActiveById(req.user.id);
+        if (!actor?.unit) {
+          return res.status(400).json({
+            success: false,
+            message: "Your account is not assigned to a unit",
+          });
+        }
+        query.unit = actor.unit;
+      } else if (unit) {
+        query.unit = unit;
+      }
+
+      if (overdue === "true") query.dueDate = { $lt: new Date() };
+
+      const [cases, total] = await Promise.all([
+        CredentialApplication.find(query)
+          .populate("applicant", "username fullName npk unit")
+          .populate("credential", "licenseNumber licenseType status expiryDate")
+          .populate("requestedPrivileges", "code name area")
+          .sort({ dueDate: 1 })
+          .skip((page - 1) * limit)
+          .limit(parseInt(limit)),
+        CredentialApplication.countDocuments(query),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          cases,
+          totalPages: Math.ceil(total / limit),
+          currentPage: parseInt(page),
+          total,
+        },
+      });
+    } catch (error) {
+      console.error("Get re-credentialing cases error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching re-credentialing cases",
+      });
+    }
+  }
+);
+
+// POST /api/recredentialing/run - Runs the daily check immediately
+router.post("/run", auth, requireRole(["admin"]), async (req, res) => {
+  try {
+    const summary = await runRecredentialingCheck();
+
+    if (!summary) {
+      return res.status(409).json({
+        success: false,
+        message: "Re-credentialing check is already running",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Re-credentialing check completed",
+      data: summary,
+    });
+  } catch (error) {
+    console.error("Run re-credentialing check error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error running re-credentialing check",
+    });
+  }
+});
+
+export default router;
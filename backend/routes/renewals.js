@@ -0,0 +1,409 @@
+import express from "express";
+import multer from "multer";
+import path from "path";
+import fs from "fs";
+import Credential from "../models/credential.js";
+import RenewalRequest from "../models/renewalRequest.js";
+import User from "../models/user.js";
+import File, { RENEWAL_EVIDENCE_CATEGORY } from "../models/file.js";
+import { createDiskUpload, discardUpload } from "../middleware/upload.js";
+import {
+  authenticateToken as auth,
+  requiredPermission as requirePermission,
+  requireRole,
+} from "../middleware/roleAuth.js";
+import {
+  RENEWABLE_STATUSES,
+  RENEWAL_REVIEWER_ROLES,
+  RenewalError,
+  reviewRenewal,
+  submitRenewal,
+  withdrawRenewal,
+} from "../services/credentialRenewal.js";
+
+const router = express.Router();
+
+const ALLOWED_EVIDENCE_TYPES = ["application/pdf", "image/jpeg", "image/png"];
+const MAX_EVIDENCE_FILES = 5;
+
+const fileFilter = (req, file, cb) => {
+  if (ALLOWED_EVIDENCE_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error("Document type not allowed"), false);
+  }
+};
+
+// Kept outside the statically served uploads directory
+const upload = createDiskUpload({
+  destination: "private/renewals",
+  prefix: "renewal",
+  fileFilter,
+  maxFileSize: 20 * 1024 * 1024,
+});
+
+const discardUploads = (files = []) => files.forEach(discardUpload);
+
+const validationMessage = (error) =>
+  Object.values(error.errors)
+    .map((err) => err.message)
+    .join(", ");
+
+const handleError = (res, error, label, message) => {
+  if (error instanceof RenewalError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: validationMessage(error),
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+  });
+};
+
+const loadActor = async (req, res, next) => {
+  try {
+    req.actor = await User.findActiveById(req.user.id);
+
+    if (!req.actor) {
+      return res.status(403).json({
+        success: false,
+        message: "User not found or inactive",
+      });
+    }
+    next();
+  } catch (error) {
+    handleError(res, error, "Load user", "Error loading user");
+  }
+};
+
+// Reviewers see every request, kepala unit those of their unit's nurses
+const canView = async (req, renewal) => {
+  if (renewal.nurse.toString() === req.user.id?.toString()) return true;
+  if (RENEWAL_REVIEWER_ROLES.includes(req.user.role)) return true;
+  if (req.user.role !== "kepala-unit") return false;
+
+  const [actor, nurse] = await Promise.all([
+    User.findActiveById(req.user.id),
+    User.findById(renewal.nurse).select("unit"),
+  ]);
+  return Boolean(actor?.unit) && actor.unit === nurse?.unit;
+};
+
+const loadRenewal = async (req, res, next) => {
+  try {
+    const renewal = await RenewalRequest.findById(req.params.id);
+
+    if (!renewal) {
+      return res.status(404).json({
+        success: false,
+        message: "Renewal request not found",
+      });
+    }
+
+    if (!(await canView(req, renewal))) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied to this renewal request",
+      });
+    }
+
+    req.renewal = renewal;
+    next();
+  } catch (error) {
+    console.error("Load renewal request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error loading renewal request",
+    });
+  }
+};
+
+// GET /api/renewals/eligible - The user's credentials that can be renewed,
+// with any pending request for them
+router.get("/eligible", auth, async (req, res) => {
+  try {
+    const credentials = await Credential.find({
+      userId: req.user.id,
+      status: { $in: RENEWABLE_STATUSES },
+    })
+      .select("nurseName licenseNumber licenseType issueDate expiryDate status")
+      .sort({ expiryDate: 1 });
+
+    const pending = await RenewalRequest.find({
+      credential: { $in: credentials.map((credential) => credential._id) },
+      status: "pending",
+    }).select("credential");
+    const pendingByCredential = new Map(
+      pending.map((renewal) => [renewal.credential.toString(), renewal._id])
+    );
+
+    res.json({
+      success: true,
+      data: credentials.map((credential) => ({
+        ...credential.toJSON(),
+        pendingRenewal:
+          pendingByCredential.get(credential._id.toString()) || null,
+      })),
+    });
+  } catch (error) {
+    console.error("Get renewable credentials error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching renewable credentials",
+    });
+  }
+});
+
+// GET /api/renewals - Nurses see their own requests, kepala unit those of
+// their unit and admins or mitra everyone's
+router.get("/", auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, credentialId } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (credentialId) query.credential = credentialId;
+
+    if (RENEWAL_REVIEWER_ROLES.includes(req.user.role)) {
+      // all requests
+    } else if (req.user.role === "kepala-unit") {
+      const actor = await User.findActiveById(req.user.id);
+      const nurses = await User.find({ unit: actor?.unit || null }).select(
+        "_id"
+      );
+      query.nurse = { $in: nurses.map((nurse) => nurse._id) };
+    } else {
+      query.nurse = req.user.id;
+    }
+
+    const [renewals, total] = await Promise.all([
+      RenewalRequest.find(query)
+        .populate("credential", "nurseName licenseNumber licenseType status")
+        .populate("nurse", "username fullName npk unit")
+        .populate("reviewedBy", "username fullName")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      RenewalRequest.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        renewals,
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        total,
+      },
+    });
+  } catch (error) {
+    console.error("Get renewal requests error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching renewal requests",
+    });
+  }
+});
+
+// POST /api/renewals - Requests renewal of one of the nurse's credentials
+// with the new license details and evidence documents
+router.post(
+  "/",
+  auth,
+  requirePermission("create_credentials"),
+  loadActor,
+  upload.array("evidence", MAX_EVIDENCE_FILES),
+  async (req, res) => {
+    try {
+      const { credentialId, licenseNumber, issueDate, expiryDate, notes } =
+        req.body;
+
+      if (!credentialId) {
+        discardUploads(req.files);
+        return res.status(400).json({
+          success: false,
+          message: "credentialId is required",
+        });
+      }
+
+      const renewal = await submitRenewal(
+        credentialId,
+        { licenseNumber, issueDate, expiryDate, notes },
+        req.files,
+        req.actor
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Renewal request submitted for verification",
+        data: renewal,
+      });
+    } catch (error) {
+      discardUploads(req.files);
+      handleError(
+        res,
+        error,
+        "Submit renewal request",
+        "Error submitting renewal request"
+      );
+    }
+  }
+);
+
+router.get("/:id", auth, loadRenewal, async (req, res) => {
+  try {
+    await req.renewal.populate([
+      {
+        path: "credential",
+        select:
+          "nurseName licenseNumber licenseType issueDate expiryDate status",
+      },
+      { path: "nurse", select: "username fullName npk unit" },
+      { path: "reviewedBy", select: "username fullName" },
+      { path: "evidence", match: { isActive: true } },
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...req.renewal.toJSON(),
+        evidence: req.renewal.evidence.map((file) => file.toAttachment()),
+      },
+    });
+  } catch (error) {
+    console.error("Get renewal request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching renewal request",
+    });
+  }
+});
+
+router.get(
+  "/:id/evidence/:filename/download",
+  auth,
+  loadRenewal,
+  async (req, res) => {
+    try {
+      const file = await File.findOne({
+        fileName: req.params.filename,
+        renewalRequest: req.renewal._id,
+        category: RENEWAL_EVIDENCE_CATEGORY,
+        isActive: true,
+      });
+
+      if (!file || !fs.existsSync(file.path)) {
+        return res.status(404).json({
+          success: false,
+          message: "File not found",
+        });
+      }
+
+      await file.incrementDownload();
+
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${file.originalName}"`
+      );
+      res.setHeader("Content-Type", "application/octet-stream");
+
+      res.sendFile(path.resolve(file.path));
+    } catch (error) {
+      console.error("Download renewal evidence error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error downloading file",
+      });
+    }
+  }
+);
+
+// PATCH /api/renewals/:id/review - Approves and applies the renewal, or
+// rejects it with a note
+router.patch(
+  "/:id/review",
+  auth,
+  requireRole(RENEWAL_REVIEWER_ROLES),
+  loadActor,
+  async (req, res) => {
+    try {
+      const { decision, note } = req.body;
+      const renewal = await reviewRenewal(
+        req.params.id,
+        { decision, note },
+        req.actor
+      );
+
+      res.json({
+        success: true,
+        message:
+          decision === "approved"
+            ? "Renewal approved and applied to the credential"
+            : "Renewal request rejected",
+        data: renewal,
+      });
+    } catch (error) {
+      handleError(
+        res,
+        error,
+        "Review renewal request",
+        "Error reviewing renewal request"
+      );
+    }
+  }
+);
+
+// DELETE /api/renewals/:id - Withdraws a pending request
+router.delete("/:id", auth, loadActor, async (req, res) => {
+  try {
+    await withdrawRenewal(req.params.id, req.actor);
+
+    res.json({
+      success: true,
+      message: "Renewal request withdrawn successfully",
+    });
+  } catch (error) {
+    handleError(
+      res,
+      error,
+      "Withdraw renewal request",
+      "Error withdrawing renewal request"
+    );
+  }
+});
+
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    const message =
+      error.code === "LIMIT_FILE_SIZE"
+        ? "File too large. Maximum size is 20MB."
+        : `Upload up to ${MAX_EVIDENCE_FILES} files in the evidence field`;
+    return res.status(400).json({
+      success: false,
+      message,
+    });
+  }
+
+  if (error.message === "Document type not allowed") {
+    return res.status(400).json({
+      success: false,
+      message:
+        "Document type not allowed. Please upload PDF, JPG or PNG files.",
+    });
+  }
+
+  next(error);
+});
+
+export default router;
@@ -0,0 +1,225 @@
+import express from "express";
+import ReviewAssignment from "../models/reviewAssignment.js";
+import User from "../models/user.js";
+import { CLINICAL_AREAS } from "../config/clinicalAreas.js";
+import {
+  authenticateToken as auth,
+  requireRole,
+} from "../middleware/roleAuth.js";
+import {
+  AssignmentError,
+  ASSIGNING_ROLES,
+  assignReviewers,
+  getReviewerQueue,
+  proposeReviewers,
+  respondToAssignment,
+} from "../services/reviewerAssignment.js";
+
+const router = express.Router();
+
+const validationMessage = (error) =>
+  Object.values(error.errors)
+    .map((err) => err.message)
+    .join(", ");
+
+const handleError = (res, error, message) => {
+  if (error instanceof AssignmentError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: validationMessage(error),
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message });
+};
+
+const loadActor = async (req, res, next) => {
+  try {
+    req.actor = await User.findActiveById(req.user.id);
+
+    if (!req.actor) {
+      return res.status(403).json({
+        success: false,
+        message: "User not found or inactive",
+      });
+    }
+    next();
+  } catch (error) {
+    handleError(res, error, "Error loading user");
+  }
+};
+
+// GET /api/review-assignments/queue - The mitra's open assignments, soonest
+// due first
+router.get("/queue", auth, requireRole(["mitra"]), async (req, res) => {
+  try {
+    const assignments = await getReviewerQueue(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        assignments,
+        pending: assignments.filter((a) => a.status === "pending").length,
+        accepted: assignments.filter((a) => a.status === "accepted").length,
+        overdue: assignments.filter((a) => a.isOverdue).length,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, "Error fetching review queue");
+  }
+});
+
+// POST /api/review-assignments/:id/respond - { response: accept | decline,
+// reason }
+router.post(
+  "/:id/respond",
+  auth,
+  requireRole(["mitra"]),
+  loadActor,
+  async (req, res) => {
+    try {
+      const assignment = await respondToAssignment(
+        req.params.id,
+        req.body,
+        req.actor
+      );
+
+      res.json({
+        success: true,
+        message: `Assignment ${assignment.status}`,
+        data: assignment,
+      });
+    } catch (error) {
+      handleError(res, error, "Error responding to assignment");
+    }
+  }
+);
+
+// GET /api/review-assignments/applications/:applicationId - Assignments
+// and reviewer proposals for an application
+router.get(
+  "/applications/:applicationId",
+  auth,
+  requireRole(ASSIGNING_ROLES),
+  async (req, res) => {
+    try {
+      const [proposal, assignments] = await Promise.all([
+        proposeReviewers(req.params.applicationId),
+        ReviewAssignment.find({ application: req.params.applicationId })
+          .populate("reviewer", "username fullName unit expertiseAreas")
+          .populate("assignedBy", "username fullName")
+          .sort({ createdAt: -1 }),
+      ]);
+
+      res.json({
+        success: true,
+        data: { assignments, proposal },
+      });
+    } catch (error) {
+      handleError(res, error, "Error fetching reviewer proposals");
+    }
+  }
+);
+
+// POST /api/review-assignments/applications/:applicationId - Assigns
+// { reviewerIds, dueDate }; without reviewerIds the least loaded eligible
+// reviewers are assigned
+router.post(
+  "/applications/:applicationId",
+  auth,
+  requireRole(ASSIGNING_ROLES),
+  loadActor,
+  async (req, res) => {
+    try {
+      const assignments = await assignReviewers(
+        req.params.applicationId,
+        req.body,
+        req.actor
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `${assignments.length} reviewer(s) assigned`,
+        data: assignments,
+      });
+    } catch (error) {
+      handleError(res, error, "Error assigning reviewers");
+    }
+  }
+);
+
+// PUT /api/review-assignments/reviewers/:userId - Sets a mitra's expertise
+// areas and a user's direct supervisor
+router.put(
+  "/reviewers/:userId",
+  auth,
+  requireRole(ASSIGNING_ROLES),
+  async (req, res) => {
+    try {
+      const { expertiseAreas, supervisorId } = req.body;
+      const user = await User.findActiveById(req.params.userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (expertiseAreas !== undefined) {
+        if (
+          !Array.isArray(expertiseAreas) ||
+          expertiseAreas.some((area) => !CLINICAL_AREAS.includes(area))
+        ) {
+          return res.status(400).json({
+            success: false,
+            message: `Expertise areas must be a list of: ${CLINICAL_AREAS.join(
+              ", "
+            )}`,
+          });
+        }
+        user.expertiseAreas = [...new Set(expertiseAreas)];
+      }
+
+      if (supervisorId !== undefined) {
+        if (supervisorId && user._id.equals(supervisorId)) {
+          return res.status(400).json({
+            success: false,
+            message: "A user cannot supervise themselves",
+          });
+        }
+        if (supervisorId && !(await User.findActiveById(supervisorId))) {
+          return res.status(400).json({
+            success: false,
+            message: "Supervisor not found",
+          });
+        }
+        user.supervisor = supervisorId || undefined;
+      }
+
+      await user.save();
+
+      res.json({
+        success: true,
+        message: "Reviewer profile updated successfully",
+        data: {
+          id: user._id,
+          expertiseAreas: user.expertiseAreas,
+          supervisor: user.supervisor,
+        },
+      });
+    } catch (error) {
+      handleError(res, error, "Error updating reviewer profile");
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,610 @@
+import express from "express";
+import multer from "multer";
+import path from "path";
+import fs from "fs";
+import SkpActivity from "../models/skpActivity.js";
+import User from "../models/user.js";
+import File, { SKP_EVIDENCE_CATEGORY } from "../models/file.js";
+import { SKP_ACTIVITY_CATEGORIES, getSkpRequirements } from "../config/skp.js";
+import {
+  createDiskUpload,
+  discardUpload,
+  formatFileSize,
+  getFileType,
+} from "../middleware/upload.js";
+import {
+  authenticateToken as auth,
+  requireRole,
+} from "../middleware/roleAuth.js";
+import {
+  findShortfalls,
+  getNurseLedger,
+  runSkpShortfallCheck,
+} from "../services/skpLedger.js";
+
+const router = express.Router();
+
+const ALLOWED_EVIDENCE_TYPES = ["application/pdf", "image/jpeg", "image/png"];
+const MAX_EVIDENCE_FILES = 5;
+
+// Roles that see every nurse's ledger; kepala unit see their own unit
+const LEDGER_REVIEWER_ROLES = ["admin", "komite"];
+
+const fileFilter = (req, file, cb) => {
+  if (ALLOWED_EVIDENCE_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error("Document type not allowed"), false);
+  }
+};
+
+// Kept outside the statically served uploads directory
+const upload = createDiskUpload({
+  destination: "private/skp",
+  prefix: "skp",
+  fileFilter,
+  maxFileSize: 20 * 1024 * 1024,
+});
+
+const discardUploads = (files = []) => files.forEach(discardUpload);
+
+const validationMessage = (error) =>
+  Object.values(error.errors)
+    .map((err) => err.message)
+    .join(", ");
+
+const loadActor = (req) => User.findActiveById(req.user.id);
+
+// Whether the user may see a nurse's ledger
+const canViewNurse = async (req, nurse) => {
+  if (nurse._id.toString() === req.user.id?.toString()) return true;
+  if (LEDGER_REVIEWER_ROLES.includes(req.user.role)) return true;
+  if (req.user.role !== "kepala-unit") return false;
+
+  const actor = await loadActor(req);
+  return Boolean(actor?.unit) && actor.unit === nurse.unit;
+};
+
+// Only the kepala unit of the nurse's unit and admins approve credits
+const canReview = async (req, nurse) => {
+  if (nurse._id.toString() === req.user.id?.toString()) return false;
+  if (req.user.role === "admin") return true;
+  if (req.user.role !== "kepala-unit") return false;
+
+  const actor = await loadActor(req);
+  return Boolean(actor?.unit) && actor.unit === nurse.unit;
+};
+
+const saveEvidence = async (files, activity, user) => {
+  const saved = await File.insertMany(
+    files.map((file) => ({
+      fileName: file.filename,
+      originalName: file.originalname,
+      displayName: file.originalname,
+      category: SKP_EVIDENCE_CATEGORY,
+      fileType: getFileType(file.mimetype),
+      size: file.size,
+      sizeFormatted: formatFileSize(file.size),
+      path: file.path,
+      url: `/api/skp/activities/${activity._id}/evidence/${file.filename}/download`,
+      uploadedBy: user,
+      skpActivity: activity._id,
+    }))
+  );
+  return saved.map((file) => file._id);
+};
+
+// Loads the activity with its nurse and enforces view access
+const loadActivity = async (req, res, next) => {
+  try {
+    const activity = await SkpActivity.findById(req.params.id);
+    const nurse = activity && (await User.findById(activity.nurse));
+
+    if (!activity || !nurse) {
+      discardUploads(req.files);
+      return res.status(404).json({
+        success: false,
+        message: "SKP activity not found",
+      });
+    }
+
+    if (!(await canViewNurse(req, nurse))) {
+      discardUploads(req.files);
+      return res.status(403).json({
+        success: false,
+        message: "Access denied to this SKP activity",
+      });
+    }
+
+    req.activity = activity;
+    req.nurse = nurse;
+    next();
+  } catch (error) {
+    discardUploads(req.files);
+    console.error("Load SKP activity error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error loading SKP activity",
+    });
+  }
+};
+
+// GET /api/skp/requirements - Activity categories and the credits each
+// license type needs per period
+router.get("/requirements", auth, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      categories: SKP_ACTIVITY_CATEGORIES,
+      requirements: getSkpRequirements(),
+    },
+  });
+});
+
+// GET /api/skp/ledger/:nurseId? - Activities and running totals against the
+// renewal requirement of each current license period
+router.get("/ledger{/:nurseId}", auth, async (req, res) => {
+  try {
+    const nurse = await User.findById(req.params.nurseId || req.user.id).select(
+      "username fullName npk unit"
+    );
+
+    if (!nurse) {
+      return res.status(404).json({
+        success: false,
+        message: "Nurse not found",
+      });
+    }
+
+    if (!(await canViewNurse(req, nurse))) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied to this nurse's SKP ledger",
+      });
+    }
+
+    const ledger = await getNurseLedger(nurse._id);
+
+    res.json({
+      success: true,
+      data: { nurse, ...ledger },
+    });
+  } catch (error) {
+    console.error("Get SKP ledger error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching SKP ledger",
+    });
+  }
+});
+
+// GET /api/skp/shortfalls - Nurses short of credits ahead of expiry
+router.get(
+  "/shortfalls",
+  auth,
+  requireRole(["admin", "komite", "kepala-unit"]),
+  async (req, res) => {
+    try {
+      let unit = typeof req.query.unit === "string" ? req.query.unit : null;
+
+      if (req.user.role === "kepala-unit") {
+        const actor = await loadActor(req);
+        unit = actor?.unit;
+
+        if (!unit) {
+          return res.status(400).json({
+            success: false,
+            message: "Your account is not assigned to a unit",
+          });
+        }
+      }
+
+      const shortfalls = await findShortfalls({ unit });
+
+      res.json({
+        success: true,
+        data: shortfalls,
+      });
+    } catch (error) {
+      console.error("Get SKP shortfalls error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching SKP shortfalls",
+      });
+    }
+  }
+);
+
+// POST /api/skp/check - Runs the shortfall check and queues warnings now
+router.post("/check", auth, requireRole(["admin"]), async (req, res) => {
+  try {
+    const summary = await runSkpShortfallCheck();
+
+    if (!summary) {
+      return res.status(409).json({
+        success: false,
+        message: "An SKP shortfall check is already running",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    console.error("Run SKP shortfall check error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error running SKP shortfall check",
+    });
+  }
+});
+
+// GET /api/skp/activities - Nurses see their own activities, kepala unit
+// those of their unit and admins or komite everyone's
+router.get("/activities", auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, nurseId } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+
+    if (LEDGER_REVIEWER_ROLES.includes(req.user.role)) {
+      if (nurseId) query.nurse = nurseId;
+    } else if (req.user.role === "kepala-unit") {
+      const actor = await loadActor(req);
+      const nurses = await User.find({
+        unit: actor?.unit || null,
+        ...(nurseId && { _id: nurseId }),
+      }).select("_id");
+      query.nurse = { $in: nurses.map((nurse) => nurse._id) };
+    } else {
+      query.nurse = req.user.id;
+    }
+
+    const [activities, total] = await Promise.all([
+      SkpActivity.find(query)
+        .populate("nurse", "username fullName npk unit")
+        .populate("reviewedBy", "username fullName")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      SkpActivity.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        activities,
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        total,
+      },
+    });
+  } catch (error) {
+    console.error("Get SKP activities error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching SKP activities",
+    });
+  }
+});
+
+// POST /api/skp/activities - Records an activity with its evidence files.
+// Nurses submit their own; admins and kepala unit may submit for a nurse.
+router.post(
+  "/activities",
+  auth,
+  upload.array("evidence", MAX_EVIDENCE_FILES),
+  async (req, res) => {
+    try {
+      const {
+        nurseId,
+        title,
+        category,
+        provider,
+        activityDate,
+        credits,
+        certificateNumber,
+      } = req.body;
+
+      const nurse = await User.findById(nurseId || req.user.id);
+      const isSelf = nurse?._id.toString() === req.user.id?.toString();
+
+      if (!nurse || (!isSelf && nurse.role !== "perawat")) {
+        discardUploads(req.files);
+        return res.status(404).json({
+          success: false,
+          message: "Nurse not found",
+        });
+      }
+
+      if (
+        !isSelf &&
+        !(req.user.role === "admin" || (await canReview(req, nurse)))
+      ) {
+        discardUploads(req.files);
+        return res.status(403).json({
+          success: false,
+          message: "You can only record SKP activities for yourself",
+        });
+      }
+
+      if (!req.files?.length) {
+        return res.status(400).json({
+          success: false,
+          message: "At least one evidence document is required",
+        });
+      }
+
+      const activity = new SkpActivity({
+        nurse: nurse._id,
+        title,
+        category,
+        provider,
+        activityDate,
+        credits,
+        certificateNumber,
+        submittedBy: req.user.id,
+      });
+      await activity.validate();
+
+      activity.evidence = await saveEvidence(req.files, activity, req.user.id);
+      await activity.save();
+
+      res.status(201).json({
+        success: true,
+        message: "SKP activity submitted for approval",
+        data: activity,
+      });
+    } catch (error) {
+      discardUploads(req.files);
+      console.error("Create SKP activity error:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: validationMessage(error),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error creating SKP activity",
+      });
+    }
+  }
+);
+
+router.get("/activities/:id", auth, loadActivity, async (req, res) => {
+  try {
+    await req.activity.populate([
+      { path: "nurse", select: "username fullName npk unit" },
+      { path: "reviewedBy", select: "username fullName" },
+      { path: "evidence", match: { isActive: true } },
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...req.activity.toJSON(),
+        evidence: req.activity.evidence.map((file) => file.toAttachment()),
+      },
+    });
+  } catch (error) {
+    console.error("Get SKP activity error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching SKP activity",
+    });
+  }
+});
+
+// POST /api/skp/activities/:id/evidence - Adds evidence while pending
+router.post(
+  "/activities/:id/evidence",
+  auth,
+  upload.array("evidence", MAX_EVIDENCE_FILES),
+  loadActivity,
+  async (req, res) => {
+    try {
+      if (!req.files?.length) {
+        return res.status(400).json({
+          success: false,
+          message: "No file provided",
+        });
+      }
+
+      if (req.activity.submittedBy.toString() !== req.user.id?.toString()) {
+        discardUploads(req.files);
+        return res.status(403).json({
+          success: false,
+          message: "Only the submitter can add evidence",
+        });
+      }
+
+      if (req.activity.status !== "pending") {
+        discardUploads(req.files);
+        return res.status(409).json({
+          success: false,
+          message: "Evidence can only be added while the activity is pending",
+        });
+      }
+
+      const added = await saveEvidence(req.files, req.activity, req.user.id);
+      req.activity.evidence.push(...added);
+      await req.activity.save();
+
+      res.status(201).json({
+        success: true,
+        message: "Evidence added successfully",
+        data: req.activity,
+      });
+    } catch (error) {
+      discardUploads(req.files);
+      console.error("Add SKP evidence error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error adding evidence",
+      });
+    }
+  }
+);
+
+router.get(
+  "/activities/:id/evidence/:filename/download",
+  auth,
+  loadActivity,
+  async (req, res) => {
+    try {
+      const file = await File.findOne({
+        fileName: req.params.filename,
+        skpActivity: req.activity._id,
+        category: SKP_EVIDENCE_CATEGORY,
+        isActive: true,
+      });
+
+      if (!file || !fs.existsSync(file.path)) {
+        return res.status(404).json({
+          success: false,
+          message: "File not found",
+        });
+      }
+
+      await file.incrementDownload();
+
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${file.originalName}"`
+      );
+      res.setHeader("Content-Type", "application/octet-stream");
+
+      res.sendFile(path.resolve(file.path));
+    } catch (error) {
+      console.error("Download SKP evidence error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error downloading file",
+      });
+    }
+  }
+);
+
+// PATCH /api/skp/activities/:id/review - Approves or rejects the credits
+router.patch(
+  "/activities/:id/review",
+  auth,
+  requireRole(["admin", "kepala-unit"]),
+  loadActivity,
+  async (req, res) => {
+    try {
+      const { decision, note } = req.body;
+
+      if (!["approved", "rejected"].includes(decision)) {
+        return res.status(400).json({
+          success: false,
+          message: "Decision must be approved or rejected",
+        });
+      }
+
+      if (decision === "rejected" && !note?.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "A note is required when rejecting an activity",
+        });
+      }
+
+      if (!(await canReview(req, req.nurse))) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the nurse's kepala unit or an admin can review",
+        });
+      }
+
+      if (req.activity.status !== "pending") {
+        return res.status(409).json({
+          success: false,
+          message: `Activity has already been ${req.activity.status}`,
+        });
+      }
+
+      await req.activity.review(decision, req.user.id, note);
+
+      res.json({
+        success: true,
+        message: `SKP activity ${decision}`,
+        data: req.activity,
+      });
+    } catch (error) {
+      console.error("Review SKP activity error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error reviewing SKP activity",
+      });
+    }
+  }
+);
+
+// DELETE /api/skp/activities/:id - Withdraws a pending activity
+router.delete("/activities/:id", auth, loadActivity, async (req, res) => {
+  try {
+    if (
+      req.user.role !== "admin" &&
+      req.activity.submittedBy.toString() !== req.user.id?.toString()
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the submitter or an administrator can withdraw this",
+      });
+    }
+
+    if (req.activity.status !== "pending") {
+      return res.status(409).json({
+        success: false,
+        message: "Only pending activities can be withdrawn",
+      });
+    }
+
+    await File.updateMany(
+      { skpActivity: req.activity._id },
+      { $set: { isActive: false } }
+    );
+    await req.activity.deleteOne();
+
+    res.json({
+      success: true,
+      message: "SKP activity withdrawn successfully",
+    });
+  } catch (error) {
+    console.error("Withdraw SKP activity error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error withdrawing SKP activity",
+    });
+  }
+});
+
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    const message =
+      error.code === "LIMIT_FILE_SIZE"
+        ? "File too large. Maximum size is 20MB."
+        : `Upload up to ${MAX_EVIDENCE_FILES} files in the evidence field`;
+    return res.status(400).json({
+      success: false,
+      message,
+    });
+  }
+
+  if (error.message === "Document type not allowed") {
+    return res.status(400).json({
+      success: false,
+      message:
+        "Document type not allowed. Please upload PDF, JPG or PNG files.",
+    });
+  }
+
+  next(error);
+});
+
+export default router;
@@ -0,0 +1,89 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  VERIFY_RATE_WINDOW_MS,
+  getVerifyRateLimit,
+} from "../config/certificates.js";
+import { verifyCertificate } from "../services/certificateService.js";
+
+// Public certificate verification for partner hospitals and auditors; no
+// authentication, so responses carry only the minimal verification data
+const router = express.Router();
+
+router.use(
+  rateLimit({
+    windowMs: VERIFY_RATE_WINDOW_MS,
+    limit: () => getVerifyRateLimit(),
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    message: {
+      success: false,
+      message: "Too many verification requests, please try again later",
+    },
+  })
+);
+
+const respond = async (res, lookup, req) => {
+  const { result, data } = await verifyCertificate(lookup, {
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+  if (!data) {
+    return res.status(404).json({
+      success: false,
+      message: "Certificate not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    message:
+      result === "superseded"
+        ? "This certificate has been replaced by a newer version"
+        : undefined,
+    data,
+  });
+};
+
+// GET /api/verify/:token - Token from the certificate QR code
+router.get("/:token", async (req, res) => {
+  try {
+    await respond(res, { token: req.params.token }, req);
+  } catch (error) {
+    console.error("Verify certificate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error verifying certificate",
+    });
+  }
+});
+
+// POST /api/verify - Serial number and signature as printed on the
+// certificate, for verifiers who cannot scan the QR code
+router.post("/", async (req, res) => {
+  try {
+    const { serialNumber, signature } = req.body || {};
+
+    if (!serialNumber || !signature) {
+      return res.status(400).json({
+        success: false,
+        message: "Serial number and signature are required",
+      });
+    }
+
+    await respond(
+      res,
+      { serialNumber, signature: String(signature).toLowerCase() },
+      req
+    );
+  } catch (error) {
+    console.error("Verify certificate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error verifying certificate",
+    });
+  }
+});
+
+export default router;
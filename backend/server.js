@@ -7,9 +7,34 @@ import jwt from "jsonwebtoken";
 import cookieParser from "cookie-parser";
 import path from "path";
 import { fileURLToPath } from "url";
+import { checkTransactionSupport } from "./database/db.js";
 import User from "./models/user.js";
+import Question from "./models/questions.js";
 import usersRoutes from "./routes/users.js";
 import fileRoutes from "./routes/files.js";
+import credentialRoutes from "./routes/credentials.js";
+import notificationRoutes from "./routes/notifications.js";
+import applicationRoutes from "./routes/applications.js";
+import privilegeRoutes from "./routes/privileges.js";
+import careerRoutes from "./routes/career.js";
+import recredentialingRoutes from "./routes/recredentialing.js";
+import verifyRoutes from "./routes/verify.js";
+import skpRoutes from "./routes/skp.js";
+import reviewAssignmentRoutes from "./routes/reviewAssignments.js";
+import renewalRoutes from "./routes/renewals.js";
+import questionRoutes from "./routes/questions.js";
+import examRoutes from "./routes/exams.js";
+import { startExpiryScheduler } from "./services/expiryScheduler.js";
+import { startRecredentialingScheduler } from "./services/recredentialing.js";
+import { startSkpScheduler } from "./services/skpLedger.js";
+import { registerCertificateGeneration } from "./services/certificateService.js";
+import { registerRegistryVerification } from "./services/registryVerification.js";
+import { migrateLegacyQuestions } from "./services/questionBank.js";
+import { startAttemptSweeper } from "./services/examAttempts.js";
+import {
+  registerCredentialNotifications,
+  startOutboxWorker,
+} from "./services/notificationService.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,6 +54,8 @@ const connectDB = async () => {
     await conn.connection.db.admin().ping();
     console.log("🗄️ Database ping successful");
 
+    await checkTransactionSupport(conn.connection.db);
+
     return conn.connection.db;
   } catch (err) {
     console.error("MongoDB connection error:", err.message);
@@ -36,96 +63,6 @@ const connectDB = async () => {
   }
 };
 
-const questionSchema = new mongoose.Schema(
-  {
-    question: {
-      type: String,
-      required: [true, "Question text is required"],
-      trim: true,
-      minlength: [10, "Question must be at least 10 characters long"],
-    },
-
-    options: {
-      type: [String],
-      required: [true, "Options are required"],
-      validate: {
-        validator: function (options) {
-          return options.length >= 2 && options.length <= 6;
-        },
-        message: "Must have between 2 and 6 options",
-      },
-    },
-
-    correctAnswer: {
-      type: String,
-      required: [true, "Correct answer is required"],
-      validate: {
-        validator: function (answer) {
-          return this.options.includes(answer);
-        },
-        message: "Correct answer must be one of the provided options",
-      },
-    },
-
-    category: {
-      type: String,
-      required: [true, "Category is required"],
-      enum: [
-        "Fundamental Nursing",
-        "Medical-Surgical",
-        "Pediatric",
-        "Obstetric",
-        "Psychiatric",
-        "Community Health",
-        "Critical Care",
-        "Emergency",
-        "Other",
-      ],
-      default: "Other",
-    },
-
-    difficulty: {
-      type: String,
-      enum: ["Easy", "Medium", "Hard"],
-      default: "Medium",
-    },
-
-    explanation: {
-      type: String,
-      trim: true,
-    },
-
-    tags: [
-      {
-        type: String,
-        trim: true,
-      },
-    ],
-
-    createdBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "User",
-      required: false, // Made optional for now
-    },
-
-    isActive: {
-      type: Boolean,
-      default: true,
-    },
-  },
-  {
-    timestamps: true,
-  }
-);
-
-// Add indexes for better query performance
-questionSchema.index({ category: 1 });
-questionSchema.index({ difficulty: 1 });
-questionSchema.index({ createdBy: 1 });
-questionSchema.index({ tags: 1 });
-
-const Question = mongoose.model("Question", questionSchema);
-
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers["authorization"];
@@ -175,6 +112,18 @@ const initializeServer = async () => {
     // Add route middlewares
     app.use("/api/users", usersRoutes);
     app.use("/api/files", fileRoutes); // Add this line
+    app.use("/api/credentials", credentialRoutes);
+    app.use("/api/notifications", notificationRoutes);
+    app.use("/api/applications", applicationRoutes);
+    app.use("/api/privileges", privilegeRoutes);
+    app.use("/api/career", careerRoutes);
+    app.use("/api/recredentialing", recredentialingRoutes);
+    app.use("/api/verify", verifyRoutes); // Public, rate limited
+    app.use("/api/skp", skpRoutes);
+    app.use("/api/review-assignments", reviewAssignmentRoutes);
+    app.use("/api/renewals", renewalRoutes);
+    app.use("/api/questions", questionRoutes);
+    app.use("/api/exams", examRoutes);
 
     // ============= LOGOUT ENDPOINT =============
     app.post("/api/auth/logout", (req, res) => {
@@ -199,269 +148,6 @@ const initializeServer = async () => {
       }
     });
 
-    // ============= QUESTIONS ENDPOINTS =============
-
-    // GET all questions
-    app.get("/api/questions", async (req, res) => {
-      console.log("📚 Fetching all questions");
-
-      try {
-        const questions = await Question.find({ isActive: true })
-          .populate("createdBy", "username email")
-          .sort({ createdAt: -1 });
-
-        res.status(200).json({
-          success: true,
-          questions: questions,
-          count: questions.length,
-          message: "Questions fetched successfully",
-        });
-
-        console.log(`✅ Fetched ${questions.length} questions`);
-      } catch (err) {
-        console.error("❌ Error fetching questions:", err);
-        res.status(500).json({
-          success: false,
-          message: "Failed to fetch questions",
-        });
-      }
-    });
-
-    // POST create new question
-    app.post("/api/questions", async (req, res) => {
-      console.log("📝 Creating new question");
-      console.log("Request body:", req.body);
-
-      try {
-        const {
-          question,
-          options,
-          correctAnswer,
-          category,
-          difficulty,
-          explanation,
-          tags,
-        } = req.body;
-
-        // Basic validation
-        if (!question || !options || !correctAnswer) {
-          return res.status(400).json({
-            success: false,
-            message: "Question, options, and correct answer are required",
-          });
-        }
-
-        // Validate options array
-        if (!Array.isArray(options) || options.length < 2) {
-          return res.status(400).json({
-            success: false,
-            message: "At least 2 options are required",
-          });
-        }
-
-        // Validate correct answer is in options
-        if (!options.includes(correctAnswer)) {
-          return res.status(400).json({
-            success: false,
-            message: "Correct answer must be one of the provided options",
-          });
-        }
-
-        const newQuestion = new Question({
-          question: question.trim(),
-          options: options.map((opt) => opt.trim()),
-          correctAnswer: correctAnswer.trim(),
-          category: category || "Other",
-          difficulty: difficulty || "Medium",
-          explanation: explanation ? explanation.trim() : "",
-          tags: tags || [],
-          // createdBy: req.userId // Uncomment when using auth middleware
-        });
-
-        const savedQuestion = await newQuestion.save();
-
-        console.log("✅ Question created successfully:", savedQuestion._id);
-
-        res.status(201).json({
-          success: true,
-          message: "Question created successfully",
-          question: savedQuestion,
-        });
-      } catch (err) {
-        console.error("❌ Error creating question:", err);
-
-        // Handle validation errors
-        if (err.name === "ValidationError") {
-          return res.status(400).json({
-            success: false,
-            message: "Validation failed",
-            errors: Object.values(err.errors).map((e) => e.message),
-          });
-        }
-
-        res.status(500).json({
-          success: false,
-          message: "Failed to create question",
-          error:
-            process.env.NODE_ENV === "development" ? err.message : undefined,
-        });
-      }
-    });
-
-    // GET single question by ID
-    app.get("/api/questions/:id", async (req, res) => {
-      console.log(`📖 Fetching question ${req.params.id}`);
-
-      try {
-        const question = await Question.findById(req.params.id).populate(
-          "createdBy",
-          "username email"
-        );
-
-        if (!question) {
-          return res.status(404).json({
-            success: false,
-            message: "Question not found",
-          });
-        }
-
-        res.status(200).json({
-          success: true,
-          question: question,
-        });
-      } catch (err) {
-        console.error("❌ Error fetching question:", err);
-        res.status(500).json({
-          success: false,
-          message: "Failed to fetch question",
-        });
-      }
-    });
-
-    // PUT update question
-    app.put("/api/questions/:id", async (req, res) => {
-      console.log(`📝 Updating question ${req.params.id}`);
-
-      try {
-        const { id } = req.params;
-        const updateData = req.body;
-
-        // Remove fields that shouldn't be updated directly
-        delete updateData._id;
-        delete updateData.createdAt;
-        delete updateData.updatedAt;
-
-        // Validate if correctAnswer is in options (if both are being updated)
-        if (updateData.options && updateData.correctAnswer) {
-          if (!updateData.options.includes(updateData.correctAnswer)) {
-            return res.status(400).json({
-              success: false,
-              message: "Correct answer must be one of the provided options",
-            });
-          }
-        }
-
-        const updatedQuestion = await Question.findByIdAndUpdate(
-          id,
-          updateData,
-          { new: true, runValidators: true }
-        ).populate("createdBy", "username email");
-
-        if (!updatedQuestion) {
-          return res.status(404).json({
-            success: false,
-            message: "Question not found",
-          });
-        }
-
-        console.log("✅ Question updated successfully:", updatedQuestion._id);
-
-        res.status(200).json({
-          success: true,
-          message: "Question updated successfully",
-          question: updatedQuestion,
-        });
-      } catch (err) {
-        console.error("❌ Error updating question:", err);
-
-        if (err.name === "ValidationError") {
-          return res.status(400).json({
-            success: false,
-            message: "Validation failed",
-            errors: Object.values(err.errors).map((e) => e.message),
-          });
-        }
-
-        res.status(500).json({
-          success: false,
-          message: "Failed to update question",
-        });
-      }
-    });
-
-    // DELETE question (soft delete)
-    app.delete("/api/questions/:id", async (req, res) => {
-      console.log(`🗑️ Deleting question ${req.params.id}`);
-
-      try {
-        const { id } = req.params;
-
-        // Soft delete by setting isActive to false
-        const deletedQuestion = await Question.findByIdAndUpdate(
-          id,
-          { isActive: false },
-          { new: true }
-        );
-
-        if (!deletedQuestion) {
-          return res.status(404).json({
-            success: false,
-            message: "Question not found",
-          });
-        }
-
-        console.log("✅ Question deleted successfully:", deletedQuestion._id);
-
-        res.status(200).json({
-          success: true,
-          message: "Question deleted successfully",
-        });
-      } catch (err) {
-        console.error("❌ Error deleting question:", err);
-        res.status(500).json({
-          success: false,
-          message: "Failed to delete question",
-        });
-      }
-    });
-
-    // GET questions by category
-    app.get("/api/questions/category/:category", async (req, res) => {
-      console.log(`📚 Fetching questions for category: ${req.params.category}`);
-
-      try {
-        const questions = await Question.find({
-          category: req.params.category,
-          isActive: true,
-        })
-          .populate("createdBy", "username email")
-          .sort({ createdAt: -1 });
-
-        res.status(200).json({
-          success: true,
-          questions: questions,
-          count: questions.length,
-          category: req.params.category,
-        });
-      } catch (err) {
-        console.error("❌ Error fetching questions by category:", err);
-        res.status(500).json({
-          success: false,
-          message: "Failed to fetch questions by category",
-        });
-      }
-    });
-
     // Debug route - Check environment variables
     app.get("/api/debug", (req, res) => {
       res.json({
@@ -1004,6 +690,19 @@ const initializeServer = async () => {
       catatan: String,
     });
 
+    // Questions saved by the former English-named schema
+    await migrateLegacyQuestions();
+
+    // Background jobs
+    registerCredentialNotifications();
+    registerCertificateGeneration();
+    registerRegistryVerification();
+    startExpiryScheduler();
+    startRecredentialingScheduler();
+    startSkpScheduler();
+    startOutboxWorker();
+    startAttemptSweeper();
+
     app.listen(port, () => {
       console.log(`🚀 Server running on port ${port}`);
       console.log(`🔍 Debug endpoint: http://localhost:${port}/api/debug`);
@@ -1026,7 +725,30 @@ const initializeServer = async () => {
       console.log(
         `📚 Questions routes: http://localhost:${port}/api/questions`
       );
+      console.log(`📋 Exam routes: http://localhost:${port}/api/exams`);
       console.log(`📁 Files routes: http://localhost:${port}/api/files`);
+      console.log(
+        `🪪 Credentials routes: http://localhost:${port}/api/credentials`
+      );
+      console.log(
+        `📬 Notifications routes: http://localhost:${port}/api/notifications`
+      );
+      console.log(
+        `📋 Applications routes: http://localhost:${port}/api/applications`
+      );
+      console.log(
+        `🩺 Privileges routes: http://localhost:${port}/api/privileges`
+      );
+      console.log(`🪜 Career routes: http://localhost:${port}/api/career`);
+      console.log(
+        `🔁 Re-credentialing routes: http://localhost:${port}/api/recredentialing`
+      );
+      console.log(`✅ Verify routes: http://localhost:${port}/api/verify`);
+      console.log(`🎓 SKP routes: http://localhost:${port}/api/skp`);
+      console.log(
+        `📝 Review assignment routes: http://localhost:${port}/api/review-assignments`
+      );
+      console.log(`♻️ Renewal routes: http://localhost:${port}/api/renewals`);
       console.log(`🔗 Static files: http://localhost:${port}/uploads`);
     });
   } catch (err) {
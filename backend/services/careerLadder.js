@@ -0,0 +1,169 @@
+import CareerRecord from "../models/careerRecord.js";
+import Credential from "../models/credential.js";
+import User from "../models/user.js";
+import {
+  MAX_LEVEL,
+  ASSESSMENT_LOOKBACK_YEARS,
+  getLevelInfo,
+  getPromotionRules,
+} from "../config/careerLadder.js";
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Credential statuses that count as a valid license
+const VALID_LICENSE_STATUSES = ["active", "expiring-soon"];
+
+const yearsBetween = (from, to) =>
+  Math.floor(((to - new Date(from)) / YEAR_MS) * 10) / 10;
+
+// License types a nurse holds a valid credential for
+const findHeldLicenses = async (nurseId) => {
+  const credentials = await Credential.find({
+    userId: nurseId,
+    status: { $in: VALID_LICENSE_STATUSES },
+  }).select("licenseType");
+  return [...new Set(credentials.map((c) => c.licenseType))];
+};
+
+// Evaluates promotion to the next level; each rule reports required vs.
+// actual so the dashboard can show what is still missing. heldLicenses is
+// looked up when not passed in.
+export const evaluateEligibility = async (
+  record,
+  now = new Date(),
+  heldLicenses
+) => {
+  const nextLevel = record.currentLevel + 1;
+
+  if (nextLevel > MAX_LEVEL) {
+    return {
+      eligible: false,
+      currentLevel: getLevelInfo(record.currentLevel),
+      nextLevel: null,
+      checks: [],
+    };
+  }
+
+  const rules = getPromotionRules()[nextLevel] || {};
+  const lookback = new Date(
+    now.getTime() - ASSESSMENT_LOOKBACK_YEARS * YEAR_MS
+  );
+  const recent = record.assessments.filter((a) => a.assessedAt >= lookback);
+  const checks = [];
+
+  if (rules.minServiceYears !== undefined) {
+    const actual = record.serviceStartDate
+      ? yearsBetween(record.serviceStartDate, now)
+      : null;
+    checks.push({
+      rule: "minServiceYears",
+      required: rules.minServiceYears,
+      actual,
+      passed: actual !== null && actual >= rules.minServiceYears,
+    });
+  }
+
+  if (rules.minYearsAtLevel !== undefined) {
+    const actual = yearsBetween(record.levelSince, now);
+    checks.push({
+      rule: "minYearsAtLevel",
+      required: rules.minYearsAtLevel,
+      actual,
+      passed: actual >= rules.minYearsAtLevel,
+    });
+  }
+
+  if (rules.minPassedExams !== undefined) {
+    const actual = recent.filter((a) => a.type === "exam" && a.passed).length;
+    checks.push({
+      rule: "minPassedExams",
+      required: rules.minPassedExams,
+      actual,
+      passed: actual >= rules.minPassedExams,
+    });
+  }
+
+  if (rules.minEvaluationScore !== undefined) {
+    const latest = recent
+      .filter((a) => a.type === "evaluation" && a.score !== undefined)
+      .sort((a, b) => b.assessedAt - a.assessedAt)[0];
+    const actual = latest ? latest.score : null;
+    checks.push({
+      rule: "minEvaluationScore",
+      required: rules.minEvaluationScore,
+      actual,
+      passed: actual !== null && actual >= rules.minEvaluationScore,
+    });
+  }
+
+  if (rules.requiredLicenses?.length) {
+    const held = (
+      heldLicenses || (await findHeldLicenses(record.nurse._id || record.nurse))
+    ).filter((type) => rules.requiredLicenses.includes(type));
+
+    checks.push({
+      rule: "requiredLicenses",
+      required: rules.requiredLicenses,
+      actual: held,
+      passed: rules.requiredLicenses.every((type) => held.includes(type)),
+    });
+  }
+
+  return {
+    eligible: checks.every((check) => check.passed),
+    currentLevel: getLevelInfo(record.currentLevel),
+    nextLevel: getLevelInfo(nextLevel),
+    checks,
+  };
+};
+
+// Active nurses of a unit (all units when omitted) eligible for promotion.
+// Nurses without a career record are evaluated from an unsaved starting
+// record.
+export const listEligibleNurses = async ({ unit } = {}) => {
+  const nurses = await User.find({
+    role: "perawat",
+    isActive: true,
+    ...(unit && { unit }),
+  }).select("username fullName npk unit createdAt");
+  const nurseIds = nurses.map((nurse) => nurse._id);
+
+  const [records, credentials] = await Promise.all([
+    CareerRecord.find({ nurse: { $in: nurseIds } }),
+    Credential.find({
+      userId: { $in: nurseIds },
+      status: { $in: VALID_LICENSE_STATUSES },
+    }).select("userId licenseType"),
+  ]);
+  const recordsByNurse = new Map(
+    records.map((record) => [record.nurse.toString(), record])
+  );
+  const licensesByNurse = new Map();
+  credentials.forEach((credential) => {
+    const key = credential.userId.toString();
+    const held = licensesByNurse.get(key) || new Set();
+    held.add(credential.licenseType);
+    licensesByNurse.set(key, held);
+  });
+
+  const now = new Date();
+  const results = [];
+  for (const nurse of nurses) {
+    const key = nurse._id.toString();
+    const record = recordsByNurse.get(key) || CareerRecord.buildForNurse(nurse);
+    const eligibility = await evaluateEligibility(record, now, [
+      ...(licensesByNurse.get(key) || []),
+    ]);
+
+    if (eligibility.eligible) {
+      results.push({
+        nurse,
+        currentLevel: eligibility.currentLevel,
+        nextLevel: eligibility.nextLevel,
+        levelSince: record.levelSince,
+      });
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,145 @@
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("id-ID", {
+        day: "numeric",
+        month: "long",
+        year: "numeric",
+      })
+    : "-";
+
+const collect = (doc) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+// Renders a one-page A4 certificate and returns it as a buffer
+export const renderCertificatePdf = async ({
+  certificate,
+  issuer,
+  verificationUrl,
+}) => {
+  const { content } = certificate;
+  const qr = await QRCode.toBuffer(verificationUrl, {
+    errorCorrectionLevel: "M",
+    margin: 1,
+    width: 240,
+  });
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: 56,
+    info: {
+      Title: `Sertifikat Kredensial ${certificate.serialNumber}`,
+      Author: issuer,
+      Subject: content.nurseName,
+    },
+  });
+  const pdf = collect(doc);
+  const { left, right } = doc.page.margins;
+  const width = doc.page.width - left - right;
+
+  doc
+    .lineWidth(2)
+    .rect(28, 28, doc.page.width - 56, doc.page.height - 56)
+    .stroke();
+
+  doc.font("Helvetica-Bold").fontSize(11).text(issuer.toUpperCase(), {
+    align: "center",
+  });
+  doc
+    .moveDown(1.5)
+    .fontSize(22)
+    .text("SERTIFIKAT KREDENSIAL", { align: "center" });
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .text(`No. ${certificate.serialNumber}`, { align: "center" })
+    .moveDown(2);
+
+  doc.fontSize(11).text("Diberikan kepada:", { align: "center" });
+  doc
+    .moveDown(0.5)
+    .font("Helvetica-Bold")
+    .fontSize(18)
+    .text(content.nurseName, { align: "center" });
+  doc
+    .font("Helvetica")
+    .fontSize(11)
+    .text(`NPK ${content.npk}`, { align: "center" })
+    .moveDown(2);
+
+  const details = [
+    [`Nomor ${content.licenseType}`, content.licenseNumber],
+    ["Unit", content.department || "-"],
+    ["Spesialisasi", content.specializations.join(", ") || "-"],
+    [
+      "Masa berlaku",
+      `${formatDate(content.validFrom)} s.d. ${formatDate(content.validUntil)}`,
+    ],
+  ];
+  details.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font("Helvetica").fontSize(11).text(label, left, y, { width: 140 });
+    doc
+      .font("Helvetica-Bold")
+      .text(value, left + 150, y, { width: width - 150 });
+    doc.moveDown(0.4);
+  });
+
+  doc.moveDown(1).font("Helvetica-Bold").fontSize(12);
+  doc.text("Kewenangan Klinis", left, doc.y, { width });
+  doc.moveDown(0.4).font("Helvetica").fontSize(10);
+  if (content.privileges.length === 0) {
+    doc.text("Tidak ada kewenangan klinis yang diberikan.", { width });
+  } else {
+    content.privileges.forEach((privilege) => {
+      const supervised =
+        privilege.status === "supervised" ? " (dengan supervisi)" : "";
+      doc.text(`• ${privilege.code} - ${privilege.name}${supervised}`, {
+        width,
+      });
+    });
+  }
+
+  // QR code and signature block pinned to the bottom of the page
+  const footerY = doc.page.height - 56 - 130;
+  doc.image(qr, left, footerY, { width: 110 });
+  doc
+    .font("Helvetica")
+    .fontSize(8)
+    .text("Pindai untuk verifikasi keaslian", left, footerY + 114, {
+      width: 110,
+      align: "center",
+    });
+
+  doc
+    .fontSize(10)
+    .text(
+      `Diterbitkan ${formatDate(certificate.issuedAt)}`,
+      left + 150,
+      footerY,
+      {
+        width: width - 150,
+        align: "right",
+      }
+    )
+    .moveDown(0.3)
+    .font("Helvetica-Bold")
+    .text(issuer, { width: width - 150, align: "right" })
+    .moveDown(2)
+    .font("Courier")
+    .fontSize(7)
+    .text(`Tanda tangan digital: ${certificate.signature}`, {
+      width: width - 150,
+      align: "right",
+    });
+
+  doc.end();
+  return pdf;
+};
@@ -0,0 +1,309 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import Certificate from "../models/certificate.js";
+import Credential from "../models/credential.js";
+import CredentialApplication from "../models/credentialApplication.js";
+import VerificationLog from "../models/verificationLog.js";
+import File, { CREDENTIAL_CERTIFICATE_CATEGORY } from "../models/file.js";
+import PrivilegeGrant from "../models/privilegeGrant.js";
+import {
+  CERTIFICATE_DIRECTORY,
+  CERTIFIABLE_STATUSES,
+  getCertificateIssuer,
+  getCertificateSecret,
+  getVerificationBaseUrl,
+} from "../config/certificates.js";
+import { isRegistryVerificationEnabled } from "../config/registry.js";
+import { formatFileSize } from "../middleware/upload.js";
+import credentialEvents from "./credentialEvents.js";
+import { renderCertificatePdf } from "./certificatePdf.js";
+
+// Changes arriving within this window are folded into one reissue, e.g. a
+// committee approval saves the credential and then its privilege grants
+const REGENERATION_DELAY_MS = 2000;
+
+const pending = new Map();
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+export const signCertificate = ({
+  serialNumber,
+  verificationToken,
+  contentHash,
+}) =>
+  crypto
+    .createHmac("sha256", getCertificateSecret())
+    .update(`${serialNumber}.${verificationToken}.${contentHash}`)
+    .digest("hex");
+
+export const getVerificationUrl = (certificate) =>
+  `${getVerificationBaseUrl()}/${certificate.verificationToken}`;
+
+// What gets printed: the credential plus the nurse's current privileges
+const buildContent = async (credential) => {
+  const grants = await PrivilegeGrant.findForNurse(credential.userId._id, {
+    current: true,
+  });
+
+  return {
+    nurseName: credential.nurseName,
+    npk: credential.userId.npk || credential.nurseId,
+    licenseNumber: credential.licenseNumber,
+    licenseType: credential.licenseType,
+    department: credential.department || "",
+    specializations: credential.specializations || [],
+    validFrom: credential.issueDate,
+    validUntil: credential.expiryDate,
+    privileges: grants
+      .filter((grant) => grant.privilege)
+      .map((grant) => ({
+        code: grant.privilege.code,
+        name: grant.privilege.name,
+        area: grant.privilege.area,
+        status: grant.status,
+      }))
+      .sort((a, b) => a.code.localeCompare(b.code)),
+  };
+};
+
+const nextSerialNumber = (credential, version) =>
+  [
+    "SK",
+    credential.licenseType,
+    new Date().getFullYear(),
+    credential._id.toString().slice(-6).toUpperCase(),
+    String(version).padStart(2, "0"),
+  ].join("-");
+
+// Certificates are only issued for active credentials that the committee
+// approved through an application, or that an admin verified by hand. A
+// nurse's own entry is not enough. While registry checks are enabled, the
+// latest check of the current license details must have verified them.
+export const isCertifiable = async (credential) => {
+  if (!credential || !CERTIFIABLE_STATUSES.includes(credential.status)) {
+    return false;
+  }
+  if (
+    isRegistryVerificationEnabled() &&
+    credential.registryVerification?.status !== "verified"
+  ) {
+    return false;
+  }
+  if (credential.verifiedAt) return true;
+
+  return Boolean(
+    await CredentialApplication.exists({
+      credential: credential._id,
+      stage: "approved",
+    })
+  );
+};
+
+// Issues a new certificate version for an approved credential. Returns the
+// current certificate unchanged when the printed content is the same,
+// unless `force` is set, and null for credentials that are not certifiable.
+export const generateCertificate = async (
+  credentialId,
+  { issuedBy, force = false } = {}
+) => {
+  const credential = await Credential.findById(credentialId).populate(
+    "userId",
+    "npk fullName"
+  );
+  if (!credential?.userId || !(await isCertifiable(credential))) {
+    return null;
+  }
+
+  const content = await buildContent(credential);
+  const contentHash = sha256(JSON.stringify(content));
+  const current = await Certificate.findCurrent(credential._id);
+
+  if (current && current.contentHash === contentHash && !force) {
+    return current;
+  }
+
+  const latest = await Certificate.findOne({ credential: credential._id })
+    .sort({ version: -1 })
+    .select("version");
+  const version = (latest?.version || 0) + 1;
+
+  const certificate = new Certificate({
+    credential: credential._id,
+    nurse: credential.userId._id,
+    serialNumber: nextSerialNumber(credential, version),
+    version,
+    verificationToken: crypto.randomBytes(24).toString("base64url"),
+    content,
+    contentHash,
+    issuedBy: issuedBy || credential.updatedBy || credential.createdBy,
+  });
+  certificate.signature = signCertificate(certificate);
+
+  const pdf = await renderCertificatePdf({
+    certificate,
+    issuer: getCertificateIssuer(),
+    verificationUrl: getVerificationUrl(certificate),
+  });
+
+  if (!fs.existsSync(CERTIFICATE_DIRECTORY)) {
+    fs.mkdirSync(CERTIFICATE_DIRECTORY, { recursive: true });
+  }
+  const fileName = `certificate-${certificate.serialNumber}.pdf`;
+  const filePath = path.join(CERTIFICATE_DIRECTORY, fileName);
+  await fs.promises.writeFile(filePath, pdf);
+
+  const file = await File.create({
+    fileName,
+    originalName: fileName,
+    displayName: `Sertifikat ${certificate.serialNumber}`,
+    category: CREDENTIAL_CERTIFICATE_CATEGORY,
+    fileType: "pdf",
+    size: pdf.length,
+    sizeFormatted: formatFileSize(pdf.length),
+    path: filePath,
+    url: `/api/credentials/${credential._id}/certificate/download`,
+    uploadedBy: certificate.issuedBy,
+    credential: credential._id,
+  });
+  certificate.file = file._id;
+
+  if (current) {
+    current.status = "superseded";
+    current.supersededAt = new Date();
+    await current.save();
+    await File.updateOne({ _id: current.file }, { isActive: false });
+  }
+  await certificate.save();
+
+  console.log(
+    `📜 Certificate ${certificate.serialNumber} issued for credential ${credential._id}`
+  );
+  return certificate;
+};
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+const SIGNATURE_PATTERN = /^[a-f0-9]{64}$/;
+
+const hasValidSignature = (certificate) => {
+  const expected = Buffer.from(signCertificate(certificate), "hex");
+  const actual = Buffer.from(certificate.signature, "hex");
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+const findForLookup = ({ token, serialNumber, signature }) => {
+  if (token !== undefined) {
+    return TOKEN_PATTERN.test(token)
+      ? Certificate.findOne({ verificationToken: token })
+      : null;
+  }
+  return SIGNATURE_PATTERN.test(signature || "")
+    ? Certificate.findOne({ serialNumber: String(serialNumber), signature })
+    : null;
+};
+
+// Public lookup by QR token, or by serial number and the signature printed
+// on the certificate. Returns only what a verifier needs; every lookup is
+// logged, including misses.
+export const verifyCertificate = async (lookup, { ip, userAgent } = {}) => {
+  const method = lookup.token !== undefined ? "token" : "signature";
+  const certificate = await findForLookup(lookup);
+  const credential = certificate
+    ? await Credential.findById(certificate.credential).select(
+        "status issueDate expiryDate verifiedAt registryVerification"
+      )
+    : null;
+
+  let result = "not_found";
+  if (certificate && credential) {
+    if (!hasValidSignature(certificate)) result = "tampered";
+    else if (certificate.status !== "current") result = "superseded";
+    else if (!(await isCertifiable(credential))) {
+      result = "inactive";
+    } else result = "valid";
+  }
+
+  await VerificationLog.create({
+    lookupHash: sha256(String(lookup.token ?? lookup.signature ?? "")),
+    method,
+    result,
+    certificate: certificate?._id,
+    credential: credential?._id,
+    ip,
+    userAgent,
+  });
+  console.log(`🔎 Certificate verification (${method}): ${result}`);
+
+  if (result === "not_found" || result === "tampered") {
+    return { result, data: null };
+  }
+
+  return {
+    result,
+    data: {
+      valid: result === "valid",
+      name: certificate.content.nurseName,
+      npk: certificate.content.npk,
+      licenseType: certificate.content.licenseType,
+      status: result === "superseded" ? "superseded" : credential.status,
+      validFrom: credential.issueDate,
+      validUntil: credential.expiryDate,
+      verifiedAt: new Date(),
+    },
+  };
+};
+
+// Debounced background reissue
+const scheduleRegeneration = (credentialId) => {
+  const key = credentialId.toString();
+  clearTimeout(pending.get(key));
+
+  pending.set(
+    key,
+    setTimeout(() => {
+      pending.delete(key);
+      generateCertificate(key).catch((error) =>
+        console.error(
+          `❌ Certificate generation failed for credential ${key}:`,
+          error.message
+        )
+      );
+    }, REGENERATION_DELAY_MS)
+  );
+};
+
+// Regenerates certificates whenever a credential or the owner's privileges
+// change
+export const registerCertificateGeneration = () => {
+  credentialEvents.on("changed", ({ credential }) => {
+    if (CERTIFIABLE_STATUSES.includes(credential.status)) {
+      scheduleRegeneration(credential._id);
+    }
+  });
+
+  // A passed registry check can make a credential certifiable
+  credentialEvents.on("registry-checked", ({ credential, verification }) => {
+    if (
+      verification.status === "verified" &&
+      CERTIFIABLE_STATUSES.includes(credential.status)
+    ) {
+      scheduleRegeneration(credential._id);
+    }
+  });
+
+  credentialEvents.on("privileges-changed", async ({ nurseId }) => {
+    try {
+      const credentials = await Credential.find({
+        userId: nurseId,
+        status: { $in: CERTIFIABLE_STATUSES },
+      }).select("_id");
+      credentials.forEach((credential) => scheduleRegeneration(credential._id));
+    } catch (error) {
+      console.error("❌ Certificate lookup failed:", error.message);
+    }
+  });
+};
@@ -0,0 +1,45 @@
+import CredentialApplication from "../models/credentialApplication.js";
+import ReviewAssignment from "../models/reviewAssignment.js";
+import User from "../models/user.js";
+
+// Roles that see every credential; admins manage them and the committee
+// decides their applications
+const CREDENTIAL_OVERSIGHT_ROLES = ["admin", "komite"];
+
+// Assignments that still give a mitra bestari access to the application
+const ACCESS_ASSIGNMENT_STATUSES = ["pending", "accepted", "completed"];
+
+const sameId = (a, b) =>
+  Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+
+// Whether a user may see a credential with its documents, certificates,
+// history and registry checks: its owner, admins and the committee, the
+// kepala unit of the owner's unit, and mitra bestari assigned to review
+// one of its applications
+export const canViewCredential = async (credential, user) => {
+  if (sameId(credential.userId, user.id)) return true;
+  if (CREDENTIAL_OVERSIGHT_ROLES.includes(user.role)) return true;
+
+  if (user.role === "kepala-unit") {
+    const [actor, owner] = await Promise.all([
+      User.findActiveById(user.id),
+      User.findById(credential.userId._id || credential.userId).select("unit"),
+    ]);
+    return Boolean(actor?.unit) && actor.unit === owner?.unit;
+  }
+
+  if (user.role === "mitra") {
+    const applications = await CredentialApplication.find({
+      credential: credential._id,
+    }).select("_id");
+    return Boolean(
+      await ReviewAssignment.exists({
+        application: { $in: applications.map((a) => a._id) },
+        reviewer: user.id,
+        status: { $in: ACCESS_ASSIGNMENT_STATUSES },
+      })
+    );
+  }
+
+  return false;
+};
@@ -0,0 +1,222 @@
+import Credential from "../models/credential.js";
+import PrivilegeGrant, {
+  PRACTISING_STATUSES,
+} from "../models/privilegeGrant.js";
+import User from "../models/user.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A nurse is compliant when holding a valid license of every type
+export const REQUIRED_LICENSE_TYPES = ["STR", "SIP"];
+
+// Statuses under which a license counts as valid, given it has not expired
+const VALID_STATUSES = ["active", "expiring-soon"];
+
+const validLicenseMatch = (on) => ({
+  status: { $in: VALID_STATUSES },
+  expiryDate: { $gte: on },
+});
+
+// Stages that restrict credentials to the nurses of one unit
+const unitStages = (unit) =>
+  unit
+    ? [
+        {
+          $lookup: {
+            from: User.collection.name,
+            localField: "userId",
+            foreignField: "_id",
+            as: "owner",
+            pipeline: [{ $project: { unit: 1 } }],
+          },
+        },
+        { $match: { "owner.unit": unit } },
+      ]
+    : [];
+
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+// Credentials expiring in each of the next `months` months, split by
+// license type. Months are UTC calendar months and every month is present
+// so charts get a continuous axis.
+export const getExpiryForecast = async ({
+  unit,
+  licenseType,
+  from = new Date(),
+  months = 12,
+} = {}) => {
+  const start = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth()));
+  const end = new Date(
+    Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months)
+  );
+
+  const rows = await Credential.aggregate([
+    {
+      $match: {
+        expiryDate: { $gte: start, $lt: end },
+        status: { $ne: "suspended" },
+        ...(licenseType && { licenseType }),
+      },
+    },
+    ...unitStages(unit),
+    {
+      $group: {
+        _id: {
+          month: { $dateToString: { format: "%Y-%m", date: "$expiryDate" } },
+          licenseType: "$licenseType",
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const buckets = [];
+  for (let i = 0; i < months; i++) {
+    const month = monthKey(
+      new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + i))
+    );
+    const byType = Object.fromEntries(
+      REQUIRED_LICENSE_TYPES.map((type) => [type, 0])
+    );
+    rows
+      .filter((row) => row._id.month === month)
+      .forEach((row) => (byType[row._id.licenseType] = row.count));
+
+    buckets.push({
+      month,
+      total: Object.values(byType).reduce((sum, count) => sum + count, 0),
+      byLicenseType: byType,
+    });
+  }
+
+  return { from: monthKey(start), months, unit: unit || null, buckets };
+};
+
+// Share of each unit's active nurses holding a valid STR and SIP on `on`
+export const getUnitCompliance = async ({ unit, on = new Date() } = {}) => {
+  const units = await User.aggregate([
+    {
+      $match: {
+        role: "perawat",
+        isActive: true,
+        ...(unit && { unit }),
+      },
+    },
+    {
+      $lookup: {
+        from: Credential.collection.name,
+        localField: "_id",
+        foreignField: "userId",
+        as: "licenses",
+        pipeline: [
+          { $match: validLicenseMatch(on) },
+          { $project: { licenseType: 1 } },
+        ],
+      },
+    },
+    {
+      $project: {
+        unit: { $ifNull: ["$unit", "Unassigned"] },
+        hasStr: { $in: ["STR", "$licenses.licenseType"] },
+        hasSip: { $in: ["SIP", "$licenses.licenseType"] },
+      },
+    },
+    {
+      $group: {
+        _id: "$unit",
+        nurses: { $sum: 1 },
+        compliant: {
+          $sum: { $cond: [{ $and: ["$hasStr", "$hasSip"] }, 1, 0] },
+        },
+        missingStr: { $sum: { $cond: ["$hasStr", 0, 1] } },
+        missingSip: { $sum: { $cond: ["$hasSip", 0, 1] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const toRate = (compliant, nurses) =>
+    nurses ? Math.round((compliant / nurses) * 1000) / 10 : 0;
+
+  const totals = units.reduce(
+    (sum, u) => ({
+      nurses: sum.nurses + u.nurses,
+      compliant: sum.compliant + u.compliant,
+    }),
+    { nurses: 0, compliant: 0 }
+  );
+
+  return {
+    on,
+    units: units.map(({ _id, nurses, compliant, missingStr, missingSip }) => ({
+      unit: _id,
+      nurses,
+      compliant,
+      missingStr,
+      missingSip,
+      compliancePercentage: toRate(compliant, nurses),
+    })),
+    overall: {
+      ...totals,
+      compliancePercentage: toRate(totals.compliant, totals.nurses),
+    },
+  };
+};
+
+// Nurses with current clinical privileges whose STR or SIP has expired
+// without a valid replacement of the same type
+export const getExpiredPractising = async ({ unit, on = new Date() } = {}) => {
+  const practisingIds = await PrivilegeGrant.distinct("nurse", {
+    status: { $in: PRACTISING_STATUSES },
+    validFrom: { $lte: on },
+    validUntil: { $gte: on },
+  });
+
+  const nurses = await User.find({
+    _id: { $in: practisingIds },
+    isActive: true,
+    ...(unit && { unit }),
+  }).select("username fullName npk unit");
+  if (nurses.length === 0) return { on, nurses: [], total: 0 };
+
+  const credentials = await Credential.find({
+    userId: { $in: nurses.map((nurse) => nurse._id) },
+    status: { $ne: "suspended" },
+  }).select("userId licenseType licenseNumber status expiryDate");
+
+  const results = [];
+  for (const nurse of nurses) {
+    const own = credentials.filter((c) => c.userId.equals(nurse._id));
+    const isValid = (c) =>
+      VALID_STATUSES.includes(c.status) && c.expiryDate >= on;
+
+    const expired = REQUIRED_LICENSE_TYPES.flatMap((type) => {
+      const ofType = own.filter((c) => c.licenseType === type);
+      if (ofType.some(isValid)) return [];
+
+      const latest = ofType
+        .filter((c) => c.expiryDate && c.expiryDate < on)
+        .sort((a, b) => b.expiryDate - a.expiryDate)[0];
+      return latest
+        ? [
+            {
+              credentialId: latest._id,
+              licenseType: type,
+              licenseNumber: latest.licenseNumber,
+              expiryDate: latest.expiryDate,
+              daysExpired: Math.floor((on - latest.expiryDate) / DAY_MS),
+            },
+          ]
+        : [];
+    });
+
+    if (expired.length > 0) results.push({ nurse, expiredLicenses: expired });
+  }
+
+  results.sort(
+    (a, b) =>
+      Math.max(...b.expiredLicenses.map((l) => l.daysExpired)) -
+      Math.max(...a.expiredLicenses.map((l) => l.daysExpired))
+  );
+  return { on, nurses: results, total: results.length };
+};
@@ -0,0 +1,14 @@
+import { EventEmitter } from "events";
+
+// Emits "status-changed" with { credential, from, to, window, reason,
+// changedBy } after a credential status transition has been saved,
+// "changed" with { credential } when fields printed on its certificate
+// changed, "license-details-changed" with { credential } when the details
+// checked against the registry changed, "registry-checked" with
+// { credential, verification } when a registry check was stored,
+// "privileges-changed" with { nurseId } when a privilege grant was saved,
+// and "renewed" with { credential, renewal } when an approved renewal
+// request was applied.
+const credentialEvents = new EventEmitter();
+
+export default credentialEvents;
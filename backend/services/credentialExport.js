@@ -0,0 +1,243 @@
+import ExcelJS from "exceljs";
+import PDFDocument from "pdfkit";
+import Credential from "../models/credential.js";
+import {
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  formatColumnValue,
+} from "../config/credentialExport.js";
+import { toCsvRow } from "./spreadsheet.js";
+
+const CONTENT_TYPES = {
+  json: "application/json; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pdf: "application/pdf",
+};
+
+// Resolves ?columns=a,b,c against the export columns, keeping the caller's
+// order. Returns the unknown keys so the route can reject them.
+export const resolveColumns = (requested) => {
+  const keys = requested
+    ? String(requested)
+        .split(",")
+        .map((key) => key.trim())
+        .filter(Boolean)
+    : DEFAULT_EXPORT_COLUMNS;
+
+  const byKey = new Map(EXPORT_COLUMNS.map((column) => [column.key, column]));
+  return {
+    columns: keys.filter((key) => byKey.has(key)).map((key) => byKey.get(key)),
+    unknown: keys.filter((key) => !byKey.has(key)),
+  };
+};
+
+// Waits until the response accepts more data, or the client goes away
+const waitForDrain = (res) => {
+  if (!res.writableNeedDrain) return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+};
+
+const write = async (res, chunk) => {
+  res.write(chunk);
+  await waitForDrain(res);
+};
+
+const exportJson = async (cursor, columns, res, { fullDocuments }) => {
+  await write(res, '{"success":true,"data":[');
+
+  let first = true;
+  for await (const credential of cursor) {
+    if (res.destroyed) break;
+
+    const row = fullDocuments
+      ? credential.toJSON()
+      : Object.fromEntries(
+          columns.map((column) => [column.key, column.value(credential)])
+        );
+    await write(res, (first ? "" : ",") + JSON.stringify(row));
+    first = false;
+  }
+
+  res.end("]}");
+};
+
+const exportCsv = async (cursor, columns, res) => {
+  await write(res, toCsvRow(columns.map((column) => column.header)));
+
+  for await (const credential of cursor) {
+    if (res.destroyed) break;
+
+    await write(
+      res,
+      toCsvRow(
+        columns.map((column) =>
+          formatColumnValue(column, column.value(credential))
+        )
+      )
+    );
+  }
+
+  res.end();
+};
+
+const exportXlsx = async (cursor, columns, res) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+  });
+  const sheet = workbook.addWorksheet("Credentials", {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+
+  sheet.columns = columns.map((column) => ({
+    header: column.header,
+    key: column.key,
+    width: Math.round(column.width * 12),
+    style: column.type === "date" ? { numFmt: "yyyy-mm-dd" } : {},
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const credential of cursor) {
+    if (res.destroyed) break;
+
+    sheet
+      .addRow(columns.map((column) => column.value(credential) ?? null))
+      .commit();
+    await waitForDrain(res);
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Printable register: landscape A4 table whose header row repeats on
+// every page
+const exportPdf = async (cursor, columns, res, { title, subtitle }) => {
+  const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 36 });
+  doc.pipe(res);
+
+  const { left, right, bottom } = doc.page.margins;
+  const tableWidth = doc.page.width - left - right;
+  const totalWeight = columns.reduce((sum, column) => sum + column.width, 0);
+  const widths = columns.map(
+    (column) => (column.width / totalWeight) * tableWidth
+  );
+  const padding = 3;
+
+  const drawRow = (values, { bold = false } = {}) => {
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+    const height =
+      Math.max(
+        ...values.map((value, i) =>
+          doc.heightOfString(value, { width: widths[i] - padding * 2 })
+        )
+      ) +
+      padding * 2;
+
+    if (doc.y + height > doc.page.height - bottom) {
+      doc.addPage();
+      if (!bold) {
+        drawRow(
+          columns.map((column) => column.header),
+          { bold: true }
+        );
+      }
+    }
+
+    const y = doc.y;
+    let x = left;
+    values.forEach((value, i) => {
+      doc.text(value, x + padding, y + padding, {
+        width: widths[i] - padding * 2,
+      });
+      x += widths[i];
+    });
+
+    doc
+      .moveTo(left, y + height)
+      .lineTo(left + tableWidth, y + height)
+      .lineWidth(bold ? 1 : 0.25)
+      .stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  doc.font("Helvetica-Bold").fontSize(14).text(title);
+  doc.font("Helvetica").fontSize(9).text(subtitle).moveDown();
+  drawRow(
+    columns.map((column) => column.header),
+    { bold: true }
+  );
+
+  let count = 0;
+  for await (const credential of cursor) {
+    if (res.destroyed) break;
+
+    drawRow(
+      columns.map((column) =>
+        formatColumnValue(column, column.value(credential))
+      )
+    );
+    count++;
+    await waitForDrain(res);
+  }
+
+  doc
+    .moveDown()
+    .font("Helvetica")
+    .fontSize(9)
+    .text(`Total: ${count} credential(s)`, left);
+  doc.end();
+};
+
+const EXPORTERS = {
+  json: exportJson,
+  csv: exportCsv,
+  xlsx: exportXlsx,
+  pdf: exportPdf,
+};
+
+// Streams the query results to the response in the requested format.
+// The cursor is closed if the client disconnects mid-export.
+export const streamCredentialExport = async ({
+  res,
+  format,
+  query,
+  sort,
+  columns,
+  fullDocuments = false,
+  subtitle = "",
+}) => {
+  const cursor = Credential.find(query)
+    .populate("userId", "username email")
+    .populate("createdBy", "username")
+    .sort(sort)
+    .cursor();
+  res.on("close", () => cursor.close().catch(() => {}));
+
+  const date = new Date().toISOString().split("T")[0];
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  if (format !== "json") {
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=credentials-${date}.${format}`
+    );
+  }
+
+  await EXPORTERS[format](cursor, columns, res, {
+    fullDocuments,
+    title: "Credential Register",
+    subtitle: `Generated ${date}${subtitle ? ` · ${subtitle}` : ""}`,
+  });
+};
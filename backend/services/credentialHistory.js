@@ -0,0 +1,152 @@
+import CredentialVersion from "../models/credentialVersion.js";
+import CredentialVersionCounter from "../models/credentialVersionCounter.js";
+
+// Credential fields tracked in the change history. Status history and
+// expiry check timestamps are bookkeeping and left out.
+export const HISTORY_FIELDS = [
+  "nurseId",
+  "nurseName",
+  "licenseNumber",
+  "licenseType",
+  "issueDate",
+  "expiryDate",
+  "department",
+  "specializations",
+  "certifications",
+  "status",
+  "expiryWindow",
+  "notes",
+  "userId",
+  "verifiedBy",
+  "verifiedAt",
+];
+
+// Dates become ISO strings and ids plain strings, so stored versions
+// compare and read the same way as API output
+const normalize = (value) =>
+  value === undefined || value === null
+    ? null
+    : JSON.parse(JSON.stringify(value));
+
+export const snapshotOf = (state) => ({
+  ...Object.fromEntries(
+    HISTORY_FIELDS.map((field) => [field, normalize(state?.[field])])
+  ),
+  createdAt: normalize(state?.createdAt),
+});
+
+const diffSnapshots = (before, after) =>
+  HISTORY_FIELDS.filter(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  ).map((field) => ({ field, from: before[field], to: after[field] }));
+
+const DEFAULT_REASONS = {
+  created: "Credential created",
+  updated: "Credential updated",
+  deleted: "Credential deleted",
+};
+
+// Allocates the next version number atomically, so concurrent saves never
+// take the same one. A credential's first allocation starts after any
+// version recorded before the counter existed.
+const allocateVersion = async (credentialId, session) => {
+  const counter = await CredentialVersionCounter.findOneAndUpdate(
+    { _id: credentialId },
+    { $inc: { seq: 1 } },
+    { new: true, session }
+  );
+  if (counter) return counter.seq;
+
+  const last = await CredentialVersion.findOne({ credential: credentialId })
+    .sort({ version: -1 })
+    .select("version")
+    .session(session);
+
+  const seeded = await CredentialVersionCounter.findOneAndUpdate(
+    { _id: credentialId },
+    [
+      {
+        $set: { seq: { $add: [{ $ifNull: ["$seq", last?.version || 0] }, 1] } },
+      },
+    ],
+    { new: true, upsert: true, session }
+  );
+  return seeded.seq;
+};
+
+// Writes the next version of a credential. `previous` is the stored state
+// before an update; nothing is written when no tracked field changed.
+export const recordVersion = async (
+  credential,
+  { action, previous = null }
+) => {
+  const current = snapshotOf(credential.toObject({ depopulate: true }));
+  const before = snapshotOf(previous);
+
+  let changes = [];
+  if (action === "created") changes = diffSnapshots(snapshotOf(null), current);
+  if (action === "updated") {
+    changes = diffSnapshots(before, current);
+    if (changes.length === 0) return null;
+  }
+
+  // Status changes without an explicit reason take the one recorded in the
+  // status history, e.g. by the expiry scheduler
+  const change = credential.$locals.change || {};
+  const transition = changes.some((c) => c.field === "status")
+    ? credential.statusHistory.at(-1)
+    : null;
+
+  const session = credential.$session();
+  const [version] = await CredentialVersion.create(
+    [
+      {
+        credential: credential._id,
+        version: await allocateVersion(credential._id, session),
+        action,
+        changes,
+        snapshot: current,
+        changedBy:
+          change.changedBy ||
+          transition?.changedBy ||
+          (action === "created" ? credential.createdBy : null),
+        reason: change.reason || transition?.reason || DEFAULT_REASONS[action],
+        changedAt: new Date(),
+      },
+    ],
+    { session }
+  );
+
+  credential.$locals.change = undefined;
+  return version;
+};
+
+// State of a credential on a date, from the latest version recorded by
+// then. Before the first recorded update of a credential that predates the
+// history, its earlier state is recovered by reverting that update.
+export const getStateAt = async (credentialId, date) => {
+  const [latest, first] = await Promise.all([
+    CredentialVersion.findOne({
+      credential: credentialId,
+      changedAt: { $lte: date },
+    }).sort({ version: -1 }),
+    CredentialVersion.findOne({ credential: credentialId }).sort({
+      version: 1,
+    }),
+  ]);
+
+  if (latest) {
+    return latest.action === "deleted"
+      ? { exists: false, deletedAt: latest.changedAt, version: latest.version }
+      : { exists: true, state: latest.snapshot, version: latest.version };
+  }
+
+  if (!first || first.action === "created") return { exists: false };
+
+  const state = { ...first.snapshot };
+  first.changes.forEach((change) => (state[change.field] = change.from));
+
+  const createdAt = state.createdAt && new Date(state.createdAt);
+  if (createdAt && createdAt > date) return { exists: false };
+  return { exists: true, state, version: 0 };
+};
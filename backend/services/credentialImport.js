@@ -0,0 +1,465 @@
+import mongoose from "mongoose";
+import Credential from "../models/credential.js";
+import ImportBatch from "../models/importBatch.js";
+import ImportProfile from "../models/importProfile.js";
+import User from "../models/user.js";
+import {
+  IMPORT_FIELDS,
+  LICENSE_NUMBER_PATTERN,
+  getImportMaxRows,
+  getImportBatchTtlHours,
+} from "../config/credentialImport.js";
+import { readSpreadsheet } from "./spreadsheet.js";
+import {
+  TRANSACTIONS_UNAVAILABLE,
+  supportsTransactions,
+} from "../database/db.js";
+
+export class ImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ImportError";
+    this.status = status;
+  }
+}
+
+const LICENSE_TYPES = ["STR", "SIP"];
+const NPK_PATTERN = /^NPK\d{4}$/;
+
+const normalizeHeader = (header) =>
+  String(header).trim().toLowerCase().replace(/\s+/g, " ");
+
+// Resolves the column index of each field: explicit columns first (from
+// the profile or the request), then header aliases
+export const resolveMapping = (headers, columns = []) => {
+  const normalized = headers.map(normalizeHeader);
+  const explicit = Object.fromEntries(
+    columns.map((column) => [column.field, column.header])
+  );
+
+  const mapping = {};
+  const indexes = {};
+  const missing = [];
+
+  for (const { field, label, required, aliases } of IMPORT_FIELDS) {
+    const candidates = explicit[field]
+      ? [normalizeHeader(explicit[field])]
+      : [field.toLowerCase(), label.toLowerCase(), ...aliases];
+    const index = normalized.findIndex((header) => candidates.includes(header));
+
+    if (index !== -1) {
+      mapping[field] = headers[index];
+      indexes[field] = index;
+    } else if (required) {
+      missing.push(explicit[field] ? `${label} ("${explicit[field]}")` : label);
+    }
+  }
+
+  return { mapping, indexes, missing };
+};
+
+// Excel stores unformatted dates as days since 1899-12-30
+const fromExcelSerial = (serial) =>
+  new Date(Math.round((serial - 25569) * 24 * 60 * 60 * 1000));
+
+const buildDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day
+    ? date
+    : null;
+};
+
+// Parses spreadsheet dates; day-first is the default for ambiguous
+// dates as that is how Indonesian documents write them
+export const parseImportDate = (value, format = "auto") => {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  if (typeof value === "number") return fromExcelSerial(value);
+
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/);
+  if (iso && (format === "auto" || format === "YYYY-MM-DD")) {
+    return buildDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  }
+
+  const parts = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (parts && format !== "YYYY-MM-DD") {
+    const [first, second, year] = parts.slice(1).map(Number);
+    return format === "MM/DD/YYYY"
+      ? buildDate(year, first, second)
+      : buildDate(year, second, first);
+  }
+
+  return null;
+};
+
+const cellText = (value) =>
+  value instanceof Date ? value.toISOString() : String(value ?? "").trim();
+
+// Loads the users and existing credentials referenced by a batch in two
+// queries instead of one per row
+const loadLookups = async (records) => {
+  const npks = [
+    ...new Set(records.map((r) => cellText(r.nurseId).toUpperCase())),
+  ];
+  const licenseNumbers = [
+    ...new Set(records.map((r) => cellText(r.licenseNumber).toUpperCase())),
+  ];
+
+  const [nurses, existing] = await Promise.all([
+    User.find({ npk: { $in: npks }, role: "perawat" }).select(
+      "npk fullName username unit isActive"
+    ),
+    Credential.find({ licenseNumber: { $in: licenseNumbers } }).select(
+      "licenseNumber"
+    ),
+  ]);
+
+  return {
+    nurses: new Map(nurses.map((nurse) => [nurse.npk, nurse])),
+    existingLicenses: new Set(existing.map((c) => c.licenseNumber)),
+  };
+};
+
+// Validates one mapped record; returns the credential fields and any
+// problems found
+const validateRecord = (
+  raw,
+  { nurses, existingLicenses, seen, dateFormat }
+) => {
+  const issues = [];
+  const data = {};
+
+  for (const { field, label, required } of IMPORT_FIELDS) {
+    if (required && cellText(raw[field]) === "")
+      issues.push(`${label} is required`);
+  }
+
+  const npk = cellText(raw.nurseId).toUpperCase();
+  if (npk) {
+    const nurse = nurses.get(npk);
+    if (!NPK_PATTERN.test(npk)) {
+      issues.push(`NPK ${npk} is not in the NPK0000 format`);
+    } else if (!nurse) {
+      issues.push(`No nurse found with NPK ${npk}`);
+    } else if (!nurse.isActive) {
+      issues.push(`Nurse with NPK ${npk} is inactive`);
+    } else {
+      data.nurseId = npk;
+      data.userId = nurse._id;
+      data.nurseName =
+        cellText(raw.nurseName) || nurse.fullName || nurse.username;
+      data.department = cellText(raw.department) || nurse.unit;
+    }
+  }
+
+  const licenseNumber = cellText(raw.licenseNumber).toUpperCase();
+  if (licenseNumber) {
+    if (!LICENSE_NUMBER_PATTERN.test(licenseNumber)) {
+      issues.push(`License number ${licenseNumber} has an invalid format`);
+    } else if (existingLicenses.has(licenseNumber)) {
+      issues.push(`License number ${licenseNumber} already exists`);
+    } else if (seen.has(licenseNumber)) {
+      issues.push(
+        `License number ${licenseNumber} duplicates row ${seen.get(licenseNumber)}`
+      );
+    }
+    data.licenseNumber = licenseNumber;
+  }
+
+  const licenseType = cellText(raw.licenseType).toUpperCase();
+  if (licenseType) {
+    if (LICENSE_TYPES.includes(licenseType)) data.licenseType = licenseType;
+    else issues.push("License type must be STR or SIP");
+  }
+
+  for (const field of ["issueDate", "expiryDate"]) {
+    if (cellText(raw[field]) === "") continue;
+    const date = parseImportDate(raw[field], dateFormat);
+    if (date) data[field] = date;
+    else issues.push(`${cellText(raw[field])} is not a valid date`);
+  }
+
+  if (data.issueDate && data.expiryDate && data.expiryDate <= data.issueDate) {
+    issues.push("Expiry date must be after issue date");
+  }
+
+  if (cellText(raw.specializations)) {
+    data.specializations = cellText(raw.specializations)
+      .split(/[,;]/)
+      .map((spec) => spec.trim())
+      .filter(Boolean);
+  }
+
+  const notes = cellText(raw.notes);
+  if (notes.length > 2000) issues.push("Notes cannot exceed 2000 characters");
+  else if (notes) data.notes = notes;
+
+  return { data, issues };
+};
+
+// Validates every row of a batch, in order, so duplicates within the file
+// are reported against the first occurrence
+const validateRows = async (rows, { dateFormat } = {}) => {
+  const lookups = await loadLookups(rows.map((row) => row.data));
+  const seen = new Map();
+
+  return rows.map((row) => {
+    const { data, issues } = validateRecord(row.data, {
+      ...lookups,
+      seen,
+      dateFormat,
+    });
+    if (data.licenseNumber && !seen.has(data.licenseNumber)) {
+      seen.set(data.licenseNumber, row.rowNumber);
+    }
+    return {
+      rowNumber: row.rowNumber,
+      data: row.data,
+      credential: data,
+      issues,
+      valid: issues.length === 0,
+    };
+  });
+};
+
+const saveBatch = async ({ rows, user, ...fields }) => {
+  const maxRows = getImportMaxRows();
+  if (rows.length === 0) {
+    throw new ImportError("The file does not contain any data rows");
+  }
+  if (rows.length > maxRows) {
+    throw new ImportError(`Imports are limited to ${maxRows} rows per file`);
+  }
+
+  const validated = await validateRows(rows, { dateFormat: fields.dateFormat });
+
+  return ImportBatch.create({
+    ...fields,
+    rows: validated.map(({ rowNumber, data, issues, valid }) => ({
+      rowNumber,
+      data,
+      issues,
+      valid,
+    })),
+    createdBy: user.id,
+    expiresAt: new Date(Date.now() + getImportBatchTtlHours() * 60 * 60 * 1000),
+  });
+};
+
+// Dry run of a CSV/XLSX upload: parses, maps and validates every row and
+// stores the report for a later commit
+export const createImportBatch = async ({
+  buffer,
+  fileName,
+  format,
+  profileId,
+  columns,
+  dateFormat,
+  user,
+}) => {
+  let profile = null;
+  if (profileId) {
+    profile = await ImportProfile.findById(profileId);
+    if (!profile) throw new ImportError("Import profile not found", 404);
+  }
+
+  let sheet;
+  try {
+    sheet = await readSpreadsheet(buffer, format);
+  } catch (error) {
+    throw new ImportError(
+      `Could not read ${format.toUpperCase()} file: ${error.message}`
+    );
+  }
+
+  const { mapping, indexes, missing } = resolveMapping(
+    sheet.headers,
+    columns || profile?.columns || []
+  );
+  if (missing.length > 0) {
+    throw new ImportError(`Missing required columns: ${missing.join(", ")}`);
+  }
+
+  const rows = sheet.rows.map(({ rowNumber, values }) => ({
+    rowNumber,
+    data: Object.fromEntries(
+      Object.entries(indexes).map(([field, index]) => [
+        field,
+        values[index] ?? "",
+      ])
+    ),
+  }));
+
+  return saveBatch({
+    rows,
+    user,
+    fileName,
+    format,
+    profile: profile?._id,
+    mapping,
+    dateFormat: dateFormat || profile?.dateFormat,
+  });
+};
+
+// Dry run of already structured records (the JSON bulk import)
+export const createJsonImportBatch = ({ records, user }) =>
+  saveBatch({
+    rows: records.map((record, i) => ({
+      rowNumber: i + 1,
+      data: Object.fromEntries(
+        IMPORT_FIELDS.map(({ field }) => [field, record?.[field] ?? ""])
+      ),
+    })),
+    user,
+    fileName: "bulk-import.json",
+    format: "json",
+  });
+
+const buildCredential = (data, user) => ({
+  ...data,
+  // Status is derived from the expiry date by the pre-save hook
+  status: "active",
+  createdBy: user.id,
+});
+
+// Atomic: every row is created in one transaction or none is
+const commitAtomic = async (validated, user) => {
+  let created = [];
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      created = [];
+      for (const row of validated) {
+        const [credential] = await Credential.create(
+          [buildCredential(row.credential, user)],
+          { session, ordered: true }
+        );
+        created.push(credential);
+      }
+    });
+  } catch (error) {
+    throw new ImportError(
+      `Import rolled back, no credentials were created: ${error.message}`,
+      409
+    );
+  } finally {
+    await session.endSession();
+  }
+
+  created.forEach((credential) => credential.publishChanges());
+  return validated.map((row, i) => ({
+    outcome: "created",
+    credential: created[i]._id,
+  }));
+};
+
+// Skip invalid: valid rows are created one by one, failures are reported
+const commitSkippingInvalid = async (validated, user) => {
+  const outcomes = [];
+
+  for (const row of validated) {
+    if (!row.valid) {
+      outcomes.push({ outcome: "skipped" });
+      continue;
+    }
+
+    try {
+      const credential = await Credential.create(
+        buildCredential(row.credential, user)
+      );
+      outcomes.push({ outcome: "created", credential: credential._id });
+    } catch (error) {
+      outcomes.push({ outcome: "failed", issues: [error.message] });
+    }
+  }
+
+  return outcomes;
+};
+
+// Claims a validated batch for one commit request, so parallel commits of
+// the same batch cannot both create its rows
+const claimBatch = async (batchId) => {
+  if (!mongoose.isValidObjectId(batchId)) {
+    throw new ImportError("Import not found or expired", 404);
+  }
+
+  const batch = await ImportBatch.findOneAndUpdate(
+    { _id: batchId, status: "validated" },
+    { $set: { status: "committing" } },
+    { new: true }
+  );
+  if (batch) return batch;
+
+  if (!(await ImportBatch.exists({ _id: batchId }))) {
+    throw new ImportError("Import not found or expired", 404);
+  }
+  throw new ImportError(
+    "Import has already been committed or is being committed",
+    409
+  );
+};
+
+// Commits a validated batch. Rows are re-validated first since users or
+// credentials may have changed since the dry run.
+export const commitImportBatch = async (batchId, mode, user) => {
+  if (mode === "atomic" && !supportsTransactions()) {
+    throw new ImportError(TRANSACTIONS_UNAVAILABLE, 503);
+  }
+  const batch = await claimBatch(batchId);
+
+  try {
+    return await commitClaimedBatch(batch, mode, user);
+  } catch (error) {
+    await ImportBatch.updateOne(
+      { _id: batch._id, status: "committing" },
+      { $set: { status: "validated" } }
+    );
+    throw error;
+  }
+};
+
+const commitClaimedBatch = async (batch, mode, user) => {
+  const validated = await validateRows(batch.rows, {
+    dateFormat: batch.dateFormat,
+  });
+
+  validated.forEach((row, i) => {
+    batch.rows[i].issues = row.issues;
+    batch.rows[i].valid = row.valid;
+  });
+
+  const invalid = validated.filter((row) => !row.valid).length;
+  if (
+    (mode === "atomic" && invalid > 0) ||
+    (mode === "skip-invalid" && invalid === validated.length)
+  ) {
+    batch.status = "validated";
+    await batch.save();
+    return { committed: false, batch };
+  }
+
+  const outcomes =
+    mode === "atomic"
+      ? await commitAtomic(validated, user)
+      : await commitSkippingInvalid(validated, user);
+
+  outcomes.forEach(({ outcome, credential, issues }, i) => {
+    batch.rows[i].outcome = outcome;
+    batch.rows[i].credential = credential;
+    if (issues) batch.rows[i].issues = issues;
+  });
+
+  batch.status = "committed";
+  batch.commitMode = mode;
+  batch.committedBy = user.id;
+  batch.committedAt = new Date();
+  batch.expiresAt = undefined;
+  await batch.save();
+
+  return { committed: true, batch };
+};
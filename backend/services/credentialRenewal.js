@@ -0,0 +1,335 @@
+import mongoose from "mongoose";
+import Credential from "../models/credential.js";
+import RenewalRequest from "../models/renewalRequest.js";
+import File, { RENEWAL_EVIDENCE_CATEGORY } from "../models/file.js";
+import User from "../models/user.js";
+import { formatFileSize, getFileType } from "../middleware/upload.js";
+import credentialEvents from "./credentialEvents.js";
+import {
+  findCredentialRecipients,
+  queueNotification,
+} from "./notificationService.js";
+import {
+  TRANSACTIONS_UNAVAILABLE,
+  supportsTransactions,
+} from "../database/db.js";
+
+export class RenewalError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "RenewalError";
+    this.status = status;
+  }
+}
+
+// Roles that verify and apply renewals
+export const RENEWAL_REVIEWER_ROLES = ["admin", "mitra"];
+
+// Credentials a nurse may ask to renew
+export const RENEWABLE_STATUSES = ["expiring-soon", "expired"];
+
+// Notifies the nurse, or with everyone set also their kepala unit and the
+// admins
+const notify = async (
+  credential,
+  template,
+  context,
+  { everyone = false } = {}
+) => {
+  try {
+    const recipients = everyone
+      ? await findCredentialRecipients(credential.userId)
+      : await User.find({ _id: credential.userId, isActive: true });
+    await queueNotification({
+      recipients,
+      template,
+      credential: credential._id,
+      context: {
+        ownerId: credential.userId,
+        nurseId: credential.nurseId,
+        nurseName: credential.nurseName,
+        licenseType: credential.licenseType,
+        licenseNumber: credential.licenseNumber,
+        ...context,
+      },
+    });
+  } catch (error) {
+    console.error(`❌ Failed to queue ${template} notification:`, error);
+  }
+};
+
+const assertLicenseNumberFree = async (
+  licenseNumber,
+  credentialId,
+  session
+) => {
+  const taken = await Credential.exists({
+    licenseNumber: licenseNumber.trim().toUpperCase(),
+    _id: { $ne: credentialId },
+  }).session(session || null);
+
+  if (taken) {
+    throw new RenewalError(
+      "License number already belongs to another credential",
+      409
+    );
+  }
+};
+
+const saveEvidence = async (files, renewal, user) => {
+  const saved = await File.insertMany(
+    files.map((file) => ({
+      fileName: file.filename,
+      originalName: file.originalname,
+      displayName: file.originalname,
+      category: RENEWAL_EVIDENCE_CATEGORY,
+      fileType: getFileType(file.mimetype),
+      size: file.size,
+      sizeFormatted: formatFileSize(file.size),
+      path: file.path,
+      url: `/api/renewals/${renewal._id}/evidence/${file.filename}/download`,
+      uploadedBy: user,
+      credential: renewal.credential,
+      renewalRequest: renewal._id,
+    }))
+  );
+  return saved.map((file) => file._id);
+};
+
+// Opens a renewal request for one of the nurse's own expiring or expired
+// credentials. The new license period is only applied once approved.
+export const submitRenewal = async (
+  credentialId,
+  { licenseNumber, issueDate, expiryDate, notes },
+  files,
+  actor
+) => {
+  const credential = await Credential.findById(credentialId);
+  if (!credential) throw new RenewalError("Credential not found", 404);
+
+  if (credential.userId.toString() !== actor._id.toString()) {
+    throw new RenewalError("You can only renew your own credentials", 403);
+  }
+  if (!RENEWABLE_STATUSES.includes(credential.status)) {
+    throw new RenewalError(
+      "Only expiring or expired credentials can be renewed",
+      409
+    );
+  }
+  if (
+    await RenewalRequest.exists({
+      credential: credential._id,
+      status: "pending",
+    })
+  ) {
+    throw new RenewalError(
+      "A renewal request for this credential is already pending",
+      409
+    );
+  }
+
+  if (!files?.length) {
+    throw new RenewalError("At least one evidence document is required");
+  }
+
+  const now = new Date();
+  const newIssueDate = new Date(issueDate);
+  const newExpiryDate = new Date(expiryDate);
+  if (issueDate && !isNaN(newIssueDate) && newIssueDate > now) {
+    throw new RenewalError("Issue date cannot be in the future");
+  }
+  if (expiryDate && !isNaN(newExpiryDate)) {
+    if (newExpiryDate <= now) {
+      throw new RenewalError("New expiry date must be in the future");
+    }
+    if (credential.expiryDate && newExpiryDate <= credential.expiryDate) {
+      throw new RenewalError(
+        "New expiry date must be after the current expiry date"
+      );
+    }
+  }
+
+  if (licenseNumber) {
+    await assertLicenseNumberFree(licenseNumber, credential._id);
+  }
+
+  const renewal = new RenewalRequest({
+    credential: credential._id,
+    nurse: credential.userId,
+    licenseNumber,
+    issueDate,
+    expiryDate,
+    notes,
+    submittedBy: actor._id,
+  });
+  await renewal.validate();
+
+  renewal.evidence = await saveEvidence(files, renewal, actor._id);
+  await renewal.save();
+  return renewal;
+};
+
+// Approves a pending renewal and applies the new license period to the
+// credential, or rejects it with a note. The replaced period is kept on
+// the request and in the credential's change history.
+export const reviewRenewal = async (renewalId, { decision, note }, actor) => {
+  let renewal = await RenewalRequest.findById(renewalId);
+  if (!renewal) throw new RenewalError("Renewal request not found", 404);
+
+  if (!["approved", "rejected"].includes(decision)) {
+    throw new RenewalError("Decision must be approved or rejected");
+  }
+  if (decision === "rejected" && !note?.trim()) {
+    throw new RenewalError("A note is required when rejecting a renewal");
+  }
+  if (renewal.nurse.toString() === actor._id.toString()) {
+    throw new RenewalError("You cannot review your own renewal request", 403);
+  }
+  if (renewal.status !== "pending") {
+    throw new RenewalError(
+      `Renewal request has already been ${renewal.status}`,
+      409
+    );
+  }
+
+  if (decision === "rejected") {
+    // Only rejects a request still pending, so an approval landing at the
+    // same moment is not overwritten
+    renewal = await RenewalRequest.findOneAndUpdate(
+      { _id: renewal._id, status: "pending" },
+      {
+        $set: {
+          status: "rejected",
+          reviewedBy: actor._id,
+          reviewedAt: new Date(),
+          reviewNote: note,
+        },
+      },
+      { new: true, runValidators: true }
+    );
+    if (!renewal) {
+      throw new RenewalError("Renewal request has already been decided", 409);
+    }
+
+    const credential = await Credential.findById(renewal.credential);
+    if (credential) await notify(credential, "renewal.rejected", { note });
+    return renewal;
+  }
+
+  if (!supportsTransactions()) {
+    throw new RenewalError(TRANSACTIONS_UNAVAILABLE, 503);
+  }
+
+  let credential;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const now = new Date();
+      renewal = await RenewalRequest.findById(renewalId).session(session);
+      if (renewal.status !== "pending") {
+        throw new RenewalError(
+          `Renewal request has already been ${renewal.status}`,
+          409
+        );
+      }
+
+      credential = await Credential.findById(renewal.credential).session(
+        session
+      );
+      if (!credential) throw new RenewalError("Credential not found", 404);
+      if (credential.status === "suspended") {
+        throw new RenewalError(
+          "Credential is suspended; reinstate it before applying a renewal",
+          409
+        );
+      }
+      await assertLicenseNumberFree(
+        renewal.licenseNumber,
+        credential._id,
+        session
+      );
+
+      const previousPeriod = {
+        licenseNumber: credential.licenseNumber,
+        issueDate: credential.issueDate,
+        expiryDate: credential.expiryDate,
+        status: credential.status,
+      };
+      const reason = `Renewed with ${renewal.licenseNumber} until ${renewal.expiryDate.toISOString().slice(0, 10)}`;
+
+      credential.licenseNumber = renewal.licenseNumber;
+      credential.issueDate = renewal.issueDate;
+      credential.expiryDate = renewal.expiryDate;
+      const next = Credential.computeStatus(renewal.expiryDate, now);
+      credential.transitionStatus(next.status, {
+        window: next.window,
+        reason,
+        changedBy: actor._id,
+      });
+      // An admin reviewer checked the new license against the evidence,
+      // which counts as a manual verification; other reviewers' approvals
+      // leave the changed license unverified
+      if (actor.role === "admin") {
+        credential.verifiedBy = actor._id;
+        credential.verifiedAt = now;
+      }
+      credential.updatedBy = actor._id;
+      credential.recordChange({ changedBy: actor._id, reason });
+      await credential.save({ session });
+
+      renewal.status = "approved";
+      renewal.previousPeriod = previousPeriod;
+      renewal.reviewedBy = actor._id;
+      renewal.reviewedAt = now;
+      renewal.reviewNote = note;
+      await renewal.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  credential.publishChanges();
+  credentialEvents.emit("renewed", { credential, renewal });
+
+  await notify(
+    credential,
+    "credential.renewed",
+    {
+      previousLicenseNumber: renewal.previousPeriod.licenseNumber,
+      expiryDate: credential.expiryDate,
+    },
+    { everyone: true }
+  );
+
+  return renewal;
+};
+
+// Withdraws a pending request; its evidence is retired with it
+export const withdrawRenewal = async (renewalId, actor) => {
+  const renewal = await RenewalRequest.findById(renewalId);
+  if (!renewal) throw new RenewalError("Renewal request not found", 404);
+
+  if (
+    actor.role !== "admin" &&
+    renewal.submittedBy.toString() !== actor._id.toString()
+  ) {
+    throw new RenewalError(
+      "Only the submitter or an administrator can withdraw this",
+      403
+    );
+  }
+  if (renewal.status !== "pending") {
+    throw new RenewalError(
+      "Only pending renewal requests can be withdrawn",
+      409
+    );
+  }
+
+  renewal.status = "withdrawn";
+  await renewal.save();
+  await File.updateMany(
+    { renewalRequest: renewal._id },
+    { $set: { isActive: false } }
+  );
+  return renewal;
+};
@@ -0,0 +1,244 @@
+import { CREDENTIAL_STATUSES } from "../models/credential.js";
+import User from "../models/user.js";
+
+export class SearchQueryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "SearchQueryError";
+    this.status = status;
+  }
+}
+
+// Roles that may search every credential; others only see their own
+const ALL_CREDENTIAL_ROLES = ["admin", "kepala-unit"];
+
+const MAX_SEARCH_LENGTH = 100;
+const MAX_IN_VALUES = 50;
+
+// Filterable fields, the credential path they query and the operators
+// their type supports. `unit` is the owning nurse's unit and is resolved
+// to user ids.
+const FILTER_FIELDS = {
+  status: { path: "status", type: "enum", values: CREDENTIAL_STATUSES },
+  licenseType: { path: "licenseType", type: "enum", values: ["STR", "SIP"] },
+  department: { path: "department", type: "string" },
+  nurse: { path: "nurseId", type: "string", uppercase: true },
+  unit: { path: "userId", type: "unit" },
+  expiryDate: { path: "expiryDate", type: "date" },
+  issueDate: { path: "issueDate", type: "date" },
+};
+
+const OPERATORS = {
+  enum: ["eq", "in"],
+  string: ["eq", "in"],
+  unit: ["eq", "in"],
+  date: ["before", "after", "between"],
+};
+
+export const SORT_FIELDS = [
+  "createdAt",
+  "updatedAt",
+  "expiryDate",
+  "issueDate",
+  "nurseName",
+  "nurseId",
+  "licenseNumber",
+  "licenseType",
+  "status",
+  "department",
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Comma-separated strings are accepted for `in` and `between` so both
+// work from a query string
+const toList = (value) =>
+  Array.isArray(value)
+    ? value
+    : String(value)
+        .split(",")
+        .map((item) => item.trim());
+
+const parseScalar = (name, spec, value) => {
+  if (typeof value !== "string" || value.trim() === "") {
+    throw new SearchQueryError(`Filter ${name} expects text values`);
+  }
+  const text = spec.uppercase ? value.trim().toUpperCase() : value.trim();
+
+  if (spec.type === "enum" && !spec.values.includes(text)) {
+    throw new SearchQueryError(
+      `Filter ${name} must be one of: ${spec.values.join(", ")}`
+    );
+  }
+  return text;
+};
+
+const parseDate = (name, value) => {
+  const date = typeof value === "string" ? new Date(value) : null;
+  if (!date || isNaN(date)) {
+    throw new SearchQueryError(`Filter ${name} expects ISO dates`);
+  }
+  return date;
+};
+
+// Translates one `{ operator: operand }` clause into a Mongo condition
+const buildCondition = (name, spec, operator, operand) => {
+  if (!OPERATORS[spec.type].includes(operator)) {
+    throw new SearchQueryError(
+      `Filter ${name} supports: ${OPERATORS[spec.type].join(", ")}`
+    );
+  }
+
+  switch (operator) {
+    case "eq":
+      return parseScalar(name, spec, operand);
+    case "in": {
+      const values = toList(operand);
+      if (values.length === 0 || values.length > MAX_IN_VALUES) {
+        throw new SearchQueryError(
+          `Filter ${name} expects 1 to ${MAX_IN_VALUES} values`
+        );
+      }
+      return { $in: values.map((value) => parseScalar(name, spec, value)) };
+    }
+    case "before":
+      return { $lt: parseDate(name, operand) };
+    case "after":
+      return { $gt: parseDate(name, operand) };
+    case "between": {
+      const range = toList(operand);
+      if (range.length !== 2) {
+        throw new SearchQueryError(`Filter ${name} between expects two dates`);
+      }
+      const [from, to] = range.map((value) => parseDate(name, value));
+      if (from > to) {
+        throw new SearchQueryError(`Filter ${name} range is reversed`);
+      }
+      return { $gte: from, $lte: to };
+    }
+  }
+};
+
+// Parses the filter object into `{ field: condition }`. A bare value is
+// shorthand for eq; otherwise exactly one operator per field is given.
+export const parseFilters = (filters = {}) => {
+  if (typeof filters !== "object" || Array.isArray(filters)) {
+    throw new SearchQueryError("Filters must be an object");
+  }
+
+  const parsed = {};
+  for (const [name, clause] of Object.entries(filters)) {
+    if (clause === null || clause === undefined || clause === "") continue;
+
+    const spec = FILTER_FIELDS[name];
+    if (!spec) {
+      throw new SearchQueryError(
+        `Unknown filter ${name}. Allowed: ${Object.keys(FILTER_FIELDS).join(
+          ", "
+        )}`
+      );
+    }
+
+    let operator = Array.isArray(clause) ? "in" : "eq";
+    let operand = clause;
+
+    if (typeof clause === "object" && !Array.isArray(clause)) {
+      if (Object.keys(clause).length !== 1) {
+        throw new SearchQueryError(`Filter ${name} takes one operator`);
+      }
+      [[operator, operand]] = Object.entries(clause);
+    } else if (spec.type === "date") {
+      throw new SearchQueryError(
+        `Filter ${name} needs an operator: ${OPERATORS[spec.type].join(", ")}`
+      );
+    }
+
+    parsed[name] = {
+      spec,
+      condition: buildCondition(name, spec, operator, operand),
+    };
+  }
+
+  return parsed;
+};
+
+// Reads `filters` from a query string, either as JSON
+// (?filters={"status":"active"}) or bracketed keys
+// (?filters[status]=active, ?filters[expiryDate][before]=2026-01-01)
+export const readQueryFilters = (query) => {
+  if (typeof query.filters === "string") {
+    try {
+      return JSON.parse(query.filters);
+    } catch {
+      throw new SearchQueryError("Filters must be valid JSON");
+    }
+  }
+  if (query.filters && typeof query.filters === "object") return query.filters;
+
+  const filters = {};
+  for (const [key, value] of Object.entries(query)) {
+    const match = key.match(/^filters\[(\w+)\](?:\[(\w+)\])?$/);
+    if (!match) continue;
+
+    const [, field, operator] = match;
+    filters[field] = operator ? { [operator]: value } : value;
+  }
+  return filters;
+};
+
+// Builds the credential query shared by the list, search and export
+// endpoints from a free-text term and whitelisted filters
+export const buildCredentialQuery = async (
+  { searchTerm, filters = {} },
+  user
+) => {
+  const conditions = [];
+
+  if (!ALL_CREDENTIAL_ROLES.includes(user.role)) {
+    conditions.push({ userId: user.id });
+  }
+
+  if (searchTerm !== undefined && searchTerm !== "") {
+    if (typeof searchTerm !== "string") {
+      throw new SearchQueryError("Search term must be text");
+    }
+    if (searchTerm.length > MAX_SEARCH_LENGTH) {
+      throw new SearchQueryError(
+        `Search term cannot exceed ${MAX_SEARCH_LENGTH} characters`
+      );
+    }
+
+    const pattern = { $regex: escapeRegex(searchTerm.trim()), $options: "i" };
+    conditions.push({
+      $or: [
+        { nurseId: pattern },
+        { nurseName: pattern },
+        { licenseNumber: pattern },
+        { department: pattern },
+      ],
+    });
+  }
+
+  for (const { spec, condition } of Object.values(parseFilters(filters))) {
+    if (spec.type === "unit") {
+      const nurses = await User.find({ unit: condition }).select("_id");
+      conditions.push({
+        [spec.path]: { $in: nurses.map((nurse) => nurse._id) },
+      });
+    } else {
+      conditions.push({ [spec.path]: condition });
+    }
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+// Sort on a whitelisted field, newest first by default
+export const buildCredentialSort = (sortBy = "createdAt", sortOrder) => {
+  if (!SORT_FIELDS.includes(sortBy)) {
+    throw new SearchQueryError(
+      `Cannot sort by ${sortBy}. Allowed: ${SORT_FIELDS.join(", ")}`
+    );
+  }
+  return { [sortBy]: sortOrder === "asc" ? 1 : -1 };
+};
@@ -0,0 +1,279 @@
+import mongoose from "mongoose";
+import Credential from "../models/credential.js";
+import CredentialSuspension from "../models/credentialSuspension.js";
+import File, { CREDENTIAL_DOCUMENT_CATEGORY } from "../models/file.js";
+import PrivilegeGrant, {
+  PRACTISING_STATUSES,
+} from "../models/privilegeGrant.js";
+import User from "../models/user.js";
+import {
+  findCredentialRecipients,
+  queueNotification,
+} from "./notificationService.js";
+import {
+  TRANSACTIONS_UNAVAILABLE,
+  supportsTransactions,
+} from "../database/db.js";
+
+export class SuspensionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "SuspensionError";
+    this.status = status;
+  }
+}
+
+// Roles that decide suspensions; kepala unit only within their own unit
+export const SUSPENSION_ROLES = ["admin", "komite", "kepala-unit"];
+
+const loadCredential = async (credentialId, actor) => {
+  const credential = await Credential.findById(credentialId);
+  if (!credential) throw new SuspensionError("Credential not found", 404);
+
+  if (actor.role === "kepala-unit") {
+    const owner = await User.findById(credential.userId).select("unit");
+    if (!actor.unit || owner?.unit !== actor.unit) {
+      throw new SuspensionError(
+        "Only the kepala unit of the nurse's unit can decide this",
+        403
+      );
+    }
+  }
+  return credential;
+};
+
+const notify = async (credential, template, context) => {
+  try {
+    const recipients = await findCredentialRecipients(credential.userId);
+    await queueNotification({
+      recipients,
+      template,
+      credential: credential._id,
+      context: {
+        ownerId: credential.userId,
+        nurseId: credential.nurseId,
+        nurseName: credential.nurseName,
+        licenseType: credential.licenseType,
+        licenseNumber: credential.licenseNumber,
+        ...context,
+      },
+    });
+  } catch (error) {
+    console.error(`❌ Failed to queue ${template} notification:`, error);
+  }
+};
+
+// Status a grant had before it was suspended
+const statusBeforeSuspension = (grant) => {
+  const entry = [...grant.statusHistory]
+    .reverse()
+    .find((item) => item.to === "suspended");
+  return PRACTISING_STATUSES.includes(entry?.from) ? entry.from : "granted";
+};
+
+// Suspends a credential together with the nurse's practising privileges.
+// Needs an incident reference or evidence attached to the credential.
+export const suspendCredential = async (
+  credentialId,
+  { reasonCategory, reason, incidentReference, evidenceIds = [], reviewDate },
+  actor
+) => {
+  if (!supportsTransactions()) {
+    throw new SuspensionError(TRANSACTIONS_UNAVAILABLE, 503);
+  }
+  const credential = await loadCredential(credentialId, actor);
+
+  if (credential.status === "suspended") {
+    throw new SuspensionError("Credential is already suspended", 409);
+  }
+  if (credential.status === "pending") {
+    throw new SuspensionError("Only issued credentials can be suspended", 409);
+  }
+
+  if (!Array.isArray(evidenceIds)) {
+    throw new SuspensionError("evidenceIds must be a list of attachment ids");
+  }
+  if (!incidentReference?.trim() && evidenceIds.length === 0) {
+    throw new SuspensionError(
+      "Link an incident reference or evidence to the suspension"
+    );
+  }
+
+  const evidence = await File.find({
+    _id: { $in: evidenceIds },
+    credential: credential._id,
+    category: CREDENTIAL_DOCUMENT_CATEGORY,
+    isActive: true,
+  }).select("_id");
+  if (evidence.length !== new Set(evidenceIds.map(String)).size) {
+    throw new SuspensionError(
+      "Evidence must be documents attached to this credential"
+    );
+  }
+
+  if (reviewDate !== undefined && reviewDate !== null) {
+    const date = new Date(reviewDate);
+    if (isNaN(date) || date <= new Date()) {
+      throw new SuspensionError("Review date must be a future date");
+    }
+  }
+
+  const suspension = new CredentialSuspension({
+    credential: credential._id,
+    nurse: credential.userId,
+    reasonCategory,
+    reason,
+    incidentReference,
+    evidence: evidence.map((file) => file._id),
+    decidedBy: actor._id,
+    reviewDate: reviewDate || undefined,
+    previousStatus: credential.status,
+  });
+  await suspension.validate();
+
+  let suspended;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      suspended = await Credential.findById(credential._id).session(session);
+      if (suspended.status === "suspended") {
+        throw new SuspensionError("Credential is already suspended", 409);
+      }
+
+      const grants = await PrivilegeGrant.find({
+        nurse: credential.userId,
+        status: { $in: PRACTISING_STATUSES },
+      }).session(session);
+
+      for (const grant of grants) {
+        grant.changeStatus("suspended", {
+          reason: `${credential.licenseType} ${credential.licenseNumber} suspended`,
+          changedBy: actor._id,
+        });
+        await grant.save({ session });
+      }
+
+      suspended.transitionStatus("suspended", {
+        reason: `Suspended (${reasonCategory}): ${reason}`,
+        changedBy: actor._id,
+      });
+      suspended.updatedBy = actor._id;
+      suspended.recordChange({
+        changedBy: actor._id,
+        reason: `Suspended (${reasonCategory}): ${reason}`,
+      });
+      await suspended.save({ session });
+
+      suspension.suspendedPrivileges = grants.map((grant) => grant._id);
+      await suspension.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  suspended.publishChanges();
+  await notify(suspended, "credential.suspended", {
+    reasonCategory,
+    reason,
+    reviewDate: suspension.reviewDate,
+    privilegeCount: suspension.suspendedPrivileges.length,
+  });
+
+  return suspension;
+};
+
+// Lifts the open suspension on an explicit decision. Privileges suspended
+// with it are restored unless the license has since expired or another
+// suspension of the nurse is still open, which then takes them over.
+export const reinstateCredential = async (
+  credentialId,
+  { decision },
+  actor
+) => {
+  if (!supportsTransactions()) {
+    throw new SuspensionError(TRANSACTIONS_UNAVAILABLE, 503);
+  }
+  const credential = await loadCredential(credentialId, actor);
+
+  if (!decision?.trim()) {
+    throw new SuspensionError("A reinstatement decision is required");
+  }
+
+  const open = await CredentialSuspension.findOpen(credential._id);
+  if (!open || credential.status !== "suspended") {
+    throw new SuspensionError("Credential is not suspended", 409);
+  }
+
+  let reinstated;
+  let suspension;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const now = new Date();
+      reinstated = await Credential.findById(credential._id).session(session);
+      suspension = await CredentialSuspension.findById(open._id).session(
+        session
+      );
+
+      const next = Credential.computeStatus(reinstated.expiryDate, now);
+      reinstated.transitionStatus(next.status, {
+        window: next.window,
+        reason: `Reinstated: ${decision}`,
+        changedBy: actor._id,
+      });
+      reinstated.updatedBy = actor._id;
+      reinstated.recordChange({
+        changedBy: actor._id,
+        reason: `Reinstated: ${decision}`,
+      });
+      await reinstated.save({ session });
+
+      const otherOpen = await CredentialSuspension.findOne({
+        nurse: suspension.nurse,
+        status: "active",
+        _id: { $ne: suspension._id },
+      }).session(session);
+
+      const restored = [];
+      if (otherOpen) {
+        otherOpen.suspendedPrivileges.push(...suspension.suspendedPrivileges);
+        await otherOpen.save({ session });
+      } else if (next.status !== "expired") {
+        const grants = await PrivilegeGrant.find({
+          _id: { $in: suspension.suspendedPrivileges },
+          status: "suspended",
+          validUntil: { $gte: now },
+        }).session(session);
+
+        for (const grant of grants) {
+          grant.changeStatus(statusBeforeSuspension(grant), {
+            reason: `${reinstated.licenseType} ${reinstated.licenseNumber} reinstated`,
+            changedBy: actor._id,
+          });
+          await grant.save({ session });
+          restored.push(grant._id);
+        }
+      }
+
+      suspension.status = "reinstated";
+      suspension.reinstatement = {
+        decision,
+        decidedBy: actor._id,
+        decidedAt: now,
+        restoredPrivileges: restored,
+      };
+      await suspension.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  reinstated.publishChanges();
+  await notify(reinstated, "credential.reinstated", {
+    decision,
+    status: reinstated.status,
+    privilegeCount: suspension.reinstatement.restoredPrivileges.length,
+  });
+
+  return suspension;
+};
@@ -0,0 +1,378 @@
+import CredentialApplication, {
+  RECOMMENDATIONS,
+} from "../models/credentialApplication.js";
+import Credential from "../models/credential.js";
+import User from "../models/user.js";
+import { PRACTISING_STATUSES } from "../models/privilegeGrant.js";
+import { findInvalidPrivileges, issueGrants } from "./privilegeService.js";
+import {
+  checkAssignedReviewer,
+  syncAssignments,
+} from "./reviewerAssignment.js";
+
+// Error with an HTTP status so routes can pass workflow failures through
+export class WorkflowError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "WorkflowError";
+    this.status = status;
+  }
+}
+
+export const COMMITTEE_ROLES = ["komite", "admin"];
+
+// Roles that act on an application while it sits in a stage
+const STAGE_ROLES = {
+  mitra_review: ["mitra"],
+  unit_endorsement: ["kepala-unit"],
+  committee_review: COMMITTEE_ROLES,
+};
+
+// Allowed transitions: the stages an action starts from and who may take it
+const ACTIONS = {
+  submit: { from: ["draft", "returned"], applicantOnly: true },
+  review: { from: ["mitra_review"], roles: ["mitra"] },
+  endorse: { from: ["unit_endorsement"], roles: ["kepala-unit"] },
+  return: {
+    from: ["mitra_review", "unit_endorsement", "committee_review"],
+    requiresComments: true,
+  },
+  approve: { from: ["committee_review"], roles: COMMITTEE_ROLES },
+  reject: {
+    from: ["committee_review"],
+    roles: COMMITTEE_ROLES,
+    requiresComments: true,
+  },
+  withdraw: {
+    from: [
+      "draft",
+      "mitra_review",
+      "unit_endorsement",
+      "committee_review",
+      "returned",
+    ],
+    applicantOnly: true,
+  },
+};
+
+const isApplicant = (application, actor) =>
+  (application.applicant._id || application.applicant).toString() ===
+  actor._id.toString();
+
+const denied = (message, status = 403) => ({ message, status });
+
+// Returns why an action is not allowed, or null when it is. The payload is
+// only checked when one is given, so the same rules list available actions.
+const checkAction = (application, action, actor, payload) => {
+  const rule = ACTIONS[action];
+  if (!rule) return denied(`Unknown action "${action}"`, 400);
+
+  if (!rule.from.includes(application.stage)) {
+    return denied(
+      `Cannot ${action} an application in stage "${application.stage}"`,
+      409
+    );
+  }
+
+  if (rule.applicantOnly && !isApplicant(application, actor)) {
+    return denied("Only the applicant can perform this action");
+  }
+
+  const roles =
+    rule.roles || (action === "return" && STAGE_ROLES[application.stage]);
+  if (roles && !roles.includes(actor.role)) {
+    return denied(`Action "${action}" requires role: ${roles.join(", ")}`);
+  }
+
+  if (!rule.applicantOnly && isApplicant(application, actor)) {
+    return denied("You cannot act on your own application");
+  }
+
+  if (action === "review" && application.hasReviewed(actor._id)) {
+    return denied("You have already reviewed this application", 409);
+  }
+
+  if (
+    action === "endorse" &&
+    application.unit &&
+    actor.unit !== application.unit
+  ) {
+    return denied("Only the kepala unit of the applicant's unit can endorse");
+  }
+
+  if (payload && rule.requiresComments && !payload.comments) {
+    return denied("Comments are required", 400);
+  }
+
+  if (
+    payload &&
+    action === "approve" &&
+    payload.privileges !== undefined &&
+    (!Array.isArray(payload.privileges) ||
+      payload.privileges.some(
+        (item) =>
+          !item?.privilegeId ||
+          (item.status && !PRACTISING_STATUSES.includes(item.status))
+      ))
+  ) {
+    return denied(
+      "Privileges must be a list of { privilegeId, status: granted | supervised }",
+      400
+    );
+  }
+
+  if (
+    payload &&
+    action === "review" &&
+    !RECOMMENDATIONS.includes(payload.recommendation)
+  ) {
+    return denied(
+      `Recommendation must be one of: ${RECOMMENDATIONS.join(", ")}`,
+      400
+    );
+  }
+
+  return null;
+};
+
+const loadActor = async (user) => {
+  const actor = await User.findActiveById(user.id);
+  if (!actor) throw new WorkflowError("User not found or inactive", 403);
+  return actor;
+};
+
+export const getAvailableActions = async (application, user) => {
+  const actor = await loadActor(user);
+  return Object.keys(ACTIONS).filter(
+    (action) => !checkAction(application, action, actor)
+  );
+};
+
+// Privileges the committee is about to grant
+const approvedPrivileges = (application, payload) =>
+  Array.isArray(payload.privileges)
+    ? payload.privileges
+    : application.requestedPrivileges.map((privilegeId) => ({
+        privilegeId,
+        status: "granted",
+      }));
+
+// Activates a pending credential and issues the approved privileges. The
+// committee may pass privileges: [{ privilegeId, status }] to grant some
+// privileges under supervision or to narrow the request.
+const applyApproval = async (application, actor, payload) => {
+  const credential = application.credential
+    ? await Credential.findById(application.credential)
+    : null;
+
+  if (credential?.status === "pending") {
+    const { status, window } = Credential.computeStatus(credential.expiryDate);
+    credential.transitionStatus(status, {
+      window,
+      reason: "Approved by credentialing committee",
+      changedBy: actor._id,
+    });
+    credential.updatedBy = actor._id;
+    credential.recordChange({
+      changedBy: actor._id,
+      reason: "Approved by credentialing committee",
+    });
+    await credential.save();
+  }
+
+  const privileges = approvedPrivileges(application, payload);
+  if (privileges.length === 0) return [];
+
+  return issueGrants({
+    nurseId: application.applicant,
+    privileges,
+    validUntil:
+      credential?.expiryDate > new Date() ? credential.expiryDate : undefined,
+    application: application._id,
+    grantedBy: actor._id,
+    notes: application.decision.comments,
+  });
+};
+
+// How long an approval claim holds before another approval may take over,
+// in case the request holding it never finished
+const APPROVAL_LEASE_MS = 10 * 60 * 1000;
+
+// Claims the application for an approval; fails when another approval is
+// running or the application has left committee review
+const claimApproval = async (application) => {
+  const now = new Date();
+  const claimed = await CredentialApplication.findOneAndUpdate(
+    {
+      _id: application._id,
+      stage: "committee_review",
+      approvalStartedAt: {
+        $not: { $gt: new Date(now.getTime() - APPROVAL_LEASE_MS) },
+      },
+    },
+    { $set: { approvalStartedAt: now } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new WorkflowError(
+      "The application is already being decided; reload and try again",
+      409
+    );
+  }
+  return now;
+};
+
+const releaseApproval = (application, claimedAt) =>
+  CredentialApplication.updateOne(
+    { _id: application._id, approvalStartedAt: claimedAt },
+    { $set: { approvalStartedAt: null } }
+  );
+
+export const performAction = async (
+  applicationId,
+  action,
+  user,
+  payload = {}
+) => {
+  const application = await CredentialApplication.findById(applicationId);
+  if (!application) throw new WorkflowError("Application not found", 404);
+
+  const actor = await loadActor(user);
+  const comments = payload.comments?.trim();
+
+  const error = checkAction(application, action, actor, {
+    ...payload,
+    comments,
+  });
+  if (error) throw new WorkflowError(error.message, error.status);
+
+  if (action === "approve") {
+    const invalid = await findInvalidPrivileges(
+      approvedPrivileges(application, payload).map((item) => item.privilegeId)
+    );
+    if (invalid.length > 0) {
+      throw new WorkflowError(
+        `Some privileges are invalid or inactive: ${invalid.join(", ")}`,
+        409
+      );
+    }
+
+    // Grants never outlive the license they rest on
+    const credential = application.credential
+      ? await Credential.findById(application.credential).select("expiryDate")
+      : null;
+    if (credential?.expiryDate && credential.expiryDate <= new Date()) {
+      throw new WorkflowError(
+        "The credential has expired; renew it before approving the application",
+        409
+      );
+    }
+  }
+
+  if (action === "review") {
+    const unassigned = await checkAssignedReviewer(application, actor);
+    if (unassigned) {
+      throw new WorkflowError(unassigned.message, unassigned.status);
+    }
+  }
+
+  // The application is only saved if no other request moved it, added a
+  // review or is approving it since it was loaded
+  const approvalClaim =
+    action === "approve" ? await claimApproval(application) : null;
+  application.$where = {
+    stage: application.stage,
+    reviews: { $size: application.reviews.length },
+    approvalStartedAt: approvalClaim || {
+      $not: { $gt: new Date(Date.now() - APPROVAL_LEASE_MS) },
+    },
+  };
+
+  const meta = { action, by: actor._id, role: actor.role, comments };
+
+  switch (action) {
+    case "submit":
+      application.reviews = [];
+      application.endorsement = undefined;
+      application.submittedAt = new Date();
+      application.moveTo("mitra_review", meta);
+      break;
+
+    case "review": {
+      const { recommendation } = payload;
+      application.reviews.push({
+        reviewer: actor._id,
+        recommendation,
+        comments,
+        reviewedAt: new Date(),
+      });
+      application.history.push({ ...meta, at: new Date() });
+
+      if (application.reviews.length >= application.requiredReviews) {
+        application.moveTo("unit_endorsement", {
+          ...meta,
+          action: "reviews_completed",
+          comments: undefined,
+        });
+      }
+      break;
+    }
+
+    case "endorse":
+      application.endorsement = {
+        by: actor._id,
+        outcome: "endorsed",
+        comments,
+        decidedAt: new Date(),
+      };
+      application.moveTo("committee_review", meta);
+      break;
+
+    case "return":
+      application.moveTo("returned", meta);
+      break;
+
+    case "approve":
+    case "reject":
+      application.decision = {
+        by: actor._id,
+        outcome: action === "approve" ? "approved" : "rejected",
+        comments,
+        decidedAt: new Date(),
+      };
+      application.moveTo(application.decision.outcome, meta);
+      break;
+
+    case "withdraw":
+      application.moveTo("withdrawn", meta);
+      break;
+  }
+
+  // The approval is applied before the application is saved as approved, so
+  // a failure leaves it in committee review where it can be approved again
+  if (approvalClaim) {
+    try {
+      await applyApproval(application, actor, payload);
+    } catch (error) {
+      await releaseApproval(application, approvalClaim);
+      throw error;
+    }
+    application.approvalStartedAt = null;
+    application.markModified("approvalStartedAt");
+  }
+
+  try {
+    await application.save();
+  } catch (error) {
+    if (error.name === "DocumentNotFoundError") {
+      throw new WorkflowError(
+        "The application was changed by someone else; reload and try again",
+        409
+      );
+    }
+    throw error;
+  }
+  await syncAssignments(application, actor);
+
+  return application;
+};
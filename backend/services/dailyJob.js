@@ -0,0 +1,46 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Runs a job once at start-up to catch up, then daily at the given hour
+// (server local time). getHour and isEnabled are read when the job starts.
+export const createDailyJob = ({
+  name,
+  run,
+  getHour,
+  isEnabled = () => true,
+}) => {
+  let timer = null;
+
+  const msUntilNextRun = (from = new Date()) => {
+    const next = new Date(from);
+    next.setHours(getHour(), 0, 0, 0);
+    if (next <= from) next.setTime(next.getTime() + DAY_MS);
+    return next - from;
+  };
+
+  const scheduleNextRun = () => {
+    timer = setTimeout(async () => {
+      try {
+        await run();
+      } catch (error) {
+        console.error(`❌ Scheduled ${name} error:`, error);
+      }
+      scheduleNextRun();
+    }, msUntilNextRun());
+  };
+
+  return {
+    start: () => {
+      if (!isEnabled() || timer) return false;
+
+      run().catch((error) =>
+        console.error(`❌ Initial ${name} error:`, error)
+      );
+      scheduleNextRun();
+      return true;
+    },
+    stop: () => {
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+  };
+};
@@ -0,0 +1,383 @@
+import Exam from "../models/exam.js";
+import ExamAttempt from "../models/examAttempt.js";
+import Question from "../models/questions.js";
+import {
+  getAnswerGraceSeconds,
+  getAttemptSweepInterval,
+} from "../config/exams.js";
+import {
+  findAnswerableItem,
+  responseKey,
+  toCandidateQuestion,
+} from "./questionBank.js";
+import { gradeAttempt, snapshotScoring } from "./examGrading.js";
+
+export class AttemptError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "AttemptError";
+    this.status = status;
+  }
+}
+
+const MAX_TEXT_ANSWER_LENGTH = 5000;
+
+let sweepTimer = null;
+let isSweeping = false;
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Answers sent up to the grace period after the deadline still count
+const isPastGrace = (attempt, now = new Date()) =>
+  Boolean(attempt.deadline) &&
+  now.getTime() >= attempt.deadline.getTime() + getAnswerGraceSeconds() * 1000;
+
+// Closes an open attempt and grades it. Only the first caller wins, so a
+// nurse's submit and the sweeper cannot both submit it.
+const closeAttempt = async (attempt, { auto = false } = {}) => {
+  const submitted = await ExamAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: "in-progress" },
+    {
+      $set: {
+        status: "submitted",
+        submittedAt: auto ? attempt.deadline : new Date(),
+        autoSubmitted: auto,
+      },
+    },
+    { new: true }
+  );
+
+  if (!submitted) return ExamAttempt.findById(attempt._id);
+
+  if (auto) {
+    console.log(`⏱️ Exam attempt ${attempt._id} submitted at its deadline`);
+  }
+
+  // A grading failure must not undo the submission; authors can regrade
+  try {
+    return (await gradeAttempt(submitted._id)) || submitted;
+  } catch (error) {
+    console.error(`❌ Grading exam attempt ${attempt._id} failed:`, error);
+    return submitted;
+  }
+};
+
+// Loads one of the nurse's own attempts, submitting it first when its time
+// has run out
+const loadOwnAttempt = async (attemptId, user) => {
+  const attempt = await ExamAttempt.findById(attemptId);
+  if (!attempt || attempt.nurse.toString() !== user._id.toString()) {
+    throw new AttemptError("Exam attempt not found", 404);
+  }
+
+  if (attempt.status === "in-progress" && isPastGrace(attempt)) {
+    return closeAttempt(attempt, { auto: true });
+  }
+  return attempt;
+};
+
+// Published exams with the nurse's attempt usage
+export const getAvailableExams = async (user) => {
+  const exams = await Exam.find({ status: "published" })
+    .select("title description settings questions publishedAt")
+    .sort({ publishedAt: -1 });
+
+  const attempts = await ExamAttempt.find({
+    nurse: user._id,
+    exam: { $in: exams.map((exam) => exam._id) },
+  }).select("exam status");
+
+  return exams.map((exam) => {
+    const own = attempts.filter(
+      (attempt) => attempt.exam.toString() === exam._id.toString()
+    );
+    const open = own.find((attempt) => attempt.status === "in-progress");
+
+    return {
+      id: exam._id,
+      title: exam.title,
+      description: exam.description,
+      questionCount: exam.questions.length,
+      timeLimit: exam.settings.timeLimit,
+      maxAttempts: exam.settings.maxAttempts,
+      attemptsUsed: own.length,
+      attemptsRemaining: Math.max(exam.settings.maxAttempts - own.length, 0),
+      openAttempt: open?._id || null,
+    };
+  });
+};
+
+// Starts an attempt, or returns the nurse's open one for the exam
+export const startAttempt = async (examId, user) => {
+  const exam = await Exam.findById(examId);
+  if (!exam || exam.status !== "published") {
+    throw new AttemptError("Exam not found or not published", 404);
+  }
+
+  const open = await ExamAttempt.findOne({
+    exam: exam._id,
+    nurse: user._id,
+    status: "in-progress",
+  });
+  if (open) {
+    const current = await loadOwnAttempt(open._id, user);
+    if (current.status === "in-progress") {
+      return { attempt: current, resumed: true };
+    }
+  }
+
+  const used = await ExamAttempt.countDocuments({
+    exam: exam._id,
+    nurse: user._id,
+  });
+  if (used >= exam.settings.maxAttempts) {
+    throw new AttemptError(
+      `Maximum number of attempts (${exam.settings.maxAttempts}) reached`,
+      409
+    );
+  }
+
+  const startedAt = new Date();
+  const { timeLimit, shuffleQuestions } = exam.settings;
+
+  try {
+    const attempt = await ExamAttempt.create({
+      exam: exam._id,
+      nurse: user._id,
+      attemptNumber: used + 1,
+      questions: shuffleQuestions ? shuffle(exam.questions) : exam.questions,
+      scoring: await snapshotScoring(exam, exam.questions),
+      startedAt,
+      deadline: timeLimit
+        ? new Date(startedAt.getTime() + timeLimit * 60 * 1000)
+        : null,
+    });
+    return { attempt, resumed: false };
+  } catch (error) {
+    // A parallel start request created the attempt first
+    if (error.code === 11000) {
+      throw new AttemptError("An attempt for this exam is already open", 409);
+    }
+    throw error;
+  }
+};
+
+// The result as the nurse may see it: nothing unless the exam shows
+// results, and the per-question breakdown only when it allows review
+const toCandidateResult = (result, settings) => {
+  if (!result || !settings?.showResults) return null;
+
+  const { breakdown, ...summary } = result.toObject();
+  return settings.allowReview ? { ...summary, breakdown } : summary;
+};
+
+// The attempt as the nurse sees it: questions in attempt order without
+// their answers, the saved answers and the time left. Once submitted,
+// answers are only shown when the exam allows review.
+export const getAttemptView = async (attemptId, user) => {
+  const attempt = await loadOwnAttempt(attemptId, user);
+  const exam = await Exam.findById(attempt.exam).select("title settings");
+  const inProgress = attempt.status === "in-progress";
+  const canReview = inProgress || Boolean(exam?.settings.allowReview);
+
+  const view = {
+    id: attempt._id,
+    exam: { id: attempt.exam, title: exam?.title },
+    attemptNumber: attempt.attemptNumber,
+    status: attempt.status,
+    startedAt: attempt.startedAt,
+    deadline: attempt.deadline,
+    remainingSeconds: attempt.remainingSeconds,
+    submittedAt: attempt.submittedAt,
+    autoSubmitted: attempt.autoSubmitted,
+    questionCount: attempt.questions.length,
+    answeredCount: attempt.answers.length,
+    result: toCandidateResult(attempt.result, exam?.settings),
+  };
+  if (!canReview) return view;
+
+  const questions = await Question.find({ _id: { $in: attempt.questions } });
+  const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+
+  return {
+    ...view,
+    questions: attempt.questions
+      .map((id) => byId.get(id.toString()))
+      .filter(Boolean)
+      .map(toCandidateQuestion),
+    answers: attempt.answers.map(
+      ({ question, subQuestion, answer, savedAt }) => ({
+        questionId: question,
+        subQuestionId: subQuestion,
+        answer,
+        savedAt,
+      })
+    ),
+  };
+};
+
+// Checks an answer against the question (or sub-question) type; null clears
+// the answer
+const validateAnswer = (question, answer) => {
+  if (answer === null) return null;
+
+  if (question.type === "multiple-choice") {
+    if (typeof answer !== "string" || !question.pilihan.includes(answer)) {
+      throw new AttemptError("Answer must be one of the question's options");
+    }
+    return answer;
+  }
+
+  if (question.type === "checkbox") {
+    if (
+      !Array.isArray(answer) ||
+      !answer.every((choice) => question.pilihan.includes(choice))
+    ) {
+      throw new AttemptError(
+        "Answers must be a list of the question's options"
+      );
+    }
+    return [...new Set(answer)];
+  }
+
+  if (typeof answer !== "string") {
+    throw new AttemptError("Answer must be text");
+  }
+  if (answer.length > MAX_TEXT_ANSWER_LENGTH) {
+    throw new AttemptError(
+      `Answer cannot exceed ${MAX_TEXT_ANSWER_LENGTH} characters`
+    );
+  }
+  return answer;
+};
+
+// Saves some or all answers of an open attempt; later saves replace
+// earlier answers to the same question. Case-study sub-questions are
+// answered one by one, named by subQuestionId.
+export const saveAnswers = async (attemptId, answers, user) => {
+  if (!Array.isArray(answers) || answers.length === 0) {
+    throw new AttemptError("answers must be a non-empty list");
+  }
+
+  const attempt = await loadOwnAttempt(attemptId, user);
+  if (attempt.status !== "in-progress") {
+    throw new AttemptError(
+      attempt.autoSubmitted
+        ? "Time is up; the attempt has been submitted"
+        : "Attempt has already been submitted",
+      409
+    );
+  }
+
+  const questionIds = attempt.questions.map(String);
+  const requested = answers.map((entry) => String(entry?.questionId));
+  if (!requested.every((id) => questionIds.includes(id))) {
+    throw new AttemptError("Answers must belong to questions of this attempt");
+  }
+
+  const questions = await Question.find({ _id: { $in: requested } });
+  const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+  const savedAt = new Date();
+  const saved = new Map(
+    attempt.answers.map((entry) => [
+      responseKey(entry.question, entry.subQuestion),
+      entry.toObject(),
+    ])
+  );
+
+  answers.forEach(({ questionId, subQuestionId, answer }) => {
+    const question = byId.get(String(questionId));
+    if (!question) throw new AttemptError("Question not found", 404);
+
+    const target = findAnswerableItem(question, subQuestionId);
+    if (!target) {
+      throw new AttemptError("Sub-question not found for this question");
+    }
+
+    const key = responseKey(question._id, target.subQuestion);
+    const value = validateAnswer(target.item, answer ?? null);
+    if (value === null) saved.delete(key);
+    else {
+      saved.set(key, {
+        question: question._id,
+        subQuestion: target.subQuestion,
+        answer: value,
+        savedAt,
+      });
+    }
+  });
+
+  // Written only while the attempt is still open, so a save racing the
+  // submission or the deadline sweeper cannot change a submitted attempt
+  const updated = [...saved.values()];
+  const { matchedCount } = await ExamAttempt.updateOne(
+    { _id: attempt._id, status: "in-progress" },
+    { $set: { answers: updated } }
+  );
+  if (matchedCount === 0) {
+    throw new AttemptError("Attempt has already been submitted", 409);
+  }
+
+  attempt.set("answers", updated);
+  return attempt;
+};
+
+export const submitAttempt = async (attemptId, user) => {
+  const attempt = await loadOwnAttempt(attemptId, user);
+  if (attempt.status !== "in-progress") {
+    throw new AttemptError(
+      attempt.autoSubmitted
+        ? "Time is up; the attempt has already been submitted"
+        : "Attempt has already been submitted",
+      409
+    );
+  }
+
+  return closeAttempt(attempt);
+};
+
+// Submits every open attempt whose time (and grace period) has run out
+export const submitExpiredAttempts = async (now = new Date()) => {
+  if (isSweeping) return 0;
+  isSweeping = true;
+
+  try {
+    const cutoff = new Date(now.getTime() - getAnswerGraceSeconds() * 1000);
+    const expired = await ExamAttempt.find({
+      status: "in-progress",
+      deadline: { $ne: null, $lte: cutoff },
+    }).select("_id deadline");
+
+    for (const attempt of expired) {
+      await closeAttempt(attempt, { auto: true });
+    }
+    return expired.length;
+  } finally {
+    isSweeping = false;
+  }
+};
+
+export const startAttemptSweeper = () => {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(() => {
+    submitExpiredAttempts().catch((error) =>
+      console.error("❌ Exam attempt sweep error:", error)
+    );
+  }, getAttemptSweepInterval());
+  console.log(
+    `⏱️ Exam attempt sweeper started (every ${getAttemptSweepInterval()}ms)`
+  );
+};
+
+export const stopAttemptSweeper = () => {
+  if (sweepTimer) clearInterval(sweepTimer);
+  sweepTimer = null;
+};
@@ -0,0 +1,370 @@
+import Exam from "../models/exam.js";
+import ExamAttempt from "../models/examAttempt.js";
+import Question from "../models/questions.js";
+import ResponseMark from "../models/responseMark.js";
+import { answerableItems, responseKey } from "./questionBank.js";
+
+// Types scored against jawabanBenar; answers to the others wait for a grader
+export const AUTO_GRADED_TYPES = ["multiple-choice", "checkbox"];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isBlank = (answer) =>
+  answer === undefined ||
+  answer === null ||
+  answer === "" ||
+  (Array.isArray(answer) && answer.length === 0);
+
+// Share of a checkbox question's points earned by a selection, from -1 to 1
+const checkboxCredit = (question, picked, mode) => {
+  const correct = new Set(question.jawabanBenar);
+  const selected = new Set(picked);
+  const rightPicks = [...selected].filter((choice) => correct.has(choice));
+  const wrongPicks = selected.size - rightPicks.length;
+
+  if (mode === "all-or-nothing") {
+    return rightPicks.length === correct.size && wrongPicks === 0 ? 1 : 0;
+  }
+
+  const credit = (rightPicks.length - wrongPicks) / correct.size;
+  return Math.max(credit, mode === "negative" ? -1 : 0);
+};
+
+const outcomeFor = (credit) => {
+  if (credit >= 1) return "correct";
+  if (credit > 0) return "partial";
+  return "incorrect";
+};
+
+const DEFAULT_SCORING = {
+  passingScore: 70,
+  checkboxScoring: "all-or-nothing",
+  doubleMarking: false,
+  markingTolerance: 10,
+};
+
+// The exam's scoring rules and the weight of every answerable item, stored
+// on an attempt when it starts
+export const snapshotScoring = async (exam, questionIds) => {
+  const settings = { ...DEFAULT_SCORING, ...exam.settings?.toObject() };
+  const questions = await Question.find({ _id: { $in: questionIds } });
+
+  return {
+    passingScore: settings.passingScore,
+    checkboxScoring: settings.checkboxScoring,
+    doubleMarking: settings.doubleMarking,
+    markingTolerance: settings.markingTolerance,
+    weights: questions
+      .flatMap((question) => answerableItems(question))
+      .map(({ question, subQuestion, item }) => ({
+        question: question._id,
+        subQuestion,
+        weight: item.bobot ?? 1,
+      })),
+  };
+};
+
+// Scores one answer to a question or case-study sub-question, out of the
+// question's current weight unless one is given. Answers that need a grader
+// come back ungraded with no points.
+export const gradeQuestion = (
+  question,
+  answer,
+  checkboxScoring,
+  weight = question.bobot ?? 1
+) => {
+  const grade = { type: question.type, weight };
+
+  if (isBlank(answer)) return { ...grade, points: 0, outcome: "unanswered" };
+
+  if (!AUTO_GRADED_TYPES.includes(question.type)) {
+    return { ...grade, points: null, outcome: "ungraded" };
+  }
+
+  const credit =
+    question.type === "checkbox"
+      ? checkboxCredit(question, answer, checkboxScoring)
+      : Number(answer === question.jawabanBenar);
+
+  return {
+    ...grade,
+    points: round(weight * credit),
+    outcome: outcomeFor(credit),
+  };
+};
+
+// Scores a manually graded answer from its marks: the single mark, the mean
+// of two marks within the exam's tolerance, or the resolving mark when two
+// marks disagree. Stays ungraded until enough marks are in.
+export const resolveManualGrade = (grade, marks, settings) => {
+  const ordered = [...marks].sort((a, b) => a.createdAt - b.createdAt);
+  const resolution = ordered.find((mark) => mark.kind === "resolution");
+  const required = settings.doubleMarking ? 2 : 1;
+  const regular = ordered
+    .filter((mark) => mark.kind === "mark")
+    .slice(0, required);
+
+  const disagreement =
+    regular.length === 2 &&
+    Math.abs(regular[0].points - regular[1].points) >
+      (grade.weight * settings.markingTolerance) / 100;
+
+  if (!resolution && (regular.length < required || disagreement)) {
+    return { ...grade, points: null, outcome: "ungraded", disagreement };
+  }
+
+  const final = resolution ? [resolution] : regular;
+
+  const points = round(
+    final.reduce((sum, mark) => sum + mark.points, 0) / final.length
+  );
+  const feedback = final
+    .map((mark) => mark.feedback)
+    .filter(Boolean)
+    .join("\n\n");
+
+  return {
+    ...grade,
+    points,
+    outcome: outcomeFor(grade.weight > 0 ? points / grade.weight : 0),
+    feedback: feedback || undefined,
+    disagreement,
+  };
+};
+
+// Totals a breakdown. The percentage and pass mark are only set once no
+// answer is waiting for a grader; a negative total counts as zero.
+export const summarizeGrades = (breakdown, passingScore) => {
+  const pending = breakdown.some((grade) => grade.outcome === "ungraded");
+  const maxScore = breakdown.reduce((sum, grade) => sum + grade.weight, 0);
+  const score = breakdown.reduce((sum, grade) => sum + (grade.points || 0), 0);
+
+  if (pending) {
+    return {
+      status: "pending",
+      score: round(score),
+      maxScore,
+      percentage: null,
+      passed: null,
+    };
+  }
+
+  const percentage =
+    maxScore > 0 ? round((Math.max(score, 0) / maxScore) * 100) : 0;
+
+  return {
+    status: "graded",
+    score: round(score),
+    maxScore,
+    percentage,
+    passed: percentage >= passingScore,
+  };
+};
+
+// Scores an attempt from its answers and the marks recorded so far, by the
+// scoring rules snapshotted when it started
+const computeResult = async (attempt) => {
+  let settings = attempt.scoring?.toObject();
+  if (!settings) {
+    const exam = await Exam.findById(attempt.exam).select("settings");
+    settings = { ...DEFAULT_SCORING, ...exam?.settings?.toObject() };
+  }
+  const { passingScore, checkboxScoring } = settings;
+  const weights = new Map(
+    (settings.weights || []).map((entry) => [
+      responseKey(entry.question, entry.subQuestion),
+      entry.weight,
+    ])
+  );
+
+  const questions = await Question.find({ _id: { $in: attempt.questions } });
+  const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+  const answers = new Map(
+    attempt.answers.map((entry) => [
+      responseKey(entry.question, entry.subQuestion),
+      entry.answer,
+    ])
+  );
+  const marks = await ResponseMark.find({ attempt: attempt._id });
+  const marksFor = (key) =>
+    marks.filter(
+      (mark) => responseKey(mark.question, mark.subQuestion) === key
+    );
+
+  const breakdown = attempt.questions
+    .map((id) => byId.get(id.toString()))
+    .filter(Boolean)
+    .flatMap((question) => answerableItems(question))
+    .map(({ question, subQuestion, item }) => {
+      const key = responseKey(question._id, subQuestion);
+      const grade = {
+        question: question._id,
+        subQuestion,
+        ...gradeQuestion(
+          item,
+          answers.get(key),
+          checkboxScoring,
+          weights.get(key) ?? item.bobot ?? 1
+        ),
+      };
+      return grade.outcome === "ungraded"
+        ? resolveManualGrade(grade, marksFor(key), settings)
+        : grade;
+    });
+
+  return {
+    ...summarizeGrades(breakdown, passingScore),
+    passingScore,
+    checkboxScoring,
+    breakdown,
+  };
+};
+
+// Times a grading may lose the race to a parallel one before giving up
+const MAX_GRADING_ATTEMPTS = 5;
+
+// Grades a submitted attempt against the current answer keys and graders'
+// marks, and stores the result with a per-question breakdown. Running it
+// again regrades, e.g. after an answer key was corrected or a mark came in.
+// The result is only written if no other grading stored one in the
+// meantime; otherwise the attempt is graded again with the newer marks.
+export const gradeAttempt = async (attemptId) => {
+  for (let i = 0; i < MAX_GRADING_ATTEMPTS; i++) {
+    const attempt = await ExamAttempt.findById(attemptId);
+    if (!attempt || attempt.status !== "submitted") return null;
+
+    const previous = attempt.result?.gradedAt || null;
+    const result = await computeResult(attempt);
+
+    // Strictly later than the stored result, so the guard below can tell
+    // two gradings apart even within the same millisecond
+    result.gradedAt = new Date(
+      Math.max(Date.now(), (previous?.getTime() ?? 0) + 1)
+    );
+
+    const { matchedCount } = await ExamAttempt.updateOne(
+      { _id: attempt._id, status: "submitted", "result.gradedAt": previous },
+      { $set: { result } }
+    );
+    if (matchedCount === 1) {
+      attempt.set("result", result);
+      return attempt;
+    }
+  }
+
+  throw new Error(`Could not store the grading of attempt ${attemptId}`);
+};
+
+// Regrades every submitted attempt at an exam
+export const regradeExam = async (examId) => {
+  const attempts = await ExamAttempt.find({
+    exam: examId,
+    status: "submitted",
+  }).select("_id");
+
+  for (const attempt of attempts) {
+    await gradeAttempt(attempt._id);
+  }
+  return attempts.length;
+};
+
+// Share of the points earned across graded answers, from 0 to 1
+const facilityOf = (grades) => {
+  const scored = grades.filter((grade) => grade.weight > 0);
+  if (scored.length === 0) return null;
+
+  const shares = scored.map(
+    (grade) => Math.max(grade.points, 0) / grade.weight
+  );
+  return round(shares.reduce((sum, share) => sum + share, 0) / scored.length);
+};
+
+// Share of attempts at each end of the score range compared for
+// discrimination
+const DISCRIMINATION_GROUP = 0.27;
+
+// Item analysis of an exam's fully graded attempts, per question and per
+// case-study sub-question: its facility, its discrimination (facility among
+// the best attempts minus the weakest) and how often each option was picked
+export const getItemStatistics = async (examId) => {
+  const exam = await Exam.findById(examId).select("title questions");
+  if (!exam) return null;
+
+  const attempts = await ExamAttempt.find({
+    exam: exam._id,
+    status: "submitted",
+    "result.status": "graded",
+  })
+    .select("answers result")
+    .sort({ "result.percentage": -1 });
+
+  const groupSize = Math.floor(attempts.length * DISCRIMINATION_GROUP);
+  const upper = attempts.slice(0, groupSize);
+  const lower = groupSize > 0 ? attempts.slice(-groupSize) : [];
+
+  const gradeOf = (attempt, key) =>
+    attempt.result.breakdown.find(
+      (grade) => responseKey(grade.question, grade.subQuestion) === key
+    );
+  const answerOf = (attempt, key) =>
+    attempt.answers.find(
+      (entry) => responseKey(entry.question, entry.subQuestion) === key
+    )?.answer;
+
+  const questions = await Question.find({ _id: { $in: exam.questions } });
+  const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+
+  const items = exam.questions
+    .map((id) => byId.get(id.toString()))
+    .filter(Boolean)
+    .flatMap((question) => answerableItems(question))
+    .map(({ question, subQuestion, item }) => {
+      const key = responseKey(question._id, subQuestion);
+      const gradesIn = (group) =>
+        group.map((attempt) => gradeOf(attempt, key)).filter(Boolean);
+      const grades = gradesIn(attempts);
+
+      const upperFacility = facilityOf(gradesIn(upper));
+      const lowerFacility = facilityOf(gradesIn(lower));
+
+      const outcomes = Object.fromEntries(
+        ["correct", "partial", "incorrect", "unanswered"].map((outcome) => [
+          outcome,
+          grades.filter((grade) => grade.outcome === outcome).length,
+        ])
+      );
+
+      const picks = attempts
+        .map((attempt) => answerOf(attempt, key))
+        .filter((answer) => answer !== undefined && answer !== null)
+        .flatMap((answer) => (Array.isArray(answer) ? answer : [answer]));
+      const answerKey = [].concat(item.jawabanBenar ?? []);
+
+      return {
+        questionId: question._id,
+        subQuestionId: subQuestion,
+        pertanyaan: item.pertanyaan,
+        type: item.type,
+        responses: grades.length,
+        outcomes,
+        facility: facilityOf(grades),
+        discrimination:
+          upperFacility === null || lowerFacility === null
+            ? null
+            : round(upperFacility - lowerFacility),
+        options: AUTO_GRADED_TYPES.includes(item.type)
+          ? item.pilihan.map((option) => ({
+              option,
+              correct: answerKey.includes(option),
+              picked: picks.filter((pick) => pick === option).length,
+            }))
+          : null,
+      };
+    });
+
+  return {
+    exam: { id: exam._id, title: exam.title },
+    attemptCount: attempts.length,
+    items,
+  };
+};
@@ -0,0 +1,85 @@
+import Credential, { EXPIRY_MANAGED_STATUSES } from "../models/credential.js";
+import {
+  getExpiryWindows,
+  getExpiryCheckHour,
+  isExpirySchedulerEnabled,
+} from "../config/expiry.js";
+import { createDailyJob } from "./dailyJob.js";
+
+let isRunning = false;
+
+// Re-evaluates every expiry-managed credential and records status changes
+export const runExpiryCheck = async (now = new Date()) => {
+  if (isRunning) {
+    console.log("⏳ Expiry check already running, skipping");
+    return null;
+  }
+
+  isRunning = true;
+  const windows = getExpiryWindows();
+  const summary = {
+    checked: 0,
+    transitioned: 0,
+    transitions: [],
+    startedAt: now,
+  };
+
+  try {
+    const cursor = Credential.find({
+      status: { $in: EXPIRY_MANAGED_STATUSES },
+    }).cursor();
+
+    for await (const credential of cursor) {
+      summary.checked++;
+      const previousStatus = credential.status;
+
+      try {
+        const changed = credential.refreshExpiryStatus(now, { windows });
+        await credential.save();
+
+        if (changed) {
+          summary.transitioned++;
+          summary.transitions.push({
+            credentialId: credential._id,
+            from: previousStatus,
+            to: credential.status,
+            window: credential.expiryWindow,
+          });
+        }
+      } catch (error) {
+        console.error(
+          `❌ Expiry check failed for credential ${credential._id}:`,
+          error.message
+        );
+      }
+    }
+
+    summary.finishedAt = new Date();
+    console.log(
+      `✅ Expiry check: ${summary.checked} checked, ${summary.transitioned} transitioned`
+    );
+    return summary;
+  } finally {
+    isRunning = false;
+  }
+};
+
+const expiryJob = createDailyJob({
+  name: "expiry check",
+  run: () => runExpiryCheck(),
+  getHour: getExpiryCheckHour,
+  isEnabled: isExpirySchedulerEnabled,
+});
+
+// Runs a catch-up check immediately, then once a day at the configured hour
+export const startExpiryScheduler = () => {
+  if (!expiryJob.start()) return;
+
+  console.log(
+    `⏰ Expiry scheduler started (daily at ${getExpiryCheckHour()}:00, windows: ${getExpiryWindows().join(
+      "/"
+    )} days)`
+  );
+};
+
+export const stopExpiryScheduler = () => expiryJob.stop();
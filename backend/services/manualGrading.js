@@ -0,0 +1,259 @@
+import Exam from "../models/exam.js";
+import ExamAttempt from "../models/examAttempt.js";
+import Question from "../models/questions.js";
+import ResponseMark from "../models/responseMark.js";
+import {
+  findAnswerableItem,
+  formatQuestion,
+  responseKey,
+} from "./questionBank.js";
+import { gradeAttempt } from "./examGrading.js";
+
+export class GradingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "GradingError";
+    this.status = status;
+  }
+}
+
+// Mitra bestari mark responses; admins may step in
+export const GRADER_ROLES = ["admin", "mitra"];
+
+export const GRADING_STAGES = ["mark", "resolution"];
+
+const MAX_QUEUE_SIZE = 100;
+const CANDIDATE_FIELDS = "username fullName npk unit";
+
+const sameId = (a, b) =>
+  Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// The stage a response is at for a grader: "mark", "resolution" when two
+// marks disagree, or null when the grader has nothing to do with it
+const stageFor = (grade, marks, grader) => {
+  if (grade.outcome !== "ungraded") return null;
+  if (marks.some((mark) => sameId(mark.grader, grader))) return null;
+  return grade.disagreement ? "resolution" : "mark";
+};
+
+const toMarkView = (mark) => ({
+  id: mark._id,
+  grader: mark.grader,
+  kind: mark.kind,
+  criteria: mark.criteria,
+  points: mark.points,
+  feedback: mark.feedback,
+  markedAt: mark.createdAt,
+});
+
+// Responses waiting for the grader, oldest submission first. Graders never
+// see their own attempts or responses they already marked, and only see
+// earlier marks when settling a disagreement. The nurse stays anonymous
+// unless the exam turns anonymous marking off.
+export const getGradingQueue = async (grader, { examId, stage } = {}) => {
+  const query = { status: "submitted", "result.status": "pending" };
+  if (examId) query.exam = examId;
+
+  const attempts = await ExamAttempt.find(query)
+    .populate("nurse", CANDIDATE_FIELDS)
+    .sort({ submittedAt: 1 });
+  const open = attempts.filter((attempt) => !sameId(attempt.nurse, grader));
+
+  const [exams, marks] = await Promise.all([
+    Exam.find({ _id: { $in: open.map((attempt) => attempt.exam) } }).select(
+      "title settings"
+    ),
+    ResponseMark.find({ attempt: { $in: open.map((a) => a._id) } }).populate(
+      "grader",
+      "username fullName"
+    ),
+  ]);
+  const examsById = new Map(exams.map((exam) => [exam._id.toString(), exam]));
+
+  const items = [];
+  open.forEach((attempt) => {
+    const exam = examsById.get(attempt.exam.toString());
+    const answers = new Map(
+      attempt.answers.map((entry) => [
+        responseKey(entry.question, entry.subQuestion),
+        entry.answer,
+      ])
+    );
+
+    attempt.result.breakdown.forEach((grade) => {
+      const key = responseKey(grade.question, grade.subQuestion);
+      const responseMarks = marks.filter(
+        (mark) =>
+          sameId(mark.attempt, attempt) &&
+          responseKey(mark.question, mark.subQuestion) === key
+      );
+      const itemStage = stageFor(grade, responseMarks, grader);
+      if (!itemStage || (stage && stage !== itemStage)) return;
+
+      items.push({
+        attemptId: attempt._id,
+        exam: { id: attempt.exam, title: exam?.title },
+        questionId: grade.question,
+        subQuestionId: grade.subQuestion,
+        weight: grade.weight,
+        answer: answers.get(key),
+        stage: itemStage,
+        submittedAt: attempt.submittedAt,
+        candidate:
+          exam?.settings.anonymousMarking === false ? attempt.nurse : null,
+        previousMarks:
+          itemStage === "resolution" ? responseMarks.map(toMarkView) : [],
+      });
+    });
+  });
+
+  const queued = items.slice(0, MAX_QUEUE_SIZE);
+  const questions = await Question.find({
+    _id: { $in: queued.map((item) => item.questionId) },
+  });
+  const questionsById = new Map(
+    questions.map((question) => [question._id.toString(), question])
+  );
+
+  return {
+    total: items.length,
+    items: queued.map(({ questionId, ...item }) => {
+      const question = questionsById.get(questionId.toString());
+      return { ...item, question: question ? formatQuestion(question) : null };
+    }),
+  };
+};
+
+// Points for a response from per-criterion scores when the question has a
+// rubric, or given directly out of the question's weight otherwise
+const scoreResponse = (question, weight, { criteria, points }) => {
+  const rubric = question.rubrik || [];
+
+  if (rubric.length === 0) {
+    const value = Number(points);
+    if (points === undefined || Number.isNaN(value)) {
+      throw new GradingError("Points are required");
+    }
+    if (value < 0 || value > weight) {
+      throw new GradingError(`Points must be between 0 and ${weight}`);
+    }
+    return { criteria: [], points: round(value) };
+  }
+
+  if (!Array.isArray(criteria) || criteria.length !== rubric.length) {
+    throw new GradingError("Every rubric criterion must be scored once");
+  }
+
+  const scores = rubric.map((criterion) => {
+    const entry = criteria.find(
+      (score) => String(score?.criterionId) === criterion._id.toString()
+    );
+    const value = Number(entry?.points);
+
+    if (!entry || Number.isNaN(value)) {
+      throw new GradingError(`"${criterion.kriteria}" must be scored`);
+    }
+    if (value < 0 || value > criterion.poin) {
+      throw new GradingError(
+        `"${criterion.kriteria}" must be scored between 0 and ${criterion.poin}`
+      );
+    }
+    return { criterion: criterion._id, points: value };
+  });
+
+  const maxPoints = rubric.reduce((sum, criterion) => sum + criterion.poin, 0);
+  const earned = scores.reduce((sum, score) => sum + score.points, 0);
+
+  return {
+    criteria: scores,
+    points: maxPoints > 0 ? round((earned / maxPoints) * weight) : 0,
+  };
+};
+
+// Records a grader's mark for one response, a case-study sub-question's when
+// body.subQuestionId is given, and regrades the attempt, which finalises its
+// result once no response is left ungraded
+export const submitMark = async (attemptId, questionId, body = {}, grader) => {
+  const attempt = await ExamAttempt.findById(attemptId);
+  if (!attempt || attempt.status !== "submitted") {
+    throw new GradingError("Submitted attempt not found", 404);
+  }
+  if (sameId(attempt.nurse, grader)) {
+    throw new GradingError("You cannot grade your own attempt", 403);
+  }
+
+  const key = responseKey(questionId, body.subQuestionId);
+  const grade = attempt.result?.breakdown.find(
+    (entry) => responseKey(entry.question, entry.subQuestion) === key
+  );
+  if (!grade) throw new GradingError("Response not found", 404);
+  if (grade.outcome !== "ungraded") {
+    throw new GradingError("Response has already been graded", 409);
+  }
+
+  const [question, marks] = await Promise.all([
+    Question.findById(grade.question),
+    ResponseMark.find({
+      attempt: attempt._id,
+      question: grade.question,
+      subQuestion: grade.subQuestion,
+    }),
+  ]);
+  const target = question && findAnswerableItem(question, grade.subQuestion);
+  if (!target) throw new GradingError("Question not found", 404);
+
+  if (marks.some((mark) => sameId(mark.grader, grader))) {
+    throw new GradingError("You have already marked this response", 409);
+  }
+
+  const feedback = body.feedback;
+  if (feedback !== undefined && typeof feedback !== "string") {
+    throw new GradingError("Feedback must be text");
+  }
+
+  try {
+    const mark = await ResponseMark.create({
+      attempt: attempt._id,
+      exam: attempt.exam,
+      question: question._id,
+      subQuestion: grade.subQuestion,
+      grader: grader._id,
+      kind: grade.disagreement ? "resolution" : "mark",
+      ...scoreResponse(target.item, grade.weight, body),
+      feedback,
+    });
+
+    const graded = await gradeAttempt(attempt._id);
+    return {
+      mark,
+      grade: graded.result.breakdown.find(
+        (entry) => responseKey(entry.question, entry.subQuestion) === key
+      ),
+      result: graded.result.status,
+    };
+  } catch (error) {
+    // A parallel request from the same grader saved its mark first
+    if (error.code === 11000) {
+      throw new GradingError("You have already marked this response", 409);
+    }
+    throw error;
+  }
+};
+
+// Every mark on an attempt, for moderating graders
+export const getAttemptMarks = async (attemptId) => {
+  const attempt = await ExamAttempt.findById(attemptId).select("_id");
+  if (!attempt) throw new GradingError("Exam attempt not found", 404);
+
+  const marks = await ResponseMark.find({ attempt: attempt._id })
+    .populate("grader", "username fullName")
+    .sort({ createdAt: 1 });
+
+  return marks.map((mark) => ({
+    ...toMarkView(mark),
+    questionId: mark.question,
+    subQuestionId: mark.subQuestion,
+  }));
+};
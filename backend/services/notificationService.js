@@ -0,0 +1,212 @@
+import Notification from "../models/notification.js";
+import User from "../models/user.js";
+import credentialEvents from "./credentialEvents.js";
+import { renderTemplate } from "./notificationTemplates.js";
+import { getTransport } from "./notificationTransports.js";
+import {
+  getNotificationChannels,
+  getOutboxInterval,
+  getMaxAttempts,
+  getSendingLease,
+} from "../config/notifications.js";
+
+const OUTBOX_BATCH_SIZE = 50;
+
+let outboxTimer = null;
+let isProcessing = false;
+
+// Queues one outbox entry per recipient and channel
+export const queueNotification = async ({
+  recipients,
+  template,
+  context = {},
+  credential = null,
+  channels = getNotificationChannels(),
+}) => {
+  const entries = [];
+
+  recipients.forEach((recipient) => {
+    const locale = recipient.language || "id";
+    const { subject, body } = renderTemplate(template, locale, {
+      ...context,
+      recipientName: recipient.fullName || recipient.username,
+      isOwner:
+        context.ownerId !== undefined &&
+        recipient._id.toString() === context.ownerId?.toString(),
+    });
+
+    channels.forEach((channel) => {
+      entries.push({
+        recipient: recipient._id,
+        channel,
+        template,
+        locale,
+        subject,
+        body,
+        to: channel === "email" ? recipient.email : undefined,
+        credential,
+        context,
+        maxAttempts: getMaxAttempts(),
+      });
+    });
+  });
+
+  if (entries.length === 0) return [];
+  return Notification.insertMany(entries);
+};
+
+// Nurse, the kepala unit of the nurse's unit and all admins
+export const findCredentialRecipients = async (ownerId) => {
+  const owner = ownerId ? await User.findById(ownerId) : null;
+
+  const supervisors = await User.find({
+    isActive: true,
+    $or: [
+      { role: "admin" },
+      ...(owner?.unit ? [{ role: "kepala-unit", unit: owner.unit }] : []),
+    ],
+  });
+
+  const recipients = owner?.isActive ? [owner, ...supervisors] : supervisors;
+  return recipients.filter(
+    (user, i, arr) =>
+      arr.findIndex((u) => u._id.toString() === user._id.toString()) === i
+  );
+};
+
+const credentialContext = (credential) => ({
+  ownerId: credential.userId?._id || credential.userId,
+  nurseId: credential.nurseId,
+  nurseName: credential.nurseName,
+  licenseType: credential.licenseType,
+  licenseNumber: credential.licenseNumber,
+  expiryDate: credential.expiryDate,
+  daysLeft: credential.daysUntilExpiry,
+  window: credential.expiryWindow,
+});
+
+const REMINDER_TEMPLATES = {
+  "expiring-soon": "credential.expiring-soon",
+  expired: "credential.expired",
+};
+
+export const notifyCredentialStatus = async ({ credential, to }) => {
+  const template = REMINDER_TEMPLATES[to];
+  if (!template) return [];
+
+  const recipients = await findCredentialRecipients(
+    credential.userId?._id || credential.userId
+  );
+
+  return queueNotification({
+    recipients,
+    template,
+    context: credentialContext(credential),
+    credential: credential._id,
+  });
+};
+
+const deliver = async (notification) => {
+  const transport = getTransport(notification.channel);
+
+  try {
+    if (!transport) {
+      throw new Error(`No transport for channel ${notification.channel}`);
+    }
+    await transport.send(notification);
+    await notification.markSent();
+    return true;
+  } catch (error) {
+    console.error(
+      `❌ Notification ${notification._id} (${notification.channel}) failed:`,
+      error.message
+    );
+    await notification.markFailed(error);
+    return false;
+  }
+};
+
+// Returns entries whose worker stopped mid-delivery to the retry schedule.
+// An entry counts as abandoned once it has been "sending" for longer than
+// the lease.
+const reclaimStaleEntries = async (now) => {
+  const staleBefore = new Date(now.getTime() - getSendingLease());
+  const stale = await Notification.find({
+    status: "sending",
+    claimedAt: { $not: { $gt: staleBefore } },
+  }).limit(OUTBOX_BATCH_SIZE);
+
+  for (const notification of stale) {
+    await notification.markFailed(
+      new Error("Delivery did not finish within the sending lease")
+    );
+  }
+  return stale.length;
+};
+
+// Delivers due outbox entries, claiming each one before sending
+export const processOutbox = async (now = new Date()) => {
+  if (isProcessing) return null;
+  isProcessing = true;
+
+  const summary = { sent: 0, failed: 0, reclaimed: 0 };
+
+  try {
+    summary.reclaimed = await reclaimStaleEntries(now);
+
+    for (let i = 0; i < OUTBOX_BATCH_SIZE; i++) {
+      const notification = await Notification.findOneAndUpdate(
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        {
+          $set: { status: "sending", claimedAt: new Date() },
+          $inc: { attempts: 1 },
+        },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!notification) break;
+
+      const delivered = await deliver(notification);
+      delivered ? summary.sent++ : summary.failed++;
+    }
+
+    return summary;
+  } finally {
+    isProcessing = false;
+  }
+};
+
+export const retryNotification = async (notification) => {
+  notification.status = "pending";
+  notification.nextAttemptAt = new Date();
+  notification.maxAttempts = Math.max(
+    notification.maxAttempts,
+    notification.attempts + 1
+  );
+  return notification.save();
+};
+
+export const registerCredentialNotifications = () => {
+  credentialEvents.on("status-changed", (event) => {
+    notifyCredentialStatus(event).catch((error) =>
+      console.error("❌ Failed to queue credential notification:", error)
+    );
+  });
+};
+
+export const startOutboxWorker = () => {
+  if (outboxTimer) return;
+
+  outboxTimer = setInterval(() => {
+    processOutbox().catch((error) =>
+      console.error("❌ Outbox processing error:", error)
+    );
+  }, getOutboxInterval());
+  console.log(
+    `📬 Notification outbox worker started (every ${getOutboxInterval()}ms)`
+  );
+};
+
+export const stopOutboxWorker = () => {
+  if (outboxTimer) clearInterval(outboxTimer);
+  outboxTimer = null;
+};
@@ -0,0 +1,276 @@
+// Message templates keyed by name and locale. Each template receives a
+// context object and returns { subject, body }.
+
+const formatDate = (date, locale) => {
+  if (!date) return "-";
+  return new Date(date).toLocaleDateString(
+    locale === "en" ? "en-GB" : "id-ID",
+    { day: "numeric", month: "long", year: "numeric" }
+  );
+};
+
+const templates = {
+  "credential.expiring-soon": {
+    id: (ctx) => ({
+      subject: `Pengingat: ${ctx.licenseType} ${ctx.nurseName} berakhir dalam ${ctx.daysLeft} hari`,
+      body: [
+        `Yth. ${ctx.recipientName},`,
+        "",
+        ctx.isOwner
+          ? `${ctx.licenseType} Anda dengan nomor ${ctx.licenseNumber} akan berakhir pada ${formatDate(ctx.expiryDate, "id")} (${ctx.daysLeft} hari lagi).`
+          : `${ctx.licenseType} atas nama ${ctx.nurseName} (${ctx.nurseId}) dengan nomor ${ctx.licenseNumber} akan berakhir pada ${formatDate(ctx.expiryDate, "id")} (${ctx.daysLeft} hari lagi).`,
+        ctx.isOwner
+          ? "Mohon segera lakukan perpanjangan dan unggah dokumen terbaru."
+          : "Mohon pastikan proses perpanjangan segera dilakukan.",
+        "",
+        "Sistem Kredensial Perawat",
+      ].join("\n"),
+    }),
+    en: (ctx) => ({
+      subject: `Reminder: ${ctx.nurseName}'s ${ctx.licenseType} expires in ${ctx.daysLeft} days`,
+      body: [
+        `Dear ${ctx.recipientName},`,
+        "",
+        ctx.isOwner
+          ? `Your ${ctx.licenseType} number ${ctx.licenseNumber} expires on ${formatDate(ctx.expiryDate, "en")} (${ctx.daysLeft} days from now).`
+          : `The ${ctx.licenseType} of ${ctx.nurseName} (${ctx.nurseId}), number ${ctx.licenseNumber}, expires on ${formatDate(ctx.expiryDate, "en")} (${ctx.daysLeft} days from now).`,
+        ctx.isOwner
+          ? "Please renew it and upload the new document as soon as possible."
+          : "Please make sure the renewal is started promptly.",
+        "",
+        "Nurse Credentialing System",
+      ].join("\n"),
+    }),
+  },
+
+  "credential.expired": {
+    id: (ctx) => ({
+      subject: `${ctx.licenseType} ${ctx.nurseName} telah berakhir`,
+      body: [
+        `Yth. ${ctx.recipientName},`,
+        "",
+        ctx.isOwner
+          ? `${ctx.licenseType} Anda dengan nomor ${ctx.licenseNumber} telah berakhir pada ${formatDate(ctx.expiryDate, "id")}.`
+          : `${ctx.licenseType} atas nama ${ctx.nurseName} (${ctx.nurseId}) dengan nomor ${ctx.licenseNumber} telah berakhir pada ${formatDate(ctx.expiryDate, "id")}.`,
+        "Perawat tidak diperkenankan berpraktik sampai dokumen diperbarui.",
+        "",
+        "Sistem Kredensial Perawat",
+      ].join("\n"),
+    }),
+    en: (ctx) => ({
+      subject: `${ctx.nurseName}'s ${ctx.licenseType} has expired`,
+      body: [
+        `Dear ${ctx.recipientName},`,
+        "",
+        ctx.isOwner
+          ? `Your ${ctx.licenseType} number ${ctx.licenseNumber} expired on ${formatDate(ctx.expiryDate, "en")}.`
+          : `The ${ctx.licenseType} of ${ctx.nurseName} (${ctx.nurseId}), number ${ctx.licenseNumber}, expired on ${formatDate(ctx.expiryDate, "en")}.`,
+        "The nurse may not practise until the document has been renewed.",
+        "",
+        "Nurse Credentialing System",
+      ].join("\n"),
+    }),
+  },
+
+  "credential.suspended": {
+    id: (ctx) => ({
+      subject: `${ctx.licenseType} ${ctx.nurseName} dibekukan`,
+      body: [
+        `Yth. ${ctx.recipientName},`,
+        "",
+        ctx.isOwner
+          ? `${ctx.licenseType} Anda dengan nomor ${ctx.licenseNumber} dibekukan.`
+          : `${ctx.licenseType} atas nama ${ctx.nurseName} (${ctx.nurseId}) dengan nomor ${ctx.licenseNumber} dibekukan.`,
+        `Kategori: ${ctx.reasonCategory}`,
+        `Alasan: ${ctx.reason}`,
+        `${ctx.privilegeCount} kewenangan klinis turut dibekukan.`,
+        ctx.reviewDate
+          ? `Keputusan akan ditinjau kembali pada ${formatDate(ctx.reviewDate, "id")}.`
+          : "",
+        "",
+        "Sistem Kredensial Perawat",
+      ].join("\n"),
+    }),
+    en: (ctx) => ({
+      subject: `${ctx.nurseName}'s ${ctx.licenseType} has been suspended`,
+      body: [
+        `Dear ${ctx.recipientName},`,
+        "",
+        ctx.isOwner
+          ? `Your ${ctx.licenseType} number ${ctx.licenseNumber} has been suspended.`
+          : `The ${ctx.licenseType} of ${ctx.nurseName} (${ctx.nurseId}), number ${ctx.licenseNumber}, has been suspended.`,
+        `Category: ${ctx.reasonCategory}`,
+        `Reason: ${ctx.reason}`,
+        `${ctx.privilegeCount} clinical privileges were suspended with it.`,
+        ctx.reviewDate
+          ? `The decision will be reviewed on ${formatDate(ctx.reviewDate, "en")}.`
+          : "",
+        "",
+        "Nurse Credentialing System",
+      ].join("\n"),
+    }),
+  },
+
+  "credential.reinstated": {
+    id: (ctx) => ({
+      subject: `${ctx.licenseType} ${ctx.nurseName} diberlakukan kembali`,
+      body: [
+        `Yth. ${ctx.recipientName},`,
+        "",
+        ctx.isOwner
+          ? `Pembekuan ${ctx.licenseType} Anda dengan nomor ${ctx.licenseNumber} telah dicabut.`
+          : `Pembekuan ${ctx.licenseType} atas nama ${ctx.nurseName} (${ctx.nurseId}) dengan nomor ${ctx.licenseNumber} telah dicabut.`,
+        `Keputusan: ${ctx.decision}`,
+        `${ctx.privilegeCount} kewenangan klinis diberlakukan kembali.`,
+        "",
+        "Sistem Kredensial Perawat",
+      ].join("\n"),
+    }),
+    en: (ctx) => ({
+      subject: `${ctx.nurseName}'s ${ctx.licenseType} has been reinstated`,
+      body: [
+        `Dear ${ctx.recipientName},`,
+        "",
+        ctx.isOwner
+          ? `The suspension of your ${ctx.licenseType} number ${ctx.licenseNumber} has been lifted.`
+          : `The suspension of the ${ctx.licenseType} of ${ctx.nurseName} (${ctx.nurseId}), number ${ctx.licenseNumber}, has been lifted.`,
+        `Decision: ${ctx.decision}`,
+        `${ctx.privilegeCount} clinical privileges were restored.`,
+        "",
+        "Nurse Credentialing System",
+      ].join("\n"),
+    }),
+  },
+
+  "credential.renewed": {
+    id: (ctx) => ({
+      subject: `${ctx.licenseType} ${ctx.nurseName} telah diperpanjang`,
+      body: [
+        `Yth. ${ctx.recipientName},`,
+        "",
+        ctx.isOwner
+          ? `Permohonan perpanjangan ${ctx.licenseType} Anda telah disetujui.`
+          : `Perpanjangan ${ctx.licenseType} atas nama ${ctx.nurseName} (${ctx.nurseId}) telah disetujui.`,
+        `Nomor baru: ${ctx.licenseNumber} (sebelumnya ${ctx.previousLicenseNumber})`,
+        `Berlaku hingga: ${formatDate(ctx.expiryDate, "id")}`,
+        "",
+        "Sistem Kredensial Perawat",
+      ].join("\n"),
+    }),
+    en: (ctx) => ({
+      subject: `${ctx.nurseName}'s ${ctx.licenseType} has been renewed`,
+      body: [
+        `Dear ${ctx.recipientName},`,
+        "",
+        ctx.isOwner
+          ? `Your ${ctx.licenseType} renewal request has been approved.`
+          : `The ${ctx.licenseType} renewal of ${ctx.nurseName} (${ctx.nurseId}) has been approved.`,
+        `New number: ${ctx.licenseNumber} (previously ${ctx.previousLicenseNumber})`,
+        `Valid until: ${formatDate(ctx.expiryDate, "en")}`,
+        "",
+        "Nurse Credentialing System",
+      ].join("\n"),
+    }),
+  },
+
+  "renewal.rejected": {
+    id: (ctx) => ({
+      subject: `Permohonan perpanjangan ${ctx.licenseType} ditolak`,
+      body: [
+        `Yth. ${ctx.recipientName},`,
+        "",
+        `Permohonan perpanjangan ${ctx.licenseType} Anda dengan nomor ${ctx.licenseNumber} ditolak.`,
+        `Catatan: ${ctx.note}`,
+        "Mohon perbaiki data atau dokumen lalu ajukan kembali.",
+        "",
+        "Sistem Kredensial Perawat",
+      ].join("\n"),
+    }),
+    en: (ctx) => ({
+      subject: `${ctx.licenseType} renewal request rejected`,
+      body: [
+        `Dear ${ctx.recipientName},`,
+        "",
+        `Your renewal request for ${ctx.licenseType} number ${ctx.licenseNumber} was rejected.`,
+        `Note: ${ctx.note}`,
+        "Please correct the details or documents and submit it again.",
+        "",
+        "Nurse Credentialing System",
+      ].join("\n"),
+    }),
+  },
+
+  "review.assigned": {
+    id: (ctx) => ({
+      subject: "Penugasan telaah kredensial baru",
+      body: [
+        `Yth. ${ctx.recipientName},`,
+        "",
+        "Anda ditugaskan sebagai mitra bestari untuk menelaah sebuah pengajuan kredensial.",
+        `Mohon terima atau tolak penugasan ini dan selesaikan telaah paling lambat ${formatDate(ctx.dueDate, "id")}.`,
+        "",
+        "Sistem Kredensial Perawat",
+      ].join("\n"),
+    }),
+    en: (ctx) => ({
+      subject: "New credentialing review assignment",
+      body: [
+        `Dear ${ctx.recipientName},`,
+        "",
+        "You have been assigned as peer reviewer for a credentialing application.",
+        `Please accept or decline the assignment and complete the review by ${formatDate(ctx.dueDate, "en")}.`,
+        "",
+        "Nurse Credentialing System",
+      ].join("\n"),
+    }),
+  },
+
+  "skp.shortfall": {
+    id: (ctx) => ({
+      subject: `SKP ${ctx.nurseName} kurang ${ctx.shortfall} untuk perpanjangan ${ctx.licenseType}`,
+      body: [
+        `Yth. ${ctx.recipientName},`,
+        "",
+        ctx.isOwner
+          ? `${ctx.licenseType} Anda dengan nomor ${ctx.licenseNumber} berakhir pada ${formatDate(ctx.expiryDate, "id")} (${ctx.daysLeft} hari lagi).`
+          : `${ctx.licenseType} atas nama ${ctx.nurseName} (${ctx.nurseId}) dengan nomor ${ctx.licenseNumber} berakhir pada ${formatDate(ctx.expiryDate, "id")} (${ctx.daysLeft} hari lagi).`,
+        `SKP yang telah disetujui: ${ctx.earned} dari ${ctx.required} yang dipersyaratkan (kurang ${ctx.shortfall}).`,
+        ctx.isOwner
+          ? "Mohon lengkapi dan ajukan kegiatan SKP sebelum masa berlaku berakhir."
+          : "Mohon pastikan kegiatan SKP segera dilengkapi dan ditinjau.",
+        "",
+        "Sistem Kredensial Perawat",
+      ].join("\n"),
+    }),
+    en: (ctx) => ({
+      subject: `${ctx.nurseName} is ${ctx.shortfall} SKP credits short for ${ctx.licenseType} renewal`,
+      body: [
+        `Dear ${ctx.recipientName},`,
+        "",
+        ctx.isOwner
+          ? `Your ${ctx.licenseType} number ${ctx.licenseNumber} expires on ${formatDate(ctx.expiryDate, "en")} (${ctx.daysLeft} days from now).`
+          : `The ${ctx.licenseType} of ${ctx.nurseName} (${ctx.nurseId}), number ${ctx.licenseNumber}, expires on ${formatDate(ctx.expiryDate, "en")} (${ctx.daysLeft} days from now).`,
+        `Approved SKP credits: ${ctx.earned} of the required ${ctx.required} (${ctx.shortfall} short).`,
+        ctx.isOwner
+          ? "Please complete and submit your SKP activities before the license expires."
+          : "Please make sure the missing SKP activities are completed and reviewed promptly.",
+        "",
+        "Nurse Credentialing System",
+      ].join("\n"),
+    }),
+  },
+};
+
+export const renderTemplate = (name, locale, context) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+
+  const render = template[locale] || template.id;
+  return render(context);
+};
+
+export const hasTemplate = (name) => Boolean(templates[name]);
+
+export default templates;
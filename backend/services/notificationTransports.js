@@ -0,0 +1,47 @@
+import nodemailer from "nodemailer";
+import { getSmtpConfig, getMailFrom } from "../config/notifications.js";
+
+// A transport delivers one outbox entry: send(notification) resolves when
+// the message was handed off and throws to trigger a retry.
+
+const createSmtpTransport = () => {
+  let transporter = null;
+
+  return {
+    name: "smtp",
+    send: async (notification) => {
+      if (!notification.to) {
+        throw new Error("Recipient has no email address");
+      }
+
+      transporter = transporter || nodemailer.createTransport(getSmtpConfig());
+      await transporter.sendMail({
+        from: getMailFrom(),
+        to: notification.to,
+        subject: notification.subject,
+        text: notification.body,
+      });
+    },
+  };
+};
+
+// In-app messages are read straight from the outbox collection, so
+// delivering one only needs to mark it as sent.
+const inAppTransport = {
+  name: "in-app",
+  send: async () => {},
+};
+
+const transports = {
+  email: createSmtpTransport(),
+  "in-app": inAppTransport,
+};
+
+export const registerTransport = (channel, transport) => {
+  if (typeof transport?.send !== "function") {
+    throw new Error("Transport must implement send(notification)");
+  }
+  transports[channel] = transport;
+};
+
+export const getTransport = (channel) => transports[channel];
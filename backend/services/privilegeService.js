@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import Privilege from "../models/privilege.js";
+import PrivilegeGrant, {
+  PRACTISING_STATUSES,
+} from "../models/privilegeGrant.js";
+
+const getDefaultValidityYears = () =>
+  parseInt(process.env.PRIVILEGE_VALIDITY_YEARS, 10) || 3;
+
+export const defaultValidUntil = (validFrom = new Date()) => {
+  const validUntil = new Date(validFrom);
+  validUntil.setFullYear(validUntil.getFullYear() + getDefaultValidityYears());
+  return validUntil;
+};
+
+// Ids among the given ones that are malformed, unknown or inactive
+export const findInvalidPrivileges = async (ids) => {
+  const wellFormed = ids.filter((id) => mongoose.isValidObjectId(id));
+  const found = await Privilege.find({
+    _id: { $in: wellFormed },
+    isActive: true,
+  }).select("_id");
+  const active = new Set(found.map((privilege) => privilege._id.toString()));
+
+  return ids.filter((id) => !active.has(String(id)));
+};
+
+// Issues grants for a nurse, revoking any practising grant they supersede.
+// privileges: [{ privilegeId, status }] with status granted or supervised.
+// The new grants are created before the old ones are revoked, so a failure
+// never leaves the nurse without the privilege.
+export const issueGrants = async ({
+  nurseId,
+  privileges,
+  validFrom = new Date(),
+  validUntil,
+  application,
+  grantedBy,
+  notes,
+}) => {
+  const ids = privileges.map((item) => item.privilegeId);
+
+  if ((await findInvalidPrivileges(ids)).length > 0) {
+    throw new Error("Some privileges are invalid or inactive");
+  }
+
+  const grants = await PrivilegeGrant.create(
+    privileges.map((item) => ({
+      nurse: nurseId,
+      privilege: item.privilegeId,
+      status: item.status || "granted",
+      validFrom,
+      validUntil: validUntil || defaultValidUntil(validFrom),
+      application,
+      grantedBy,
+      notes,
+    }))
+  );
+
+  const superseded = await PrivilegeGrant.find({
+    _id: { $nin: grants.map((grant) => grant._id) },
+    nurse: nurseId,
+    privilege: { $in: ids },
+    status: { $in: PRACTISING_STATUSES },
+  });
+
+  for (const grant of superseded) {
+    grant.changeStatus("revoked", {
+      reason: "Superseded by a new grant",
+      changedBy: grantedBy,
+    });
+    await grant.save();
+  }
+
+  return grants;
+};
@@ -0,0 +1,236 @@
+import mongoose from "mongoose";
+import Question, { CHOICE_QUESTION_TYPES } from "../models/questions.js";
+
+// Roles that author questions and assemble exams
+export const EXAM_AUTHOR_ROLES = ["admin", "mitra"];
+
+// English field names used by older clients and the former inline question
+// schema, mapped to the stored (Indonesian) names
+export const QUESTION_FIELD_ALIASES = {
+  question: "pertanyaan",
+  options: "pilihan",
+  correctAnswer: "jawabanBenar",
+  category: "kategori",
+  difficulty: "tingkatKesulitan",
+  explanation: "penjelasan",
+  weight: "bobot",
+  rubric: "rubrik",
+  scenario: "skenario",
+  subQuestions: "subPertanyaan",
+};
+
+// Field names within a case study's scenario
+export const SCENARIO_FIELD_ALIASES = {
+  history: "riwayat",
+  vitals: "tandaVital",
+};
+
+const PASSTHROUGH_FIELDS = ["type", "image", "tags"];
+
+// Fields of the former inline question schema, which only had
+// multiple-choice questions and no type
+const LEGACY_QUESTION_FIELDS = ["question", "options", "correctAnswer"];
+
+const toScenarioFields = (scenario) => {
+  if (!scenario || typeof scenario !== "object") return scenario;
+
+  const fields = { image: scenario.image };
+  Object.entries(SCENARIO_FIELD_ALIASES).forEach(([english, stored]) => {
+    fields[stored] = scenario[stored] ?? scenario[english];
+  });
+  return fields;
+};
+
+// Stored question fields from a request body in either vocabulary. Only
+// fields present in the body are returned; the Indonesian name wins when
+// both are sent.
+export const toQuestionFields = (body = {}) => {
+  const fields = {};
+
+  Object.entries(QUESTION_FIELD_ALIASES).forEach(([english, stored]) => {
+    const value = body[stored] !== undefined ? body[stored] : body[english];
+    if (value !== undefined) fields[stored] = value;
+  });
+  PASSTHROUGH_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (
+    fields.type === undefined &&
+    LEGACY_QUESTION_FIELDS.some((field) => body[field] !== undefined)
+  ) {
+    fields.type = "multiple-choice";
+  }
+
+  if (typeof fields.pertanyaan === "string") {
+    fields.pertanyaan = fields.pertanyaan.trim();
+  }
+  if (Array.isArray(fields.pilihan)) {
+    fields.pilihan = fields.pilihan.filter(
+      (option) => typeof option === "string" && option.trim() !== ""
+    );
+  }
+  if (fields.type && !CHOICE_QUESTION_TYPES.includes(fields.type)) {
+    fields.pilihan = [];
+  }
+  if (fields.skenario !== undefined) {
+    fields.skenario = toScenarioFields(fields.skenario);
+  }
+  if (Array.isArray(fields.subPertanyaan)) {
+    // Sub-questions keep their ids across edits so attempts still match
+    fields.subPertanyaan = fields.subPertanyaan.map((child) => {
+      const { skenario, subPertanyaan, tags, ...childFields } =
+        toQuestionFields(child || {});
+      const id = child?._id || child?.id;
+      return id ? { ...childFields, _id: id } : childFields;
+    });
+  }
+  if (fields.type && fields.type !== "case-study") {
+    fields.subPertanyaan = [];
+  }
+
+  return fields;
+};
+
+// API shape of a question, carrying both vocabularies so either kind of
+// client can read it
+export const formatQuestion = (question) => {
+  const data = question.toJSON ? question.toJSON() : { ...question };
+  const formatted = { ...data, id: data._id?.toString() };
+
+  Object.entries(QUESTION_FIELD_ALIASES).forEach(([english, stored]) => {
+    formatted[english] = data[stored];
+  });
+
+  if (data.skenario) {
+    formatted.scenario = { ...data.skenario };
+    Object.entries(SCENARIO_FIELD_ALIASES).forEach(([english, stored]) => {
+      formatted.scenario[english] = data.skenario[stored];
+    });
+    formatted.skenario = formatted.scenario;
+  }
+  if (Array.isArray(data.subPertanyaan)) {
+    formatted.subPertanyaan = data.subPertanyaan.map(formatQuestion);
+    formatted.subQuestions = formatted.subPertanyaan;
+  }
+  return formatted;
+};
+
+// Fields that give away the answer; hidden from nurses taking an exam
+const ANSWER_FIELDS = [
+  "jawabanBenar",
+  "correctAnswer",
+  "penjelasan",
+  "explanation",
+  "rubrik",
+  "rubric",
+];
+
+const withoutAnswers = (formatted) => {
+  const candidate = { ...formatted };
+  ANSWER_FIELDS.forEach((field) => delete candidate[field]);
+  return candidate;
+};
+
+// A question as shown to a nurse taking an exam
+export const toCandidateQuestion = (question) => {
+  const formatted = withoutAnswers(formatQuestion(question));
+  delete formatted.createdBy;
+
+  if (formatted.subPertanyaan) {
+    formatted.subPertanyaan = formatted.subPertanyaan.map(withoutAnswers);
+    formatted.subQuestions = formatted.subPertanyaan;
+  }
+  return formatted;
+};
+
+// The parts of a question answered and graded on their own: each
+// sub-question of a structured case study, or else the question itself
+export const answerableItems = (question) =>
+  question.type === "case-study" && question.subPertanyaan?.length > 0
+    ? question.subPertanyaan.map((child) => ({
+        question,
+        subQuestion: child._id,
+        item: child,
+      }))
+    : [{ question, subQuestion: null, item: question }];
+
+// The answerable part of a question named by a sub-question id, which is
+// empty for questions answered as a whole
+export const findAnswerableItem = (question, subQuestionId) =>
+  answerableItems(question).find(
+    ({ subQuestion }) =>
+      String(subQuestion ?? "") === String(subQuestionId ?? "")
+  );
+
+// Identifies an answer within an attempt
+export const responseKey = (questionId, subQuestionId) =>
+  subQuestionId ? `${questionId}/${subQuestionId}` : String(questionId);
+
+// Question bank order: explicitly ordered questions by position, the rest
+// newest first
+export const QUESTION_SORT = { order: 1, createdAt: -1 };
+
+// Loads questions by id, keeping the order of the ids. Returns null when
+// any id is malformed or unknown.
+export const findQuestionsByIds = async (ids, { activeOnly = true } = {}) => {
+  if (!Array.isArray(ids) || !ids.every(mongoose.isValidObjectId)) {
+    return null;
+  }
+
+  const questions = await Question.find({
+    _id: { $in: ids },
+    ...(activeOnly && { isActive: true }),
+  });
+  const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+  const ordered = ids.map((id) => byId.get(id.toString()));
+
+  return ordered.every(Boolean) ? ordered : null;
+};
+
+// Moves the given questions to the front of the bank in the given order,
+// keeping the rest in their current order behind them
+export const reorderQuestions = async (questionIds) => {
+  const current = await Question.find({ isActive: true })
+    .select("_id")
+    .sort(QUESTION_SORT);
+
+  const requested = questionIds.map(String);
+  const known = new Set(current.map((q) => q._id.toString()));
+  const front = requested.filter(
+    (id, i) => known.has(id) && requested.indexOf(id) === i
+  );
+  const rest = current
+    .map((q) => q._id.toString())
+    .filter((id) => !front.includes(id));
+
+  const sequence = [...front, ...rest];
+  if (sequence.length > 0) {
+    await Question.bulkWrite(
+      sequence.map((id, i) => ({
+        updateOne: { filter: { _id: id }, update: { $set: { order: i + 1 } } },
+      }))
+    );
+  }
+  return front.length;
+};
+
+// Renames fields of questions stored by the former English-named schema so
+// the whole bank uses one vocabulary. Safe to run on every start.
+export const migrateLegacyQuestions = async () => {
+  const legacy = {
+    pertanyaan: { $exists: false },
+    question: { $exists: true },
+  };
+  const { modifiedCount } = await Question.collection.updateMany(legacy, {
+    $rename: QUESTION_FIELD_ALIASES,
+  });
+  await Question.collection.updateMany(
+    { type: { $exists: false } },
+    { $set: { type: "multiple-choice" } }
+  );
+
+  if (modifiedCount > 0) {
+    console.log(`📚 Migrated ${modifiedCount} legacy questions`);
+  }
+  return modifiedCount;
+};
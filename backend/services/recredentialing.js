@@ -0,0 +1,237 @@
+import CredentialApplication, {
+  CLOSED_STAGES,
+} from "../models/credentialApplication.js";
+import Credential from "../models/credential.js";
+import File from "../models/file.js";
+import PrivilegeGrant, {
+  PRACTISING_STATUSES,
+} from "../models/privilegeGrant.js";
+import RecredentialingPolicy from "../models/recredentialingPolicy.js";
+import {
+  DEFAULT_LICENSE_POLICIES,
+  getRecredentialingCheckHour,
+  isRecredentialingSchedulerEnabled,
+} from "../config/recredentialing.js";
+import { createDailyJob } from "./dailyJob.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NURSE_FIELDS = "username fullName unit isActive";
+
+let isRunning = false;
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+const isDue = (dueDate, leadDays, now) =>
+  now.getTime() >= dueDate.getTime() - leadDays * DAY_MS;
+
+// Stored policies, plus the defaults for license types without one. A
+// stored but inactive policy switches the default off for that type.
+export const getEffectivePolicies = async () => {
+  const stored = await RecredentialingPolicy.find();
+  const configuredTypes = stored
+    .filter((policy) => policy.scope === "license")
+    .map((policy) => policy.licenseType);
+
+  return [
+    ...stored.filter((policy) => policy.isActive),
+    ...DEFAULT_LICENSE_POLICIES.filter(
+      (policy) => !configuredTypes.includes(policy.licenseType)
+    ),
+  ];
+};
+
+// Stores the default policy of every license type without one, so the
+// cases opened for it can reference the policy they were opened under
+const storeDefaultPolicies = async () => {
+  for (const policy of DEFAULT_LICENSE_POLICIES) {
+    await RecredentialingPolicy.updateOne(
+      { scope: "license", licenseType: policy.licenseType },
+      {
+        $setOnInsert: {
+          periodMonths: policy.periodMonths,
+          leadDays: policy.leadDays,
+        },
+      },
+      { upsert: true }
+    );
+  }
+};
+
+// Opens a draft re-credentialing case unless one exists for the cycle
+const openCase = async ({
+  cycleKey,
+  nurse,
+  dueDate,
+  policy,
+  credential,
+  previousApplication,
+  requestedPrivileges,
+  evidence,
+}) => {
+  if (await CredentialApplication.exists({ cycleKey })) return null;
+
+  return CredentialApplication.create({
+    applicant: nurse._id,
+    unit: nurse.unit,
+    type: "recredentialing",
+    cycleKey,
+    policy: policy._id,
+    dueDate,
+    credential,
+    requestedPrivileges,
+    previousApplication: previousApplication?._id,
+    carriedOver: {
+      decision: previousApplication?.decision,
+      evidence,
+    },
+    history: [
+      {
+        action: "open_cycle",
+        to: "draft",
+        comments: `Re-credentialing due ${dueDate.toISOString().split("T")[0]}`,
+      },
+    ],
+  });
+};
+
+const openLicenseCases = async (policy, now) => {
+  let opened = 0;
+
+  const credentials = await Credential.find({
+    licenseType: policy.licenseType,
+    status: { $in: ["active", "expiring-soon", "expired"] },
+  }).populate("userId", NURSE_FIELDS);
+
+  for (const credential of credentials) {
+    const nurse = credential.userId;
+    if (!nurse?.isActive) continue;
+
+    // The cycle restarts from the last approved credentialing decision
+    const previous = await CredentialApplication.findOne({
+      credential: credential._id,
+      stage: "approved",
+    }).sort({ closedAt: -1 });
+
+    const anchor =
+      previous?.decision?.decidedAt ||
+      credential.issueDate ||
+      credential.createdAt;
+    const dueDate = addMonths(anchor, policy.periodMonths);
+    if (!isDue(dueDate, policy.leadDays, now)) continue;
+
+    const evidence = await File.findByCredential(credential._id);
+    const created = await openCase({
+      cycleKey: `license:${credential._id}:${dueDate.toISOString().split("T")[0]}`,
+      nurse,
+      dueDate,
+      policy,
+      credential: credential._id,
+      previousApplication: previous,
+      requestedPrivileges: previous?.requestedPrivileges || [],
+      evidence: evidence.map((file) => file._id),
+    });
+    if (created) opened++;
+  }
+
+  return opened;
+};
+
+const openPrivilegeCases = async (policy, now) => {
+  let opened = 0;
+
+  const grants = await PrivilegeGrant.find({
+    privilege: policy.privilege,
+    status: { $in: PRACTISING_STATUSES },
+  }).populate("nurse", NURSE_FIELDS);
+
+  for (const grant of grants) {
+    const nurse = grant.nurse;
+    if (!nurse?.isActive) continue;
+
+    const cycleEnd = addMonths(grant.validFrom, policy.periodMonths);
+    const dueDate = cycleEnd < grant.validUntil ? cycleEnd : grant.validUntil;
+    if (!isDue(dueDate, policy.leadDays, now)) continue;
+
+    const previous = grant.application
+      ? await CredentialApplication.findById(grant.application)
+      : null;
+    const evidence = previous?.credential
+      ? await File.findByCredential(previous.credential)
+      : [];
+
+    const created = await openCase({
+      cycleKey: `privilege:${grant._id}`,
+      nurse,
+      dueDate,
+      policy,
+      credential: previous?.credential,
+      previousApplication: previous,
+      requestedPrivileges: [grant.privilege],
+      evidence: evidence.map((file) => file._id),
+    });
+    if (created) opened++;
+  }
+
+  return opened;
+};
+
+// Flags open cases past their due date
+const markOverdueCases = async (now) => {
+  const result = await CredentialApplication.updateMany(
+    {
+      type: "recredentialing",
+      stage: { $nin: CLOSED_STAGES },
+      dueDate: { $lt: now },
+      overdueSince: null,
+    },
+    { $set: { overdueSince: now } }
+  );
+  return result.modifiedCount;
+};
+
+export const runRecredentialingCheck = async (now = new Date()) => {
+  if (isRunning) return null;
+  isRunning = true;
+
+  try {
+    const summary = { opened: 0, newlyOverdue: 0 };
+
+    await storeDefaultPolicies();
+    for (const policy of await getEffectivePolicies()) {
+      summary.opened +=
+        policy.scope === "license"
+          ? await openLicenseCases(policy, now)
+          : await openPrivilegeCases(policy, now);
+    }
+
+    summary.newlyOverdue = await markOverdueCases(now);
+
+    console.log(
+      `✅ Re-credentialing check: ${summary.opened} opened, ${summary.newlyOverdue} newly overdue`
+    );
+    return summary;
+  } finally {
+    isRunning = false;
+  }
+};
+
+const recredentialingJob = createDailyJob({
+  name: "re-credentialing check",
+  run: () => runRecredentialingCheck(),
+  getHour: getRecredentialingCheckHour,
+  isEnabled: isRecredentialingSchedulerEnabled,
+});
+
+export const startRecredentialingScheduler = () => {
+  if (!recredentialingJob.start()) return;
+
+  console.log(
+    `⏰ Re-credentialing scheduler started (daily at ${getRecredentialingCheckHour()}:00)`
+  );
+};
+
+export const stopRecredentialingScheduler = () => recredentialingJob.stop();
@@ -0,0 +1,105 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  getRegistryApiKey,
+  getRegistryFile,
+  getRegistryTimeoutMs,
+  getRegistryUrl,
+} from "../config/registry.js";
+
+// Relative registry file paths are resolved from the backend directory
+const BACKEND_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  ".."
+);
+
+// A registry provider looks up one license: lookup({ licenseType,
+// licenseNumber }) resolves to null when the registry has no such license,
+// or to { licenseNumber, licenseType, holderName, validFrom, validUntil,
+// status }. It throws when the registry cannot be reached, so the check can
+// be retried later.
+
+const normalizeNumber = (value) =>
+  String(value || "")
+    .trim()
+    .toUpperCase();
+
+const toRecord = (entry) => ({
+  licenseNumber: normalizeNumber(entry.licenseNumber),
+  licenseType: entry.licenseType,
+  holderName: entry.holderName,
+  validFrom: entry.validFrom ? new Date(entry.validFrom) : null,
+  validUntil: entry.validUntil ? new Date(entry.validUntil) : null,
+  status: entry.status || "active",
+});
+
+// Reads a JSON file of { licenses: [...] }, reloading it when it changes.
+// Used as the offline mock registry.
+const createFileProvider = () => {
+  let cache = { file: null, mtime: 0, licenses: [] };
+
+  const load = async () => {
+    const file = path.resolve(BACKEND_DIR, getRegistryFile());
+    const { mtimeMs } = await fs.stat(file);
+
+    if (cache.file !== file || cache.mtime !== mtimeMs) {
+      const { licenses = [] } = JSON.parse(await fs.readFile(file, "utf8"));
+      cache = { file, mtime: mtimeMs, licenses: licenses.map(toRecord) };
+    }
+    return cache.licenses;
+  };
+
+  return {
+    name: "file",
+    lookup: async ({ licenseType, licenseNumber }) => {
+      const number = normalizeNumber(licenseNumber);
+      const licenses = await load();
+      return (
+        licenses.find(
+          (license) =>
+            license.licenseNumber === number &&
+            license.licenseType === licenseType
+        ) || null
+      );
+    },
+  };
+};
+
+const createHttpProvider = () => ({
+  name: "http",
+  lookup: async ({ licenseType, licenseNumber }) => {
+    const url = `${getRegistryUrl()}/licenses/${encodeURIComponent(
+      licenseType
+    )}/${encodeURIComponent(normalizeNumber(licenseNumber))}`;
+    const apiKey = getRegistryApiKey();
+
+    const response = await fetch(url, {
+      headers: {
+        Accept: "application/json",
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      },
+      signal: AbortSignal.timeout(getRegistryTimeoutMs()),
+    });
+
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Registry responded with ${response.status}`);
+    }
+    return toRecord(await response.json());
+  },
+});
+
+const providers = {
+  file: createFileProvider(),
+  http: createHttpProvider(),
+};
+
+export const registerProvider = (name, provider) => {
+  if (typeof provider?.lookup !== "function") {
+    throw new Error("Registry provider must implement lookup(license)");
+  }
+  providers[name] = { name, ...provider };
+};
+
+export const getProvider = (name) => providers[name];
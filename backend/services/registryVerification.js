@@ -0,0 +1,201 @@
+import Credential from "../models/credential.js";
+import credentialEvents from "./credentialEvents.js";
+import { getProvider } from "./registryProviders.js";
+import {
+  getRegistryProvider,
+  isRegistryVerificationEnabled,
+} from "../config/registry.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Academic and professional titles registries and forms disagree on, e.g.
+// "Ns. Siti Aminah, S.Kep." and "SITI AMINAH"
+const NAME_TITLES = /^(ns|ners|dr|drs|hj|h|bd|apt)\.?\s+/i;
+
+export const normalizeName = (name) => {
+  let value = String(name || "")
+    .split(",")[0]
+    .trim();
+  while (NAME_TITLES.test(value)) value = value.replace(NAME_TITLES, "");
+  return value
+    .toLowerCase()
+    .replace(/[^\p{L}\s]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+};
+
+const sameDay = (a, b) =>
+  Math.floor(a.getTime() / DAY_MS) === Math.floor(b.getTime() / DAY_MS);
+
+// Compares a credential with the registry's record of its license
+export const compareWithRecord = (credential, record, now = new Date()) => {
+  if (!record) {
+    return {
+      status: "not_found",
+      issues: ["License number is not in the registry"],
+    };
+  }
+
+  const checks = {
+    licenseNumber: record.licenseNumber === credential.licenseNumber,
+    name:
+      normalizeName(record.holderName) === normalizeName(credential.nurseName),
+    validity:
+      record.status === "active" &&
+      (!record.validUntil || record.validUntil >= now),
+  };
+  if (credential.expiryDate && record.validUntil) {
+    checks.expiryDate = sameDay(credential.expiryDate, record.validUntil);
+  }
+
+  const issues = [];
+  if (!checks.licenseNumber) issues.push("License number does not match");
+  if (!checks.name) {
+    issues.push(`Name does not match registry holder "${record.holderName}"`);
+  }
+  if (!checks.validity) {
+    issues.push(
+      record.status === "active"
+        ? "License has expired in the registry"
+        : `License is ${record.status} in the registry`
+    );
+  }
+  if (checks.expiryDate === false) {
+    issues.push("Expiry date differs from the registry");
+  }
+
+  return {
+    status: issues.length === 0 ? "verified" : "mismatch",
+    checks,
+    issues,
+    registryRecord: {
+      holderName: record.holderName,
+      status: record.status,
+      validFrom: record.validFrom,
+      validUntil: record.validUntil,
+    },
+  };
+};
+
+// Looks a credential up in the configured registry and stores the result.
+// Stored with a plain update so the check does not count as a change to
+// the credential.
+export const verifyCredential = async (credentialId) => {
+  const credential = await Credential.findById(credentialId).select(
+    "nurseName licenseNumber licenseType expiryDate status"
+  );
+  if (!credential) return null;
+
+  const providerName = getRegistryProvider();
+  const provider = getProvider(providerName);
+  const checkedAt = new Date();
+
+  let result;
+  if (!provider) {
+    result = {
+      status: "error",
+      error: `Unknown registry provider "${providerName}"`,
+    };
+  } else {
+    try {
+      const record = await provider.lookup({
+        licenseType: credential.licenseType,
+        licenseNumber: credential.licenseNumber,
+      });
+      result = compareWithRecord(credential, record, checkedAt);
+    } catch (error) {
+      result = { status: "error", error: error.message };
+    }
+  }
+
+  const registryVerification = {
+    ...result,
+    provider: providerName,
+    checkedAt,
+  };
+  // Not stored when the details changed during the check; the change
+  // queued another one
+  const { matchedCount } = await Credential.updateOne(
+    {
+      _id: credential._id,
+      nurseName: credential.nurseName,
+      licenseNumber: credential.licenseNumber,
+      licenseType: credential.licenseType,
+      expiryDate: credential.expiryDate,
+    },
+    { $set: { registryVerification } }
+  );
+  if (matchedCount === 1) {
+    credentialEvents.emit("registry-checked", {
+      credential,
+      verification: registryVerification,
+    });
+  }
+
+  console.log(
+    `🪪 Registry check for ${credential.licenseNumber}: ${result.status}`
+  );
+  return registryVerification;
+};
+
+// Checks run one at a time so a bulk import does not flood the registry
+let queue = Promise.resolve();
+
+const enqueueVerification = (credentialId) => {
+  queue = queue
+    .then(() => verifyCredential(credentialId))
+    .catch((error) =>
+      console.error(
+        `❌ Registry verification failed for credential ${credentialId}:`,
+        error.message
+      )
+    );
+};
+
+// Queues a check for every credential without a usable registry result:
+// never checked, e.g. created before checks were enabled, or left at
+// "error" because the registry could not be reached. With all set, every
+// credential is checked again.
+export const recheckCredentials = async ({ all = false } = {}) => {
+  const credentials = await Credential.find(
+    all
+      ? {}
+      : {
+          $or: [
+            { registryVerification: null },
+            { "registryVerification.status": "error" },
+          ],
+        }
+  ).select("_id");
+
+  credentials.forEach((credential) => enqueueVerification(credential._id));
+  return credentials.length;
+};
+
+// Verifies credentials against the registry when they are created, whether
+// through the API or an import, and again whenever their license details
+// change, e.g. by an edit or a renewal. Credentials still unchecked at
+// startup are queued as well.
+export const registerRegistryVerification = () => {
+  if (isRegistryVerificationEnabled()) {
+    recheckCredentials()
+      .then((count) => {
+        if (count > 0) {
+          console.log(`🪪 Queued registry checks for ${count} credentials`);
+        }
+      })
+      .catch((error) =>
+        console.error("❌ Registry backfill failed:", error.message)
+      );
+  }
+
+  credentialEvents.on("status-changed", ({ credential, from }) => {
+    if (from !== null || !isRegistryVerificationEnabled()) return;
+    enqueueVerification(credential._id);
+  });
+
+  credentialEvents.on("license-details-changed", ({ credential }) => {
+    if (!isRegistryVerificationEnabled()) return;
+    enqueueVerification(credential._id);
+  });
+};
@@ -0,0 +1,319 @@
+import CredentialApplication from "../models/credentialApplication.js";
+import Privilege from "../models/privilege.js";
+import ReviewAssignment, {
+  OPEN_ASSIGNMENT_STATUSES,
+} from "../models/reviewAssignment.js";
+import User from "../models/user.js";
+import {
+  getMaxOpenReviews,
+  getReviewDueDays,
+} from "../config/reviewerAssignment.js";
+import { queueNotification } from "./notificationService.js";
+
+export class AssignmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "AssignmentError";
+    this.status = status;
+  }
+}
+
+export const ASSIGNING_ROLES = ["admin", "komite"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REVIEWER_FIELDS = "username fullName email language unit expertiseAreas";
+
+const sameId = (a, b) =>
+  Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+
+const loadApplication = async (applicationId) => {
+  const application = await CredentialApplication.findById(applicationId);
+  if (!application) throw new AssignmentError("Application not found", 404);
+  return application;
+};
+
+// Clinical areas of the privileges the applicant requested
+const requiredAreas = async (application) =>
+  Privilege.distinct("area", { _id: { $in: application.requestedPrivileges } });
+
+// Reasons a reviewer may not review the applicant: conflicts of interest and
+// missing expertise in any requested area
+export const findIneligibility = (reviewer, applicant, areas) => {
+  const reasons = [];
+
+  if (sameId(reviewer, applicant)) reasons.push("self-review");
+  if (reviewer.unit && applicant.unit && reviewer.unit === applicant.unit) {
+    reasons.push("same unit as the applicant");
+  }
+  if (sameId(applicant.supervisor, reviewer)) {
+    reasons.push("direct supervisor of the applicant");
+  }
+
+  const missing = areas.filter(
+    (area) => !(reviewer.expertiseAreas || []).includes(area)
+  );
+  if (missing.length > 0) {
+    reasons.push(`no expertise in ${missing.join(", ")}`);
+  }
+
+  return reasons;
+};
+
+// Open assignments per reviewer, as { reviewerId: count }
+const openWorkload = async (reviewerIds) => {
+  const counts = await ReviewAssignment.aggregate([
+    {
+      $match: {
+        reviewer: { $in: reviewerIds },
+        status: { $in: OPEN_ASSIGNMENT_STATUSES },
+      },
+    },
+    { $group: { _id: "$reviewer", open: { $sum: 1 } } },
+  ]);
+  return Object.fromEntries(counts.map((c) => [c._id.toString(), c.open]));
+};
+
+// Active mitra bestari ranked by open workload, with the reasons others
+// were left out
+export const proposeReviewers = async (applicationId) => {
+  const application = await loadApplication(applicationId);
+  const [applicant, areas, reviewers, assignments] = await Promise.all([
+    User.findById(application.applicant).select("unit supervisor"),
+    requiredAreas(application),
+    User.find({ role: "mitra", isActive: true }).select(REVIEWER_FIELDS),
+    ReviewAssignment.find({ application: application._id }).select(
+      "reviewer status"
+    ),
+  ]);
+
+  const workload = await openWorkload(reviewers.map((r) => r._id));
+  const maxOpen = getMaxOpenReviews();
+  const eligible = [];
+  const excluded = [];
+
+  reviewers.forEach((reviewer) => {
+    const open = workload[reviewer._id.toString()] || 0;
+    const reasons = findIneligibility(reviewer, applicant, areas);
+
+    const previous = assignments.find((a) => sameId(a.reviewer, reviewer));
+    if (previous && previous.status !== "cancelled") {
+      reasons.push(`already ${previous.status} for this application`);
+    }
+    if (application.hasReviewed(reviewer._id)) {
+      reasons.push("already reviewed this application");
+    }
+    if (open >= maxOpen) reasons.push(`workload at limit (${open} open)`);
+
+    if (reasons.length > 0) {
+      excluded.push({ reviewer, openAssignments: open, reasons });
+    } else {
+      eligible.push({ reviewer, openAssignments: open });
+    }
+  });
+
+  eligible.sort((a, b) => a.openAssignments - b.openAssignments);
+
+  const open = assignments.filter((a) =>
+    OPEN_ASSIGNMENT_STATUSES.includes(a.status)
+  ).length;
+
+  return {
+    requiredAreas: areas,
+    requiredReviews: application.requiredReviews,
+    reviewsRecorded: application.reviews.length,
+    openAssignments: open,
+    // Reviewers still needed to reach the required number of reviews
+    needed: Math.max(
+      application.requiredReviews - application.reviews.length - open,
+      0
+    ),
+    eligible,
+    excluded,
+  };
+};
+
+// Assigns the given reviewers, or the least loaded eligible ones when none
+// are given
+export const assignReviewers = async (
+  applicationId,
+  { reviewerIds, dueDate },
+  actor
+) => {
+  const application = await loadApplication(applicationId);
+  if (application.stage !== "mitra_review") {
+    throw new AssignmentError(
+      "Reviewers can only be assigned while the application is in mitra review",
+      409
+    );
+  }
+
+  const due = dueDate
+    ? new Date(dueDate)
+    : new Date(Date.now() + getReviewDueDays() * DAY_MS);
+  if (isNaN(due) || due <= new Date()) {
+    throw new AssignmentError("Due date must be a future date");
+  }
+
+  const proposal = await proposeReviewers(application._id);
+  let chosen;
+
+  if (reviewerIds === undefined) {
+    chosen = proposal.eligible.slice(0, proposal.needed);
+    if (chosen.length === 0) {
+      throw new AssignmentError(
+        proposal.needed === 0
+          ? "The application already has enough reviewers"
+          : "No eligible reviewers are available",
+        409
+      );
+    }
+  } else {
+    if (!Array.isArray(reviewerIds) || reviewerIds.length === 0) {
+      throw new AssignmentError("reviewerIds must be a non-empty list");
+    }
+
+    chosen = [...new Set(reviewerIds.map(String))].map((id) => {
+      const match = proposal.eligible.find((e) => sameId(e.reviewer, id));
+      if (match) return match;
+
+      const excluded = proposal.excluded.find((e) => sameId(e.reviewer, id));
+      throw new AssignmentError(
+        excluded
+          ? `${excluded.reviewer.fullName || excluded.reviewer.username} cannot be assigned: ${excluded.reasons.join("; ")}`
+          : `User ${id} is not an active mitra bestari`
+      );
+    });
+  }
+
+  const assignments = await ReviewAssignment.create(
+    chosen.map(({ reviewer }) => ({
+      application: application._id,
+      reviewer: reviewer._id,
+      assignedBy: actor._id,
+      dueDate: due,
+    }))
+  );
+
+  try {
+    await queueNotification({
+      recipients: chosen.map(({ reviewer }) => reviewer),
+      template: "review.assigned",
+      context: { dueDate: due, applicationType: application.type },
+    });
+  } catch (error) {
+    console.error("❌ Failed to queue review assignment notification:", error);
+  }
+
+  return assignments;
+};
+
+// Accept or decline by the assigned reviewer while the assignment is pending
+export const respondToAssignment = async (
+  assignmentId,
+  { response, reason },
+  actor
+) => {
+  const assignment = await ReviewAssignment.findById(assignmentId);
+  if (!assignment) throw new AssignmentError("Assignment not found", 404);
+
+  if (!sameId(assignment.reviewer, actor)) {
+    throw new AssignmentError("Only the assigned reviewer can respond", 403);
+  }
+  if (assignment.status !== "pending") {
+    throw new AssignmentError(
+      `Assignment has already been ${assignment.status}`,
+      409
+    );
+  }
+  if (!["accept", "decline"].includes(response)) {
+    throw new AssignmentError("Response must be accept or decline");
+  }
+  if (response === "decline" && !reason?.trim()) {
+    throw new AssignmentError("A reason is required when declining");
+  }
+
+  return assignment.respond(response === "accept", reason);
+};
+
+// Returns why the actor may not record a peer review, or null. The
+// conflict-of-interest and expertise rules of assignment apply to every
+// review; once an application has assignments, only reviewers who accepted
+// one may review.
+export const checkAssignedReviewer = async (application, actor) => {
+  const [reviewer, applicant, areas] = await Promise.all([
+    User.findById(actor._id).select(REVIEWER_FIELDS),
+    User.findById(application.applicant).select("unit supervisor"),
+    requiredAreas(application),
+  ]);
+  const reasons = reviewer
+    ? findIneligibility(reviewer, applicant || {}, areas)
+    : ["reviewer not found"];
+  if (reasons.length > 0) {
+    return {
+      message: `You cannot review this application: ${reasons.join("; ")}`,
+      status: 403,
+    };
+  }
+
+  const assignments = await ReviewAssignment.find({
+    application: application._id,
+    status: { $ne: "cancelled" },
+  });
+  if (assignments.length === 0) return null;
+
+  const own = assignments.find((a) => sameId(a.reviewer, actor));
+  if (own?.status === "accepted") return null;
+
+  return {
+    message:
+      own?.status === "pending"
+        ? "Accept your review assignment before reviewing"
+        : "You are not an assigned reviewer for this application",
+    status: 403,
+  };
+};
+
+// Keeps assignments in step with the workflow: the reviewer's assignment
+// completes with their review, and open ones are cancelled once the
+// application leaves mitra review
+export const syncAssignments = async (application, actor) => {
+  const now = new Date();
+
+  if (application.hasReviewed(actor._id)) {
+    await ReviewAssignment.updateOne(
+      {
+        application: application._id,
+        reviewer: actor._id,
+        status: "accepted",
+      },
+      { $set: { status: "completed", completedAt: now } }
+    );
+  }
+
+  if (application.stage !== "mitra_review") {
+    await ReviewAssignment.updateMany(
+      {
+        application: application._id,
+        status: { $in: OPEN_ASSIGNMENT_STATUSES },
+      },
+      { $set: { status: "cancelled" } }
+    );
+  }
+};
+
+// The reviewer's open assignments, soonest due first
+export const getReviewerQueue = (reviewerId) =>
+  ReviewAssignment.find({
+    reviewer: reviewerId,
+    status: { $in: OPEN_ASSIGNMENT_STATUSES },
+  })
+    .populate({
+      path: "application",
+      select: "applicant unit type stage requestedPrivileges submittedAt",
+      populate: [
+        { path: "applicant", select: "username fullName npk unit" },
+        { path: "requestedPrivileges", select: "code name area" },
+      ],
+    })
+    .populate("assignedBy", "username fullName")
+    .sort({ dueDate: 1 });
@@ -0,0 +1,242 @@
+import Credential from "../models/credential.js";
+import Notification from "../models/notification.js";
+import SkpActivity from "../models/skpActivity.js";
+import User from "../models/user.js";
+import {
+  getSkpCheckHour,
+  getSkpRequirements,
+  getSkpWarningWindows,
+  isSkpSchedulerEnabled,
+} from "../config/skp.js";
+import { createDailyJob } from "./dailyJob.js";
+import {
+  findCredentialRecipients,
+  queueNotification,
+} from "./notificationService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SHORTFALL_TEMPLATE = "skp.shortfall";
+
+// Licenses without an issue date are assumed to run for five years
+const DEFAULT_PERIOD_MONTHS = 60;
+
+// Credentials whose period can still collect credits towards renewal
+const LEDGER_STATUSES = ["active", "expiring-soon", "expired"];
+
+let isRunning = false;
+
+const roundCredits = (value) => Math.round(value * 100) / 100;
+
+const periodOf = (credential) => {
+  const until = credential.expiryDate;
+  let from = credential.issueDate;
+  if (!from) {
+    from = new Date(until);
+    from.setMonth(from.getMonth() - DEFAULT_PERIOD_MONTHS);
+  }
+  return { from, until };
+};
+
+// Running totals of one credential's period. Approved credits count; pending
+// ones are reported separately so the nurse can see what is under review.
+export const summarizePeriod = (credential, activities, now = new Date()) => {
+  const required = getSkpRequirements()[credential.licenseType] || 0;
+  const { from, until } = periodOf(credential);
+  const inPeriod = activities
+    .filter(
+      (activity) =>
+        activity.nurse.toString() === credential.userId.toString() &&
+        activity.activityDate >= from &&
+        activity.activityDate <= until
+    )
+    .sort((a, b) => a.activityDate - b.activityDate);
+
+  let earned = 0;
+  const entries = inPeriod
+    .filter((activity) => activity.status === "approved")
+    .map((activity) => {
+      earned += activity.credits;
+      return {
+        activity: activity._id,
+        title: activity.title,
+        activityDate: activity.activityDate,
+        credits: activity.credits,
+        runningTotal: roundCredits(earned),
+      };
+    });
+
+  const pending = inPeriod
+    .filter((activity) => activity.status === "pending")
+    .reduce((sum, activity) => sum + activity.credits, 0);
+
+  const shortfall = Math.max(required - earned, 0);
+  const daysUntilExpiry = Math.ceil((until - now) / DAY_MS);
+  const warningWindow = getSkpWarningWindows()
+    .filter((days) => daysUntilExpiry <= days)
+    .pop();
+
+  return {
+    credential: {
+      id: credential._id,
+      licenseType: credential.licenseType,
+      licenseNumber: credential.licenseNumber,
+      status: credential.status,
+    },
+    period: { from, until },
+    required,
+    earned: roundCredits(earned),
+    pending: roundCredits(pending),
+    shortfall: roundCredits(shortfall),
+    daysUntilExpiry,
+    // Set when credits are short inside one of the warning windows
+    warning:
+      shortfall > 0 && warningWindow !== undefined && daysUntilExpiry > 0
+        ? { window: warningWindow }
+        : null,
+    entries,
+  };
+};
+
+// Latest credential per license type that has a credit requirement
+const findCurrentCredentials = async (nurseIds) => {
+  const credentials = await Credential.find({
+    userId: { $in: nurseIds },
+    licenseType: { $in: Object.keys(getSkpRequirements()) },
+    status: { $in: LEDGER_STATUSES },
+    expiryDate: { $ne: null },
+  }).sort({ expiryDate: -1 });
+
+  const seen = new Set();
+  return credentials.filter((credential) => {
+    const key = `${credential.userId}:${credential.licenseType}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// A nurse's full ledger with the running totals of each current period
+export const getNurseLedger = async (nurseId, now = new Date()) => {
+  const [activities, credentials] = await Promise.all([
+    SkpActivity.find({ nurse: nurseId })
+      .populate("reviewedBy", "username fullName")
+      .sort({ activityDate: -1 }),
+    findCurrentCredentials([nurseId]),
+  ]);
+
+  return {
+    activities,
+    periods: credentials.map((credential) =>
+      summarizePeriod(credential, activities, now)
+    ),
+  };
+};
+
+// Current periods with a credit shortfall inside a warning window,
+// optionally limited to the nurses of one unit
+export const findShortfalls = async ({ unit, now = new Date() } = {}) => {
+  const horizon = new Date(
+    now.getTime() + Math.max(...getSkpWarningWindows()) * DAY_MS
+  );
+
+  const nurseQuery = { role: "perawat", isActive: true };
+  if (unit) nurseQuery.unit = unit;
+  const nurses = await User.find(nurseQuery).select(
+    "username fullName npk unit"
+  );
+
+  const credentials = (
+    await findCurrentCredentials(nurses.map((nurse) => nurse._id))
+  ).filter(
+    (credential) =>
+      credential.expiryDate > now && credential.expiryDate <= horizon
+  );
+  if (credentials.length === 0) return [];
+
+  const activities = await SkpActivity.find({
+    nurse: { $in: credentials.map((credential) => credential.userId) },
+    status: { $in: ["approved", "pending"] },
+  }).select("nurse title activityDate credits status");
+
+  return credentials
+    .map((credential) => ({
+      nurse: nurses.find((nurse) => nurse._id.equals(credential.userId)),
+      ...summarizePeriod(credential, activities, now),
+    }))
+    .filter((summary) => summary.warning)
+    .map(({ entries, ...summary }) => summary)
+    .sort((a, b) => a.daysUntilExpiry - b.daysUntilExpiry);
+};
+
+// Warns the nurse, their kepala unit and admins once per warning window
+export const runSkpShortfallCheck = async (now = new Date()) => {
+  if (isRunning) {
+    console.log("⏳ SKP shortfall check already running, skipping");
+    return null;
+  }
+
+  isRunning = true;
+  const summary = { shortfalls: 0, warned: 0 };
+
+  try {
+    const shortfalls = await findShortfalls({ now });
+    summary.shortfalls = shortfalls.length;
+
+    for (const shortfall of shortfalls) {
+      const alreadyWarned = await Notification.exists({
+        template: SHORTFALL_TEMPLATE,
+        credential: shortfall.credential.id,
+        "context.window": shortfall.warning.window,
+        "context.expiryDate": shortfall.period.until,
+      });
+      if (alreadyWarned) continue;
+
+      const recipients = await findCredentialRecipients(shortfall.nurse._id);
+      await queueNotification({
+        recipients,
+        template: SHORTFALL_TEMPLATE,
+        credential: shortfall.credential.id,
+        context: {
+          ownerId: shortfall.nurse._id,
+          nurseName: shortfall.nurse.fullName || shortfall.nurse.username,
+          nurseId: shortfall.nurse.npk,
+          licenseType: shortfall.credential.licenseType,
+          licenseNumber: shortfall.credential.licenseNumber,
+          expiryDate: shortfall.period.until,
+          daysLeft: shortfall.daysUntilExpiry,
+          window: shortfall.warning.window,
+          required: shortfall.required,
+          earned: shortfall.earned,
+          shortfall: shortfall.shortfall,
+        },
+      });
+      summary.warned++;
+    }
+
+    console.log(
+      `✅ SKP shortfall check: ${summary.shortfalls} short, ${summary.warned} warned`
+    );
+    return summary;
+  } finally {
+    isRunning = false;
+  }
+};
+
+const skpJob = createDailyJob({
+  name: "SKP shortfall check",
+  run: () => runSkpShortfallCheck(),
+  getHour: getSkpCheckHour,
+  isEnabled: isSkpSchedulerEnabled,
+});
+
+export const startSkpScheduler = () => {
+  if (!skpJob.start()) return;
+
+  console.log(
+    `⏰ SKP scheduler started (daily at ${getSkpCheckHour()}:00, windows: ${getSkpWarningWindows().join(
+      "/"
+    )} days)`
+  );
+};
+
+export const stopSkpScheduler = () => skpJob.stop();
@@ -0,0 +1,126 @@
+import ExcelJS from "exceljs";
+
+// Picks the delimiter that splits the header line into the most columns;
+// spreadsheets saved with an Indonesian locale use semicolons.
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const count = (char) => firstLine.split(char).length;
+  return count(";") > count(",") ? ";" : ",";
+};
+
+// RFC 4180 parser: quoted fields may contain delimiters, line breaks and
+// doubled quotes. Returns rows as arrays of strings with their line numbers.
+export const parseCsv = (input, { delimiter } = {}) => {
+  const text = input.replace(/^\uFEFF/, "");
+  const sep = delimiter || detectDelimiter(text);
+  const rows = [];
+
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowStart = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some((value) => value.trim() !== "")) {
+      rows.push({ rowNumber: rowStart, values: row });
+    }
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === sep) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+      line++;
+      rowStart = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${rowStart}`);
+  }
+  if (field !== "" || row.length > 0) endRow();
+
+  return rows;
+};
+
+// Quotes a field when it contains the delimiter, a quote or a line break
+const escapeCsvField = (value) => {
+  const field = String(value ?? "");
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+// Serializes one RFC 4180 record, including the CRLF terminator
+export const toCsvRow = (values) =>
+  values.map(escapeCsvField).join(",") + "\r\n";
+
+// Plain value of an ExcelJS cell: rich text, hyperlinks and formulas are
+// reduced to what the user sees
+const cellValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value;
+  if (typeof value !== "object") return value;
+  if (value.richText) return value.richText.map((part) => part.text).join("");
+  if (value.text !== undefined) return value.text;
+  if (value.result !== undefined) return cellValue(value.result);
+  return String(value);
+};
+
+// Reads the first worksheet of an XLSX workbook
+export const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    // ExcelJS row values are 1-based
+    const values = [];
+    for (let col = 1; col <= row.cellCount; col++) {
+      values.push(cellValue(row.getCell(col).value));
+    }
+    if (values.some((value) => String(value).trim() !== "")) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  return rows;
+};
+
+// Parses an uploaded CSV or XLSX file into a header row and data rows
+export const readSpreadsheet = async (buffer, format) => {
+  const rows =
+    format === "xlsx"
+      ? await parseXlsx(buffer)
+      : parseCsv(buffer.toString("utf8"));
+
+  const [header, ...data] = rows;
+  return {
+    headers: header ? header.values.map((value) => String(value).trim()) : [],
+    rows: data,
+  };
+};